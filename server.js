@@ -1,12 +1,46 @@
+import fs from "fs";
+import https from "https";
 import app from "./src/app.js"; 
-import webhookConfig from "./src/middleware/EFIAuth.js"; 
+import paymentProvider from "./src/config/paymentProvider.js";
+import reconciliationService from "./src/service/ReconciliationService.js";
+import expirationService from "./src/service/ExpirationService.js";
+import recurrenceService from "./src/service/RecurrenceService.js";
+import webhookEventService from "./src/service/WebhookEventService.js";
+import outboundWebhookService from "./src/service/OutboundWebhookService.js";
 const PORT = process.env.PORT;
 
-app.listen(PORT, async () => {
+const onListen = async () => {
   console.log(`Servidor rodando na porta ${PORT}`)
+  reconciliationService.startScheduler();
+  expirationService.startScheduler();
+  recurrenceService.startScheduler();
+  webhookEventService.startScheduler();
+  outboundWebhookService.startScheduler();
   try {
-    webhookConfig();
+    await paymentProvider.registerWebhook();
   } catch (error) {
-    throw new ExternalError(`Erro ao configurar webhook: `);
+    console.error(`Erro ao configurar webhook: ${error.message}`);
   }
-});
+};
+
+/**
+ * Com WEBHOOK_MTLS_ENABLED=true o TLS termina na aplicação e o certificado de
+ * cliente é solicitado. Requisições sem certificado continuam sendo aceitas
+ * pelas demais rotas; a rota de webhook confere o resultado da validação.
+ */
+if (process.env.WEBHOOK_MTLS_ENABLED === "true") {
+  https
+    .createServer(
+      {
+        key: fs.readFileSync(process.env.TLS_KEY_PATH),
+        cert: fs.readFileSync(process.env.TLS_CERT_PATH),
+        ca: fs.readFileSync(process.env.WEBHOOK_CLIENT_CA_PATH),
+        requestCert: true,
+        rejectUnauthorized: false,
+      },
+      app
+    )
+    .listen(PORT, onListen);
+} else {
+  app.listen(PORT, onListen);
+}
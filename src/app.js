@@ -3,7 +3,7 @@ import cors from "cors";
 import errorHandler from "./middleware/ErrorHandler.js";
 
 import "./config/db.js";
-import "./config/efipay.js";
+import paymentProvider from "./config/paymentProvider.js";
 
 import login from "./routes/LoginRoutes.js";
 import donationRoutes from "./routes/DonationRoutes.js";
@@ -11,9 +11,30 @@ import webhook from "./routes/Webhook.js";
 import partnerRoutes from "./routes/PartnerRoutes.js";
 import sseRoutes from "./routes/SSERoutes.js";
 import exportRoutes from "./routes/ExportRoutes.js";
+import reconciliationRoutes from "./routes/ReconciliationRoutes.js";
+import duesRoutes from "./routes/DuesRoutes.js";
+import recurrenceRoutes from "./routes/RecurrenceRoutes.js";
+import mockPixRoutes from "./routes/MockPixRoutes.js";
+import webhookEventRoutes from "./routes/WebhookEventRoutes.js";
+import campaignRoutes from "./routes/CampaignRoutes.js";
+import receiptRoutes from "./routes/ReceiptRoutes.js";
+import notificationRoutes from "./routes/NotificationRoutes.js";
+import outboundWebhookRoutes from "./routes/OutboundWebhookRoutes.js";
+import userRoutes from "./routes/UserRoutes.js";
+import twoFactorRoutes from "./routes/TwoFactorRoutes.js";
+import apiKeyRoutes from "./routes/ApiKeyRoutes.js";
+import auditRoutes from "./routes/AuditRoutes.js";
 import cookieParser from "cookie-parser";
 
 const app = express();
+
+// Atrás de um proxy reverso, o IP de origem vem do X-Forwarded-For; usado
+// nos limites de requisições (ex.: TRUST_PROXY=1 ou a lista de IPs do proxy)
+const trustProxy = process.env.TRUST_PROXY;
+if (trustProxy) {
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? parseInt(trustProxy) : trustProxy);
+}
+
 app.use(
   cors({
     origin: process.env.FRONTEND_URL || "http://localhost:5173",
@@ -48,6 +69,22 @@ app.use("/parceiros", partnerRoutes);
 app.use("/api/webhook", webhook);
 app.use("/sse", sseRoutes);
 app.use("/relatorio", exportRoutes);
+app.use("/conciliacao", reconciliationRoutes);
+app.use("/mensalidades", duesRoutes);
+app.use("/recorrencias", recurrenceRoutes);
+app.use("/eventos-webhook", webhookEventRoutes);
+app.use("/campanhas", campaignRoutes);
+app.use("/recibos", receiptRoutes);
+app.use("/notificacoes", notificationRoutes);
+app.use("/assinaturas-webhook", outboundWebhookRoutes);
+app.use("/usuarios", userRoutes);
+app.use("/2fa", twoFactorRoutes);
+app.use("/chaves-api", apiKeyRoutes);
+app.use("/auditoria", auditRoutes);
+// Simulação de pagamentos, exposta apenas com o provedor mock
+if (paymentProvider.name === "mock") {
+  app.use("/mock", mockPixRoutes);
+}
 app.get("/favicon.ico", (req, res) => res.status(204).end());
 
 app.get("/health", (req, res) => {
@@ -0,0 +1,20 @@
+import { ValidationError } from "../utils/Errors.js";
+
+// Armazenamento dos contadores selecionado por RATE_LIMIT_STORE (memory ou firestore)
+const storeName = process.env.RATE_LIMIT_STORE || "memory";
+
+let counterStore;
+
+if (storeName === "memory") {
+  const { default: MemoryCounterStore } = await import("../stores/MemoryCounterStore.js");
+  counterStore = new MemoryCounterStore();
+} else if (storeName === "firestore") {
+  const { default: FirestoreCounterStore } = await import("../stores/FirestoreCounterStore.js");
+  counterStore = new FirestoreCounterStore();
+} else {
+  throw new ValidationError(
+    `Armazenamento de limites inválido (RATE_LIMIT_STORE): ${storeName}. Use memory ou firestore.`
+  );
+}
+
+export default counterStore;
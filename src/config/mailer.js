@@ -0,0 +1,28 @@
+import { ValidationError } from "../utils/Errors.js";
+import { logger } from "../utils/Logger.js";
+
+// Transporte de e-mail selecionado por MAIL_TRANSPORT (smtp, file ou console)
+const transportName = process.env.MAIL_TRANSPORT || "smtp";
+
+let mailer;
+
+// Os módulos são importados sob demanda para que os transportes de
+// desenvolvimento não exijam a configuração do servidor SMTP
+if (transportName === "smtp") {
+  const { default: SmtpMailer } = await import("../mailers/SmtpMailer.js");
+  mailer = new SmtpMailer();
+} else if (transportName === "file") {
+  const { default: FileMailer } = await import("../mailers/FileMailer.js");
+  mailer = new FileMailer();
+  logger.warn(`Transporte de e-mail FILE ativo: mensagens gravadas em ${mailer.directory}.`);
+} else if (transportName === "console") {
+  const { default: ConsoleMailer } = await import("../mailers/ConsoleMailer.js");
+  mailer = new ConsoleMailer();
+  logger.warn("Transporte de e-mail CONSOLE ativo: nenhuma mensagem será enviada.");
+} else {
+  throw new ValidationError(
+    `Transporte de e-mail inválido (MAIL_TRANSPORT): ${transportName}. Use smtp, file ou console.`
+  );
+}
+
+export default mailer;
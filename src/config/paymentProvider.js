@@ -0,0 +1,25 @@
+import { ValidationError } from "../utils/Errors.js";
+import { logger } from "../utils/Logger.js";
+
+// Provedor de pagamento selecionado por PAYMENT_PROVIDER (efi ou mock)
+const providerName = process.env.PAYMENT_PROVIDER || "efi";
+
+let paymentProvider;
+
+// Os módulos são importados sob demanda para que o provedor mock
+// não exija o certificado e as credenciais da Efí
+if (providerName === "mock") {
+  const { default: MockProvider } = await import("../providers/MockProvider.js");
+  paymentProvider = new MockProvider();
+  logger.warn("Provedor de pagamento MOCK ativo: nenhuma cobrança real será gerada.");
+} else if (providerName === "efi") {
+  const { default: efi } = await import("./efipay.js");
+  const { default: EfiProvider } = await import("../providers/EfiProvider.js");
+  paymentProvider = new EfiProvider(efi);
+} else {
+  throw new ValidationError(
+    `Provedor de pagamento inválido (PAYMENT_PROVIDER): ${providerName}. Use efi ou mock.`
+  );
+}
+
+export default paymentProvider;
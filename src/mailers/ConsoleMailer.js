@@ -0,0 +1,18 @@
+import Mailer from "./Mailer.js";
+import { logger } from "../utils/Logger.js";
+
+/**
+ * @class ConsoleMailer
+ * @description Transporte de desenvolvimento: apenas exibe as mensagens no log
+ */
+export default class ConsoleMailer extends Mailer {
+  constructor() {
+    super("console");
+  }
+
+  async send(message) {
+    logger.info(
+      `[Mailer] Para: ${message.to.join(", ")} | Assunto: ${message.subject}\n${message.text}`
+    );
+  }
+}
@@ -0,0 +1,24 @@
+import fs from "fs";
+import path from "path";
+import Mailer from "./Mailer.js";
+
+/**
+ * @class FileMailer
+ * @description Transporte de desenvolvimento e testes: grava cada mensagem
+ * como um arquivo JSON em MAIL_FILE_DIR (padrão: ./mails)
+ */
+export default class FileMailer extends Mailer {
+  constructor() {
+    super("file");
+    this.directory = process.env.MAIL_FILE_DIR || path.join(process.cwd(), "mails");
+  }
+
+  async send(message) {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const fileName = `${Date.now()}_${Math.random().toString(36).slice(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(this.directory, fileName),
+      JSON.stringify({ from: this.from, ...message, sentAt: new Date() }, null, 2)
+    );
+  }
+}
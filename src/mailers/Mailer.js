@@ -0,0 +1,24 @@
+/**
+ * @class Mailer
+ * @description Interface dos transportes de e-mail usados pelas notificações.
+ * Cada transporte recebe a mensagem já montada pelo NotificationService.
+ */
+export default class Mailer {
+  constructor(name) {
+    this.name = name;
+    this.from = process.env.MAIL_FROM || "Doare <nao-responda@doare.local>";
+  }
+
+  /**
+   * Envia uma mensagem
+   * @param {object} message - Mensagem a ser enviada
+   * @param {string[]} message.to - Destinatários
+   * @param {string} message.subject - Assunto
+   * @param {string} message.text - Corpo em texto simples
+   * @param {string} [message.html] - Corpo em HTML
+   * @returns {Promise<void>}
+   */
+  async send(message) {
+    throw new Error(`${this.name}: send não implementado`);
+  }
+}
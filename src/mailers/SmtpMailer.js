@@ -0,0 +1,25 @@
+import nodemailer from "nodemailer";
+import Mailer from "./Mailer.js";
+
+/**
+ * @class SmtpMailer
+ * @description Transporte padrão, envia as mensagens por um servidor SMTP
+ * configurado em SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER e SMTP_PASSWORD
+ */
+export default class SmtpMailer extends Mailer {
+  constructor() {
+    super("smtp");
+    this.transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === "true",
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined,
+    });
+  }
+
+  async send(message) {
+    await this.transporter.sendMail({ from: this.from, ...message });
+  }
+}
@@ -9,6 +9,8 @@ const authWebhookUrl = process.env.GN_AUTHWEBHOOK_URL;
 const publicWebhookUrl = process.env.GN_WEBHOOK_URL;
 const certBase64 = process.env.GN_CERTIFICATE_BASE64;
 const certPass = process.env.GN_CERTIFICATE_PASSWORD;
+const webhookSecret = process.env.WEBHOOK_SECRET;
+const mtlsEnabled = process.env.WEBHOOK_MTLS_ENABLED === "true";
 
 if (
   !clientId ||
@@ -91,17 +93,26 @@ export async function webhookConfig() {
     return;
   }
 
+  /**
+   * A Efí acrescenta "/pix" ao final da URL cadastrada. Com o token na query
+   * string, a URL já aponta para /pix e o sufixo vai para o parâmetro ignorar
+   */
+  const webhookUrl = webhookSecret
+    ? `${publicWebhookUrl}/pix?hmac=${encodeURIComponent(webhookSecret)}&ignorar=`
+    : publicWebhookUrl;
+
   try {
     await axios.put(
       authWebhookUrl,
       {
-        webhookUrl: publicWebhookUrl,
+        webhookUrl,
       },
       {
         headers: {
           Authorization: `Bearer ${token}`,
           "Content-Type": "application/json",
-          "x-skip-mtls-checking": "true",
+          // Sem mTLS na aplicação, a Efí precisa pular a verificação do certificado
+          "x-skip-mtls-checking": mtlsEnabled ? "false" : "true",
         },
         httpsAgent: httpsAgent,
       }
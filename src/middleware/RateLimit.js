@@ -0,0 +1,61 @@
+import counterStore from "../config/counterStore.js";
+import { logger } from "../utils/Logger.js";
+
+/**
+ * Responde 429 com o tempo de espera no cabeçalho Retry-After
+ * @param {object} res - Resposta do Express
+ * @param {Date} resetAt - Momento em que o limite é liberado
+ */
+export function tooManyRequests(res, resetAt) {
+  const retryAfter = Math.max(1, Math.ceil((resetAt.getTime() - Date.now()) / 1000));
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({
+    message: `Muitas tentativas. Tente novamente em ${retryAfter} segundo(s).`,
+    retryAfter,
+  });
+}
+
+/**
+ * Limita a quantidade de requisições por janela de tempo
+ * O limite e a janela podem ser alterados pelo ambiente com
+ * RATE_LIMIT_<NOME>_MAX e RATE_LIMIT_<NOME>_WINDOW_SECONDS
+ *
+ * @param {object} options - Configuração do limite
+ * @param {string} options.name - Nome do limite (ex.: LOGIN_IP)
+ * @param {number} options.max - Requisições permitidas por janela
+ * @param {number} options.windowSeconds - Duração da janela em segundos
+ * @param {function} [options.key] - Identificador da requisição; padrão: IP de origem.
+ * Requisições sem identificador não são limitadas
+ */
+export const rateLimit = ({ name, max, windowSeconds, key = (req) => req.ip }) => {
+  const limit = parseInt(process.env[`RATE_LIMIT_${name}_MAX`]) || max;
+  const window =
+    parseInt(process.env[`RATE_LIMIT_${name}_WINDOW_SECONDS`]) || windowSeconds;
+
+  return async (req, res, next) => {
+    const identifier = key(req);
+    if (!identifier) return next();
+
+    let counter;
+    try {
+      counter = await counterStore.increment(`${name}:${identifier}`, window);
+    } catch (error) {
+      // Falhas no armazenamento não bloqueiam o acesso
+      logger.error(`[Limite ${name}] Falha ao contar requisição`, error);
+      return next();
+    }
+
+    res.set("RateLimit-Limit", String(limit));
+    res.set("RateLimit-Remaining", String(Math.max(0, limit - counter.count)));
+    res.set(
+      "RateLimit-Reset",
+      String(Math.ceil((counter.resetAt.getTime() - Date.now()) / 1000))
+    );
+
+    if (counter.count > limit) {
+      logger.warn(`[Limite ${name}] Limite excedido por ${identifier} (${req.ip}).`);
+      return tooManyRequests(res, counter.resetAt);
+    }
+    next();
+  };
+};
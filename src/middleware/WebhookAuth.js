@@ -0,0 +1,99 @@
+import crypto from "crypto";
+import { logger } from "../utils/Logger.js";
+
+// Com o provedor mock, um segredo padrão permite que os webhooks simulados
+// sejam aceitos sem configuração; com a Efí, WEBHOOK_SECRET é obrigatório
+const mockWebhookSecret = "mock-webhook-secret";
+const webhookSecret =
+  process.env.WEBHOOK_SECRET ||
+  (process.env.PAYMENT_PROVIDER === "mock" ? mockWebhookSecret : undefined);
+const mtlsEnabled = process.env.WEBHOOK_MTLS_ENABLED === "true";
+
+// Tentativas rejeitadas desde a inicialização, agrupadas por motivo
+const rejections = {
+  total: 0,
+  byReason: {},
+  lastRejectedAt: null,
+};
+
+/**
+ * Compara dois valores em tempo constante, evitando ataques de tempo
+ */
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+/**
+ * Assinatura HMAC-SHA256 (hex) do corpo bruto da requisição
+ * @param {string} rawBody - Corpo recebido, sem conversão
+ * @returns {string}
+ */
+export function signWebhookPayload(rawBody) {
+  return crypto
+    .createHmac("sha256", webhookSecret)
+    .update(rawBody || "")
+    .digest("hex");
+}
+
+function reject(req, res, reason) {
+  rejections.total++;
+  rejections.byReason[reason] = (rejections.byReason[reason] || 0) + 1;
+  rejections.lastRejectedAt = new Date().toISOString();
+
+  logger.warn(
+    `[Webhook Pix] Notificação rejeitada (${reason}) de ${req.ip} em ${req.originalUrl.split("?")[0]}.`
+  );
+  return res.status(401).json({ message: "Notificação não autorizada." });
+}
+
+/**
+ * Verifica a autenticidade das notificações de webhook Pix.
+ * Aceita a requisição quando:
+ * - o TLS termina na aplicação (WEBHOOK_MTLS_ENABLED=true) e o certificado
+ *   de cliente foi validado pela CA da Efí; ou
+ * - o token da query string (hmac) ou o cabeçalho x-webhook-signature
+ *   conferem com WEBHOOK_SECRET.
+ */
+export const verifyWebhook = (req, res, next) => {
+  if (mtlsEnabled && req.socket.authorized) {
+    const certificate = req.socket.getPeerCertificate?.();
+    if (certificate && Object.keys(certificate).length > 0) {
+      return next();
+    }
+  }
+
+  if (!webhookSecret) {
+    return reject(
+      req,
+      res,
+      mtlsEnabled ? "certificado_invalido" : "verificacao_nao_configurada"
+    );
+  }
+
+  const token = req.query.hmac;
+  if (token && safeEqual(token, webhookSecret)) {
+    return next();
+  }
+
+  const signature = req.get("x-webhook-signature");
+  if (signature && safeEqual(signature, signWebhookPayload(req.rawBody))) {
+    return next();
+  }
+
+  return reject(req, res, token || signature ? "segredo_invalido" : "sem_credencial");
+};
+
+/**
+ * Resumo das notificações rejeitadas desde a inicialização
+ */
+export const getWebhookRejections = () => ({
+  ...rejections,
+  byReason: { ...rejections.byReason },
+});
+
+export default verifyWebhook;
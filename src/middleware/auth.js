@@ -1,5 +1,12 @@
 import jwt from "jsonwebtoken"
+import { rolePermissions } from "../utils/Roles.js"
+import { ApiKeyService } from "../service/ApiKeyService.js"
+import { SessionService } from "../service/SessionService.js"
 
+/**
+ * Valida o access token do cookie e a sessão de origem (campo sid), para que
+ * logout e revogações encerrem o acesso antes do token vencer
+ */
 export const authenticateToken = (req, res, next) => {
   const token = req.cookies.accessToken 
 
@@ -7,18 +14,111 @@ export const authenticateToken = (req, res, next) => {
     return res.status(401).json({ error: "Token de acesso requerido" })
   }
 
-  jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-    if (err) {
+  jwt.verify(token, process.env.JWT_SECRET, async (err, user) => {
+    // Tokens de pré-autenticação só valem para a segunda etapa do login
+    if (err || user.aud === preAuthAudience) {
       return res.status(403).json({ error: "Token inválido ou expirado" })
     }
+
+    try {
+      if (!user.sid || !(await SessionService.isSessionActive(user.sid))) {
+        return res.status(403).json({ error: "Sessão encerrada" })
+      }
+    } catch (error) {
+      return next(error)
+    }
+
     req.user = user
     next()
   })
 }
 
+/**
+ * Aceita uma chave de API no cabeçalho Authorization: Bearer dk_...;
+ * sem o cabeçalho, segue a autenticação por cookie de authenticateToken.
+ * As chaves só têm acesso às permissões dos seus escopos
+ */
+export const authenticateTokenOrApiKey = async (req, res, next) => {
+  const [scheme, credential] = (req.get("Authorization") || "").split(" ")
+
+  if (scheme !== "Bearer" || !credential) {
+    return authenticateToken(req, res, next)
+  }
+
+  try {
+    const apiKey = await ApiKeyService.authenticate(credential, req.ip)
+    if (!apiKey) {
+      return res.status(401).json({ error: "Chave de API inválida ou expirada" })
+    }
+
+    req.user = {
+      id: `api-key:${apiKey.id}`,
+      login: `api-key:${apiKey.name}`,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes,
+    }
+    next()
+  } catch (error) {
+    next(error)
+  }
+}
+
+/**
+ * Valida o token de pré-autenticação emitido após a senha, enviado no corpo
+ * da requisição, nas rotas da verificação em duas etapas do login
+ */
+export const authenticatePreAuth = (req, res, next) => {
+  const token = req.body?.preAuthToken
+
+  if (!token) {
+    return res.status(401).json({ error: "Token de pré-autenticação requerido" })
+  }
+
+  jwt.verify(
+    token,
+    process.env.JWT_SECRET,
+    { audience: preAuthAudience },
+    (err, user) => {
+      if (err) {
+        return res.status(403).json({ error: "Token inválido ou expirado" })
+      }
+      req.user = user
+      next()
+    }
+  )
+}
+
+/**
+ * Permite o acesso apenas aos perfis (ou escopos de chave de API) que têm a
+ * permissão informada. Deve ser usado depois de authenticateToken
+ * @param {string} permission - Permissão exigida (ex.: "donations:read")
+ */
+export const authorize = (permission) => (req, res, next) => {
+  const permissions = req.user?.scopes || rolePermissions[req.user?.role] || []
+
+  if (!permissions.includes(permission)) {
+    return res.status(403).json({ error: "Permissão insuficiente" })
+  }
+  next()
+}
+
+// O access token dura pouco; a sessão é mantida pelo refresh token
+export const accessTokenTtlMinutes =
+  parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES) || 15
+
 export const generateToken = (payload) => {
   return jwt.sign(payload, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "24h",
+    expiresIn: `${accessTokenTtlMinutes}m`,
+  })
+}
+
+const preAuthAudience = "pre-auth"
+const preAuthTtlMinutes = parseInt(process.env.PRE_AUTH_TOKEN_TTL_MINUTES) || 5
+
+export const generatePreAuthToken = (payload) => {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: `${preAuthTtlMinutes}m`,
+    audience: preAuthAudience,
   })
 }
 
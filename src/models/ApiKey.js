@@ -0,0 +1,95 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class ApiKey {
+  constructor({
+    id,
+    name,
+    prefix,
+    keyHash,
+    scopes,
+    expiresAt,
+    createdBy,
+    createdAt,
+    revokedAt,
+    lastUsedAt,
+    lastUsedIp,
+  }) {
+    this.id = id;
+    this.name = name;
+    // Início da chave, exibido para identificá-la nas listagens
+    this.prefix = prefix;
+    this.keyHash = keyHash;
+    this.scopes = scopes || [];
+    this.expiresAt = this.convertToDate(expiresAt);
+    this.createdBy = createdBy ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+    this.revokedAt = this.convertToDate(revokedAt) ?? null;
+    this.lastUsedAt = this.convertToDate(lastUsedAt) ?? null;
+    this.lastUsedIp = lastUsedIp ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  isActive(date = new Date()) {
+    return !this.revokedAt && this.expiresAt > date;
+  }
+
+  // Dados exibidos nas listagens; a chave só é mostrada no cadastro
+  toPublic() {
+    const { keyHash, ...apiKey } = this;
+    return { ...apiKey, active: this.isActive() };
+  }
+
+  async save() {
+    const dataToSave = {
+      name: this.name,
+      prefix: this.prefix,
+      keyHash: this.keyHash,
+      scopes: this.scopes,
+      expiresAt: this.toTimestamp(this.expiresAt),
+      createdBy: this.createdBy,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      revokedAt: this.toTimestamp(this.revokedAt),
+      lastUsedAt: this.toTimestamp(this.lastUsedAt),
+      lastUsedIp: this.lastUsedIp,
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("api_keys").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("api_keys").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar chave de API: ${error.message}`);
+    }
+  }
+}
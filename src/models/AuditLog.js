@@ -0,0 +1,69 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class AuditLog {
+  constructor({
+    id,
+    actor,
+    action,
+    entity,
+    entityId,
+    changes,
+    metadata,
+    ip,
+    createdAt,
+  }) {
+    this.id = id;
+    this.actor = actor ?? null;
+    this.action = action;
+    this.entity = entity;
+    this.entityId = entityId ?? null;
+    // Campos alterados no formato { campo: { before, after } }
+    this.changes = changes ?? null;
+    this.metadata = metadata ?? null;
+    this.ip = ip ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Registros de auditoria são apenas inseridos, nunca alterados ou removidos
+  async save() {
+    if (this.id) {
+      throw new DatabaseError("Registros de auditoria não podem ser alterados.");
+    }
+
+    const dataToSave = {
+      actor: this.actor,
+      action: this.action,
+      entity: this.entity,
+      entityId: this.entityId,
+      changes: this.changes,
+      metadata: this.metadata,
+      ip: this.ip,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    try {
+      const docRef = await db.collection("audit_logs").add(dataToSave);
+      this.id = docRef.id;
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar registro de auditoria: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,79 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class Campaign {
+  constructor({
+    id,
+    title,
+    description,
+    targetAmount,
+    startDate,
+    endDate,
+    status,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id;
+    this.title = title;
+    this.description = description ?? null;
+    this.targetAmount = parseFloat(targetAmount);
+    this.startDate = startDate;
+    this.endDate = endDate;
+    this.status = status;
+    this.createdAt = this.convertToDate(createdAt);
+    this.updatedAt = this.convertToDate(updatedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Indica se a campanha aceita doações na data informada (YYYY-MM-DD)
+  isOpen(date = new Date().toISOString().slice(0, 10)) {
+    return (
+      this.status === "ATIVA" && this.startDate <= date && this.endDate >= date
+    );
+  }
+
+  async save() {
+    const dataToSave = {
+      title: this.title,
+      description: this.description,
+      targetAmount: this.targetAmount,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      status: this.status,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("campaigns").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("campaigns").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar campanha: ${error.message}`);
+    }
+  }
+}
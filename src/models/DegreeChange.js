@@ -0,0 +1,81 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class DegreeChange {
+  constructor({
+    id,
+    partnerId,
+    fromDegree,
+    toDegree,
+    effectiveDate,
+    ceremony,
+    skippedDegrees,
+    recordedBy,
+    createdAt,
+  }) {
+    this.id = id;
+    this.partnerId = partnerId;
+    // Nulo no registro inicial, feito no cadastro do parceiro
+    this.fromDegree = fromDegree ?? null;
+    this.toDegree = toDegree;
+    // Data da cerimônia (YYYY-MM-DD); nula quando desconhecida, como nos cadastros antigos
+    this.effectiveDate = effectiveDate ?? null;
+    this.ceremony = ceremony ?? null;
+    // Graus pulados na mudança, registrados como alerta
+    this.skippedDegrees = skippedDegrees ?? [];
+    this.recordedBy = recordedBy ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Dados gravados na coleção degree_history; também usados na importação em lote
+  toFirestore() {
+    return {
+      partnerId: this.partnerId,
+      fromDegree: this.fromDegree,
+      toDegree: this.toDegree,
+      effectiveDate: this.effectiveDate,
+      ceremony: this.ceremony,
+      skippedDegrees: this.skippedDegrees,
+      recordedBy: this.recordedBy,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+    };
+  }
+
+  async save() {
+    const dataToSave = this.toFirestore();
+
+    try {
+      if (this.id) {
+        await db
+          .collection("degree_history")
+          .doc(this.id)
+          .set(dataToSave, { merge: true });
+      } else {
+        const docRef = await db.collection("degree_history").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar histórico de grau: ${error.message}`);
+    }
+  }
+}
@@ -1,31 +1,63 @@
 import admin from "../config/db.js";
 const db = admin.firestore();
 import { DatabaseError } from "../utils/Errors.js";
+import DonorType from "../utils/DonorTypes.js";
 
 export default class Donation {
   constructor({
     id,
+    donorType,
     donorCPF,
+    donorCNPJ,
     donorName,
     donorCIM,
+    partnerId,
+    donorId,
+    recurrenceId,
+    campaignId,
+    campaignTitle,
+    chargeType,
     amount,
     txId,
     locId,
     qrCode,
     copyPaste,
     status,
+    expiresAt,
+    paidAt,
+    endToEndId,
+    refunds,
+    refundedAmount,
     createdAt,
   }) {
     this.id = id;
-    this.donorCPF = donorCPF;
+    this.donorCPF = donorCPF ?? null;
+    this.donorCNPJ = donorCNPJ ?? null;
     this.donorName = donorName;
-    this.donorCIM = donorCIM;
+    this.donorCIM = donorCIM ?? null;
+    this.partnerId = partnerId ?? null;
+    this.donorId = donorId ?? null;
+    // Doações anteriores ao tipo de doador eram sempre de parceiros
+    this.donorType =
+      donorType ||
+      (this.partnerId || this.donorCIM || this.donorCPF
+        ? DonorType.PARTNER
+        : DonorType.ANONYMOUS);
+    this.recurrenceId = recurrenceId ?? null;
+    this.campaignId = campaignId ?? null;
+    this.campaignTitle = campaignTitle ?? null;
+    this.chargeType = chargeType || "cob";
     this.amount = parseFloat(amount);
     this.txId = txId;
     this.locId = locId;
     this.qrCode = qrCode;
     this.copyPaste = copyPaste;
     this.status = status;
+    this.expiresAt = this.convertToDate(expiresAt) ?? null;
+    this.paidAt = this.convertToDate(paidAt) ?? null;
+    this.endToEndId = endToEndId ?? null;
+    this.refunds = refunds || [];
+    this.refundedAmount = parseFloat(refundedAmount) || 0;
     this.createdAt = this.convertToDate(createdAt);
   }
 
@@ -44,22 +76,52 @@ export default class Donation {
     }
   }
 
-  async save() {
-    const dataToSave = {
+  // Valor efetivamente arrecadado, descontadas as devoluções concluídas
+  netAmount() {
+    return this.amount - this.refundedAmount;
+  }
+
+  // Converte datas para Timestamp do Firestore, mantendo null quando ausente
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  // Dados gravados na coleção donations; também usados em transações
+  toFirestore() {
+    return {
+      donorType: this.donorType,
       donorCPF: this.donorCPF,
+      donorCNPJ: this.donorCNPJ,
       donorName: this.donorName,
       donorCIM: this.donorCIM,
+      partnerId: this.partnerId,
+      donorId: this.donorId,
+      recurrenceId: this.recurrenceId,
+      campaignId: this.campaignId,
+      campaignTitle: this.campaignTitle,
+      chargeType: this.chargeType,
       amount: this.amount,
       txId: this.txId,
       locId: this.locId,
       qrCode: this.qrCode,
       copyPaste: this.copyPaste,
       status: this.status,
+      expiresAt: this.toTimestamp(this.expiresAt),
+      paidAt: this.toTimestamp(this.paidAt),
+      endToEndId: this.endToEndId,
+      refunds: this.refunds,
+      refundedAmount: this.refundedAmount,
       createdAt:
         this.createdAt instanceof Date
           ? admin.firestore.Timestamp.fromDate(this.createdAt)
           : this.createdAt || admin.firestore.FieldValue.serverTimestamp(),
     };
+  }
+
+  async save() {
+    const dataToSave = this.toFirestore();
 
     let docRef;
     try {
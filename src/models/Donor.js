@@ -0,0 +1,54 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class Donor {
+  constructor({ id, document, documentType, name, createdAt }) {
+    this.id = id;
+    this.document = document;
+    this.documentType = documentType;
+    this.name = name;
+    this.createdAt = this.convertToDate(createdAt);
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  async save() {
+    const dataToSave = {
+      document: this.document,
+      documentType: this.documentType,
+      name: this.name,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : this.createdAt || admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("donors").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("donors").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar doador: ${error}`);
+    }
+  }
+}
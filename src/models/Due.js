@@ -0,0 +1,108 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class Due {
+  constructor({
+    id,
+    partnerId,
+    partnerCPF,
+    partnerName,
+    partnerCIM,
+    referenceMonth,
+    amount,
+    dueDate,
+    rules,
+    txId,
+    locId,
+    qrCode,
+    copyPaste,
+    status,
+    amountPaid,
+    paidAt,
+    endToEndId,
+    createdAt,
+  }) {
+    this.id = id;
+    this.partnerId = partnerId;
+    this.partnerCPF = partnerCPF;
+    this.partnerName = partnerName;
+    this.partnerCIM = partnerCIM ?? null;
+    this.referenceMonth = referenceMonth;
+    this.amount = parseFloat(amount);
+    this.dueDate = dueDate;
+    this.rules = rules || {};
+    this.txId = txId;
+    this.locId = locId;
+    this.qrCode = qrCode ?? null;
+    this.copyPaste = copyPaste ?? null;
+    this.status = status;
+    this.amountPaid = amountPaid ? parseFloat(amountPaid) : null;
+    this.paidAt = this.convertToDate(paidAt) ?? null;
+    this.endToEndId = endToEndId ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Mensalidade em aberto com vencimento (YYYY-MM-DD) anterior à data de referência
+  isOverdue(referenceDate = new Date()) {
+    const today = referenceDate.toISOString().slice(0, 10);
+    return this.status === "ABERTA" && this.dueDate < today;
+  }
+
+  async save() {
+    const dataToSave = {
+      partnerId: this.partnerId,
+      partnerCPF: this.partnerCPF,
+      partnerName: this.partnerName,
+      partnerCIM: this.partnerCIM,
+      referenceMonth: this.referenceMonth,
+      amount: this.amount,
+      dueDate: this.dueDate,
+      rules: this.rules,
+      txId: this.txId,
+      locId: this.locId,
+      qrCode: this.qrCode,
+      copyPaste: this.copyPaste,
+      status: this.status,
+      amountPaid: this.amountPaid,
+      paidAt:
+        this.paidAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.paidAt)
+          : null,
+      endToEndId: this.endToEndId,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("dues").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("dues").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar mensalidade: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,43 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class NotificationSettings {
+  constructor({ events, updatedBy, updatedAt }) {
+    // Cada evento guarda { enabled, recipients }
+    this.events = events || {};
+    this.updatedBy = updatedBy ?? null;
+    this.updatedAt = this.convertToDate(updatedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  async save() {
+    const dataToSave = {
+      events: this.events,
+      updatedBy: this.updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    try {
+      // Configuração única, guardada em um documento fixo
+      await db.collection("settings").doc("notifications").set(dataToSave);
+      return dataToSave;
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar configurações de notificação: ${error}`);
+    }
+  }
+}
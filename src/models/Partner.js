@@ -11,6 +11,10 @@ export default class Partner {
     degree,
     profession,
     dateOfBirth,
+    status,
+    archivedAt,
+    deletedAt,
+    deletedBy,
     createdAt,
   }) {
     this.id = id;
@@ -20,6 +24,12 @@ export default class Partner {
     this.degree = degree;
     this.profession = profession;
     this.dateOfBirth = dateOfBirth;
+    // Parceiros que deixaram a loja ficam ARQUIVADO; cadastros antigos não têm status
+    this.status = status || "ATIVO";
+    this.archivedAt = this.convertToDate(archivedAt) ?? null;
+    // Exclusão lógica: o cadastro fica na lixeira até ser restaurado ou expurgado
+    this.deletedAt = this.convertToDate(deletedAt) ?? null;
+    this.deletedBy = deletedBy ?? null;
     this.createdAt = this.convertToDate(createdAt);
   }
 
@@ -35,20 +45,34 @@ export default class Partner {
     }
   }
 
-  async save() {
-    const dataToSave = {
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  // Dados gravados na coleção partners; também usados na importação em lote
+  toFirestore() {
+    return {
       cpf: this.cpf,
       name: this.name,
       cim: this.cim,
       degree: this.degree,
       profession: this.profession,
       dateOfBirth: this.dateOfBirth,
+      status: this.status,
+      archivedAt: this.toTimestamp(this.archivedAt),
+      deletedAt: this.toTimestamp(this.deletedAt),
+      deletedBy: this.deletedBy,
       createdAt:
         this.createdAt instanceof Date
           ? admin.firestore.Timestamp.fromDate(this.createdAt)
           : this.createdAt || admin.firestore.FieldValue.serverTimestamp(),
     };
+  }
 
+  async save() {
+    const dataToSave = this.toFirestore();
     let docRef;
 
     try {
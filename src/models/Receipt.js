@@ -0,0 +1,69 @@
+import admin from "../config/db.js";
+
+export default class Receipt {
+  constructor({
+    id,
+    number,
+    txId,
+    donationId,
+    donorName,
+    donorDocument,
+    amount,
+    paidAt,
+    endToEndId,
+    campaignTitle,
+    verificationCode,
+    issuedAt,
+  }) {
+    this.id = id;
+    this.number = number;
+    this.txId = txId;
+    this.donationId = donationId;
+    this.donorName = donorName;
+    this.donorDocument = donorDocument;
+    this.amount = parseFloat(amount);
+    this.paidAt = this.convertToDate(paidAt) ?? null;
+    this.endToEndId = endToEndId ?? null;
+    this.campaignTitle = campaignTitle ?? null;
+    this.verificationCode = verificationCode;
+    this.issuedAt = this.convertToDate(issuedAt);
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Dados gravados na coleção receipts; a numeração exige gravação em transação
+  toFirestore() {
+    return {
+      number: this.number,
+      txId: this.txId,
+      donationId: this.donationId,
+      donorName: this.donorName,
+      donorDocument: this.donorDocument,
+      amount: this.amount,
+      paidAt:
+        this.paidAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.paidAt)
+          : null,
+      endToEndId: this.endToEndId,
+      campaignTitle: this.campaignTitle,
+      verificationCode: this.verificationCode,
+      issuedAt:
+        this.issuedAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.issuedAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+    };
+  }
+}
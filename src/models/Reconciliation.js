@@ -0,0 +1,91 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class Reconciliation {
+  constructor({
+    id,
+    startDate,
+    endDate,
+    trigger,
+    triggeredBy,
+    status,
+    summary,
+    discrepancies,
+    error,
+    startedAt,
+    finishedAt,
+  }) {
+    this.id = id;
+    this.startDate = this.convertToDate(startDate);
+    this.endDate = this.convertToDate(endDate);
+    this.trigger = trigger;
+    this.triggeredBy = triggeredBy ?? null;
+    this.status = status;
+    this.summary = summary || {
+      receivedChecked: 0,
+      chargesChecked: 0,
+      created: 0,
+      updated: 0,
+      unchanged: 0,
+      failed: 0,
+    };
+    this.discrepancies = discrepancies || [];
+    this.error = error ?? null;
+    this.startedAt = this.convertToDate(startedAt);
+    this.finishedAt = this.convertToDate(finishedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  async save() {
+    const dataToSave = {
+      startDate: this.toTimestamp(this.startDate),
+      endDate: this.toTimestamp(this.endDate),
+      trigger: this.trigger,
+      triggeredBy: this.triggeredBy,
+      status: this.status,
+      summary: this.summary,
+      discrepancies: this.discrepancies,
+      error: this.error,
+      startedAt:
+        this.startedAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.startedAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      finishedAt: this.toTimestamp(this.finishedAt),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("reconciliations").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("reconciliations").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar a conciliação: ${error.message}`);
+    }
+  }
+}
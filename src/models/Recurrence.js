@@ -0,0 +1,90 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class Recurrence {
+  constructor({
+    id,
+    partnerId,
+    donorCPF,
+    donorName,
+    donorCIM,
+    amount,
+    periodicity,
+    startDate,
+    endDate,
+    nextChargeDate,
+    status,
+    chargesIssued,
+    lastChargeTxId,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id;
+    this.partnerId = partnerId;
+    this.donorCPF = donorCPF;
+    this.donorName = donorName;
+    this.donorCIM = donorCIM ?? null;
+    this.amount = parseFloat(amount);
+    this.periodicity = periodicity;
+    this.startDate = startDate;
+    this.endDate = endDate ?? null;
+    this.nextChargeDate = nextChargeDate;
+    this.status = status;
+    this.chargesIssued = chargesIssued || 0;
+    this.lastChargeTxId = lastChargeTxId ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+    this.updatedAt = this.convertToDate(updatedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  async save() {
+    const dataToSave = {
+      partnerId: this.partnerId,
+      donorCPF: this.donorCPF,
+      donorName: this.donorName,
+      donorCIM: this.donorCIM,
+      amount: this.amount,
+      periodicity: this.periodicity,
+      startDate: this.startDate,
+      endDate: this.endDate,
+      nextChargeDate: this.nextChargeDate,
+      status: this.status,
+      chargesIssued: this.chargesIssued,
+      lastChargeTxId: this.lastChargeTxId,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("recurrences").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("recurrences").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar recorrência: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,43 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class SecuritySettings {
+  constructor({ twoFactorRequiredRoles, updatedBy, updatedAt }) {
+    // Perfis que só entram no painel com a verificação em duas etapas
+    this.twoFactorRequiredRoles = twoFactorRequiredRoles || [];
+    this.updatedBy = updatedBy ?? null;
+    this.updatedAt = this.convertToDate(updatedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  async save() {
+    const dataToSave = {
+      twoFactorRequiredRoles: this.twoFactorRequiredRoles,
+      updatedBy: this.updatedBy,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    try {
+      // Configuração única, guardada em um documento fixo
+      await db.collection("settings").doc("security").set(dataToSave);
+      return dataToSave;
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar configurações de segurança: ${error}`);
+    }
+  }
+}
@@ -0,0 +1,101 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class Session {
+  constructor({
+    id,
+    userId,
+    login,
+    role,
+    refreshTokenHash,
+    rotatedTokenHashes,
+    userAgent,
+    ip,
+    createdAt,
+    lastUsedAt,
+    expiresAt,
+    revokedAt,
+    revokedReason,
+  }) {
+    this.id = id;
+    this.userId = userId;
+    this.login = login;
+    this.role = role;
+    this.refreshTokenHash = refreshTokenHash;
+    // Hashes dos tokens já trocados, usados para detectar reutilização
+    this.rotatedTokenHashes = rotatedTokenHashes || [];
+    this.userAgent = userAgent ?? null;
+    this.ip = ip ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+    this.lastUsedAt = this.convertToDate(lastUsedAt) ?? null;
+    this.expiresAt = this.convertToDate(expiresAt);
+    this.revokedAt = this.convertToDate(revokedAt) ?? null;
+    this.revokedReason = revokedReason ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  isActive(date = new Date()) {
+    return !this.revokedAt && this.expiresAt > date;
+  }
+
+  // Dados exibidos na listagem de sessões, sem os hashes dos tokens
+  toPublic() {
+    const { refreshTokenHash, rotatedTokenHashes, ...session } = this;
+    return session;
+  }
+
+  async save() {
+    const dataToSave = {
+      userId: this.userId,
+      login: this.login,
+      role: this.role,
+      refreshTokenHash: this.refreshTokenHash,
+      rotatedTokenHashes: this.rotatedTokenHashes,
+      userAgent: this.userAgent,
+      ip: this.ip,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      lastUsedAt: this.toTimestamp(this.lastUsedAt),
+      expiresAt: this.toTimestamp(this.expiresAt),
+      revokedAt: this.toTimestamp(this.revokedAt),
+      revokedReason: this.revokedReason,
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("sessions").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("sessions").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar sessão: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,105 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class User {
+  constructor({
+    id,
+    login,
+    name,
+    email,
+    passwordHash,
+    role,
+    active,
+    twoFactorEnabled,
+    twoFactorSecret,
+    twoFactorPendingSecret,
+    twoFactorLastStep,
+    recoveryCodeHashes,
+    createdBy,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id;
+    this.login = login;
+    this.name = name;
+    this.email = email ?? null;
+    this.passwordHash = passwordHash;
+    this.role = role;
+    this.active = active ?? true;
+    this.twoFactorEnabled = twoFactorEnabled ?? false;
+    this.twoFactorSecret = twoFactorSecret ?? null;
+    // Segredo gerado no cadastro do autenticador, ativado após a confirmação
+    this.twoFactorPendingSecret = twoFactorPendingSecret ?? null;
+    // Último passo TOTP aceito, para impedir a reutilização do mesmo código
+    this.twoFactorLastStep = twoFactorLastStep ?? null;
+    this.recoveryCodeHashes = recoveryCodeHashes || [];
+    this.createdBy = createdBy ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+    this.updatedAt = this.convertToDate(updatedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Dados expostos nas respostas; hashes e segredos nunca saem do serviço
+  toPublic() {
+    const {
+      passwordHash,
+      twoFactorSecret,
+      twoFactorPendingSecret,
+      twoFactorLastStep,
+      recoveryCodeHashes,
+      ...user
+    } = this;
+    return { ...user, recoveryCodesLeft: recoveryCodeHashes.length };
+  }
+
+  async save() {
+    const dataToSave = {
+      login: this.login,
+      name: this.name,
+      email: this.email,
+      passwordHash: this.passwordHash,
+      role: this.role,
+      active: this.active,
+      twoFactorEnabled: this.twoFactorEnabled,
+      twoFactorSecret: this.twoFactorSecret,
+      twoFactorPendingSecret: this.twoFactorPendingSecret,
+      twoFactorLastStep: this.twoFactorLastStep,
+      recoveryCodeHashes: this.recoveryCodeHashes,
+      createdBy: this.createdBy,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("users").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("users").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar usuário: ${error.message}`);
+    }
+  }
+}
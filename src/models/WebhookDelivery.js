@@ -0,0 +1,87 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class WebhookDelivery {
+  constructor({
+    id,
+    subscriptionId,
+    url,
+    event,
+    payload,
+    status,
+    attempts,
+    lastStatusCode,
+    lastError,
+    nextAttemptAt,
+    createdAt,
+    deliveredAt,
+  }) {
+    this.id = id;
+    this.subscriptionId = subscriptionId;
+    this.url = url;
+    this.event = event;
+    this.payload = payload;
+    this.status = status;
+    this.attempts = attempts || 0;
+    this.lastStatusCode = lastStatusCode ?? null;
+    this.lastError = lastError ?? null;
+    this.nextAttemptAt = this.convertToDate(nextAttemptAt) ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+    this.deliveredAt = this.convertToDate(deliveredAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  async save() {
+    const dataToSave = {
+      subscriptionId: this.subscriptionId,
+      url: this.url,
+      event: this.event,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      lastStatusCode: this.lastStatusCode,
+      lastError: this.lastError,
+      nextAttemptAt: this.toTimestamp(this.nextAttemptAt),
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      deliveredAt: this.toTimestamp(this.deliveredAt),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("webhook_deliveries").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("webhook_deliveries").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar entrega de webhook: ${error.message}`);
+    }
+  }
+}
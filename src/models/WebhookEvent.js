@@ -0,0 +1,81 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class WebhookEvent {
+  constructor({
+    id,
+    txId,
+    payload,
+    status,
+    attempts,
+    lastError,
+    nextAttemptAt,
+    attemptStartedAt,
+    receivedAt,
+    processedAt,
+  }) {
+    this.id = id;
+    this.txId = txId ?? null;
+    this.payload = payload;
+    this.status = status;
+    this.attempts = attempts || 0;
+    this.lastError = lastError ?? null;
+    this.nextAttemptAt = this.convertToDate(nextAttemptAt) ?? null;
+    this.attemptStartedAt = this.convertToDate(attemptStartedAt) ?? null;
+    this.receivedAt = this.convertToDate(receivedAt);
+    this.processedAt = this.convertToDate(processedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  toTimestamp(date) {
+    return date instanceof Date
+      ? admin.firestore.Timestamp.fromDate(date)
+      : date ?? null;
+  }
+
+  async save() {
+    const dataToSave = {
+      txId: this.txId,
+      payload: this.payload,
+      status: this.status,
+      attempts: this.attempts,
+      lastError: this.lastError,
+      nextAttemptAt: this.toTimestamp(this.nextAttemptAt),
+      attemptStartedAt: this.toTimestamp(this.attemptStartedAt),
+      receivedAt:
+        this.receivedAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.receivedAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      processedAt: this.toTimestamp(this.processedAt),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("webhook_events").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("webhook_events").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar evento de webhook: ${error.message}`);
+    }
+  }
+}
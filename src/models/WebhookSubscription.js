@@ -0,0 +1,78 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { DatabaseError } from "../utils/Errors.js";
+
+export default class WebhookSubscription {
+  constructor({
+    id,
+    url,
+    events,
+    secret,
+    description,
+    active,
+    createdBy,
+    createdAt,
+    updatedAt,
+  }) {
+    this.id = id;
+    this.url = url;
+    this.events = events || [];
+    this.secret = secret;
+    this.description = description ?? null;
+    this.active = active ?? true;
+    this.createdBy = createdBy ?? null;
+    this.createdAt = this.convertToDate(createdAt);
+    this.updatedAt = this.convertToDate(updatedAt) ?? null;
+  }
+
+  convertToDate(timestamp) {
+    if (
+      timestamp &&
+      typeof timestamp._seconds === "number" &&
+      typeof timestamp._nanoseconds === "number"
+    ) {
+      return new Date(
+        timestamp._seconds * 1000 + timestamp._nanoseconds / 1_000_000
+      );
+    }
+    if (timestamp instanceof Date) {
+      return timestamp;
+    }
+  }
+
+  // Dados expostos nas listagens; o segredo só é exibido no cadastro
+  toPublic() {
+    const { secret, ...subscription } = this;
+    return subscription;
+  }
+
+  async save() {
+    const dataToSave = {
+      url: this.url,
+      events: this.events,
+      secret: this.secret,
+      description: this.description,
+      active: this.active,
+      createdBy: this.createdBy,
+      createdAt:
+        this.createdAt instanceof Date
+          ? admin.firestore.Timestamp.fromDate(this.createdAt)
+          : admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+
+    let docRef;
+    try {
+      if (this.id) {
+        docRef = db.collection("webhook_subscriptions").doc(this.id);
+        await docRef.set(dataToSave, { merge: true });
+      } else {
+        docRef = await db.collection("webhook_subscriptions").add(dataToSave);
+        this.id = docRef.id;
+      }
+      return { id: this.id, ...dataToSave };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao salvar assinatura de webhook: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,51 @@
+import PaymentProvider from "./PaymentProvider.js";
+
+/**
+ * @class EfiProvider
+ * @description Provedor de pagamento que usa o SDK da Efí (gn-api-sdk-node)
+ */
+export default class EfiProvider extends PaymentProvider {
+  /**
+   * @param {object} efi - Instância do SDK configurada em config/efipay.js
+   */
+  constructor(efi) {
+    super("efi");
+    this.efi = efi;
+    // Desabilita a validação MTLS(Apenas em ambiente de desenvolvimento)
+    this.efi["validateMtls"] = false;
+  }
+
+  async createCharge(txId, body) {
+    return this.efi.pixCreateCharge({ txid: txId }, body);
+  }
+
+  async detailCharge(txId) {
+    return this.efi.pixDetailCharge({ txid: txId });
+  }
+
+  async createDueCharge(txId, body) {
+    return this.efi.pixCreateDueCharge({ txid: txId }, body);
+  }
+
+  async detailDueCharge(txId) {
+    return this.efi.pixDetailDueCharge({ txid: txId });
+  }
+
+  async refund(endToEndId, refundId, body) {
+    return this.efi.pixDevolution({ e2eId: endToEndId, id: refundId }, body);
+  }
+
+  async listReceived(query) {
+    return this.efi.pixReceivedList(query);
+  }
+
+  async listCharges(query) {
+    return this.efi.pixListCharges(query);
+  }
+
+  async registerWebhook() {
+    // Importado sob demanda: o módulo valida as credenciais da Efí ao ser carregado
+    const { default: webhookConfig } = await import("../middleware/EFIAuth.js");
+    return webhookConfig();
+  }
+}
@@ -0,0 +1,235 @@
+import axios from "axios";
+import { v4 as uuidv4 } from "uuid";
+import PaymentProvider from "./PaymentProvider.js";
+import { logger } from "../utils/Logger.js";
+import { signWebhookPayload } from "../middleware/WebhookAuth.js";
+
+/**
+ * Cria um erro no mesmo formato dos erros de API lançados pelo SDK,
+ * para que o PixService os trate da mesma forma
+ */
+function apiError(status, nome, mensagem) {
+  const error = new Error(mensagem);
+  error.response = { status, data: { nome, mensagem } };
+  return error;
+}
+
+// Campo EMV no formato ID + tamanho + valor
+function emvField(id, value) {
+  return `${id}${String(value.length).padStart(2, "0")}${value}`;
+}
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF), exigido pelo BR Code
+function crc16(payload) {
+  let crc = 0xffff;
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+}
+
+/**
+ * @class MockProvider
+ * @description Provedor de pagamento local, sem comunicação com a Efí.
+ * Guarda as cobranças em memória, gera txIds e BR Codes fictícios e permite
+ * simular o pagamento, disparando o mesmo webhook enviado pela Efí.
+ */
+export default class MockProvider extends PaymentProvider {
+  constructor() {
+    super("mock");
+    this.charges = new Map();
+    this.webhookUrl =
+      process.env.MOCK_WEBHOOK_URL ||
+      `http://localhost:${process.env.PORT}/api/webhook/pix`;
+  }
+
+  /**
+   * Monta um BR Code (Pix Copia e Cola) dinâmico fictício
+   */
+  buildBrCode(location, amount) {
+    const payload =
+      emvField("00", "01") +
+      emvField("01", "12") +
+      emvField(
+        "26",
+        emvField("00", "br.gov.bcb.pix") + emvField("25", location)
+      ) +
+      emvField("52", "0000") +
+      emvField("53", "986") +
+      emvField("54", amount) +
+      emvField("58", "BR") +
+      emvField("59", "DOARE MOCK") +
+      emvField("60", "SAO PAULO") +
+      emvField("62", emvField("05", "***")) +
+      "6304";
+    return payload + crc16(payload);
+  }
+
+  storeCharge(txId, body, type) {
+    if (this.charges.has(txId)) {
+      throw apiError(409, "txid_duplicado", `Cobrança ${txId} já existe.`);
+    }
+
+    const locId = Math.floor(Math.random() * 1_000_000);
+    const location = `pix.mock.local/v2/${type}/${uuidv4()}`;
+    const charge = {
+      ...body,
+      calendario: { ...body.calendario, criacao: new Date().toISOString() },
+      txid: txId,
+      revisao: 0,
+      status: "ATIVA",
+      loc: { id: locId, location, tipoCob: type },
+      location,
+      pixCopiaECola: this.buildBrCode(location, body.valor.original),
+      pix: [],
+      tipo: type,
+    };
+
+    this.charges.set(txId, charge);
+    return structuredClone(charge);
+  }
+
+  findCharge(txId, type) {
+    const charge = this.charges.get(txId);
+    if (!charge || charge.tipo !== type) {
+      throw apiError(404, "cobranca_nao_encontrada", `Cobrança ${txId} não encontrada.`);
+    }
+    return charge;
+  }
+
+  async createCharge(txId, body) {
+    return this.storeCharge(txId, body, "cob");
+  }
+
+  async detailCharge(txId) {
+    return structuredClone(this.findCharge(txId, "cob"));
+  }
+
+  async createDueCharge(txId, body) {
+    return this.storeCharge(txId, body, "cobv");
+  }
+
+  async detailDueCharge(txId) {
+    return structuredClone(this.findCharge(txId, "cobv"));
+  }
+
+  async refund(endToEndId, refundId, body) {
+    const charge = [...this.charges.values()].find((item) =>
+      item.pix.some((pix) => pix.endToEndId === endToEndId)
+    );
+    if (!charge) {
+      throw apiError(404, "pix_nao_encontrado", `Pix ${endToEndId} não encontrado.`);
+    }
+
+    const pix = charge.pix.find((item) => item.endToEndId === endToEndId);
+    const now = new Date().toISOString();
+    const refund = {
+      id: refundId,
+      rtrId: `D${uuidv4().replace(/-/g, "").slice(0, 31)}`,
+      valor: body.valor,
+      horario: { solicitacao: now, liquidacao: now },
+      status: "DEVOLVIDO",
+    };
+    pix.devolucoes = [...(pix.devolucoes || []), refund];
+
+    // A Efí notifica a devolução pelo mesmo webhook do pagamento
+    this.fireWebhook([pix]);
+
+    return structuredClone(refund);
+  }
+
+  listByPeriod(query, items) {
+    const start = new Date(query.inicio);
+    const end = new Date(query.fim);
+    return items.filter((item) => {
+      const date = new Date(item.horario || item.calendario.criacao);
+      return date >= start && date <= end;
+    });
+  }
+
+  async listReceived(query) {
+    const received = [...this.charges.values()].flatMap((charge) => charge.pix);
+    const pix = this.listByPeriod(query, received);
+    return {
+      parametros: {
+        inicio: query.inicio,
+        fim: query.fim,
+        paginacao: { paginaAtual: 0, quantidadeDePaginas: 1 },
+      },
+      pix: structuredClone(pix),
+    };
+  }
+
+  async listCharges(query) {
+    const charges = [...this.charges.values()].filter(
+      (charge) => charge.tipo === "cob"
+    );
+    const cobs = this.listByPeriod(query, charges);
+    return {
+      parametros: {
+        inicio: query.inicio,
+        fim: query.fim,
+        paginacao: { paginaAtual: 0, quantidadeDePaginas: 1 },
+      },
+      cobs: structuredClone(cobs),
+    };
+  }
+
+  async registerWebhook() {
+    logger.info(`[MockProvider] Webhook simulado em ${this.webhookUrl}`);
+  }
+
+  /**
+   * Simula o pagamento de uma cobrança e dispara o webhook de notificação
+   * @param {string} txId - Id da transação
+   * @param {number} [amount] - Valor pago (padrão: valor original)
+   * @returns {Promise<object>} - Pix recebido
+   */
+  async pay(txId, amount) {
+    const charge = this.charges.get(txId);
+    if (!charge) {
+      throw apiError(404, "cobranca_nao_encontrada", `Cobrança ${txId} não encontrada.`);
+    }
+    if (charge.status !== "ATIVA") {
+      throw apiError(409, "cobranca_nao_ativa", `Cobrança ${txId} está ${charge.status}.`);
+    }
+
+    const pix = {
+      endToEndId: `E${uuidv4().replace(/-/g, "").slice(0, 31)}`,
+      txid: txId,
+      valor: amount ? parseFloat(amount).toFixed(2) : charge.valor.original,
+      chave: charge.chave,
+      horario: new Date().toISOString(),
+      infoPagador: charge.devedor?.nome,
+    };
+    charge.status = "CONCLUIDA";
+    charge.pix.push(pix);
+
+    await this.fireWebhook([pix]);
+    return structuredClone(pix);
+  }
+
+  /**
+   * Envia a notificação para a rota de webhook da aplicação
+   * Falhas são apenas registradas, como ocorreria com uma notificação perdida
+   */
+  async fireWebhook(pixList) {
+    const body = JSON.stringify({ pix: pixList });
+    // Assina a notificação como um remetente autorizado, com WEBHOOK_SECRET
+    // ou o segredo padrão do modo mock
+    const headers = {
+      "Content-Type": "application/json",
+      "x-webhook-signature": signWebhookPayload(body),
+    };
+
+    try {
+      await axios.post(this.webhookUrl, body, { headers });
+    } catch (error) {
+      logger.error(`[MockProvider] Falha ao enviar webhook para ${this.webhookUrl}`, error);
+    }
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * @class PaymentProvider
+ * @description Interface dos provedores de pagamento Pix.
+ * Os métodos recebem e retornam objetos no formato da API Pix do Banco Central,
+ * implementada pela Efí, para que o PixService não dependa do provedor usado.
+ */
+export default class PaymentProvider {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Cria uma cobrança imediata (cob)
+   * @param {string} txId - Id da transação
+   * @param {object} body - Corpo da cobrança (calendario, devedor, valor, chave, solicitacaoPagador)
+   * @returns {Promise<object>} - Cobrança criada
+   */
+  async createCharge(txId, body) {
+    throw new Error(`${this.name}: createCharge não implementado`);
+  }
+
+  /**
+   * Consulta uma cobrança imediata (cob)
+   * @param {string} txId - Id da transação
+   * @returns {Promise<object>} - Cobrança com status e Pix recebidos
+   */
+  async detailCharge(txId) {
+    throw new Error(`${this.name}: detailCharge não implementado`);
+  }
+
+  /**
+   * Cria uma cobrança com vencimento (cobv)
+   * @param {string} txId - Id da transação
+   * @param {object} body - Corpo da cobrança com vencimento
+   * @returns {Promise<object>} - Cobrança criada
+   */
+  async createDueCharge(txId, body) {
+    throw new Error(`${this.name}: createDueCharge não implementado`);
+  }
+
+  /**
+   * Consulta uma cobrança com vencimento (cobv)
+   * @param {string} txId - Id da transação
+   * @returns {Promise<object>} - Cobrança com status e Pix recebidos
+   */
+  async detailDueCharge(txId) {
+    throw new Error(`${this.name}: detailDueCharge não implementado`);
+  }
+
+  /**
+   * Solicita a devolução de um Pix recebido
+   * @param {string} endToEndId - Identificador fim a fim do Pix
+   * @param {string} refundId - Id da devolução
+   * @param {object} body - Corpo da devolução (valor, descricao)
+   * @returns {Promise<object>} - Devolução registrada
+   */
+  async refund(endToEndId, refundId, body) {
+    throw new Error(`${this.name}: refund não implementado`);
+  }
+
+  /**
+   * Lista os Pix recebidos
+   * @param {object} query - Filtros (inicio, fim, paginacao.paginaAtual)
+   * @returns {Promise<object>} - Pix recebidos e parâmetros de paginação
+   */
+  async listReceived(query) {
+    throw new Error(`${this.name}: listReceived não implementado`);
+  }
+
+  /**
+   * Lista as cobranças imediatas
+   * @param {object} query - Filtros (inicio, fim, paginacao.paginaAtual)
+   * @returns {Promise<object>} - Cobranças e parâmetros de paginação
+   */
+  async listCharges(query) {
+    throw new Error(`${this.name}: listCharges não implementado`);
+  }
+
+  /**
+   * Registra a URL que receberá as notificações de pagamento
+   * @returns {Promise<void>}
+   */
+  async registerWebhook() {
+    throw new Error(`${this.name}: registerWebhook não implementado`);
+  }
+}
@@ -0,0 +1,46 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { ApiKeyService } from "../service/ApiKeyService.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("api-keys:manage"), async (req, res, next) => {
+  try {
+    const apiKeys = await ApiKeyService.allKeys();
+    res.status(200).json(apiKeys);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /chaves-api/cadastrar
+ * Cria uma chave para integrações, enviada no cabeçalho Authorization: Bearer
+ * @param {string} req.body.name - Nome da integração
+ * @param {string[]} req.body.scopes - donations:read, partners:read e/ou reports:export
+ * @param {string} [req.body.expiresAt] - Data de expiração (YYYY-MM-DD); padrão: 90 dias
+ * @returns {201} - Chave criada; o valor completo (apiKey) é exibido apenas nesta resposta
+ * @returns {409} - Erro de validação
+ */
+router.post("/cadastrar", authenticateToken, authorize("api-keys:manage"), async (req, res, next) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const apiKey = await ApiKeyService.createKey(
+      { name, scopes, expiresAt },
+      req.user?.login
+    );
+    res.status(201).json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/:id/revogar", authenticateToken, authorize("api-keys:manage"), async (req, res, next) => {
+  try {
+    const apiKey = await ApiKeyService.revokeKey(req.params.id);
+    res.status(200).json(apiKey);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,36 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { AuditService } from "../service/AuditService.js";
+const router = express.Router();
+
+/**
+ * Rota GET /auditoria
+ * Trilha de auditoria, do registro mais recente ao mais antigo
+ * A exportação em CSV fica em /relatorio/auditoria/csv, com os mesmos filtros
+ * @param {string} [req.query.actor] - Login de quem realizou a ação
+ * @param {string} [req.query.action] - Ação (ex.: PARTNER_UPDATED)
+ * @param {string} [req.query.entity] - Tipo do registro (partner, donation, user, report)
+ * @param {string} [req.query.entityId] - ID do registro
+ * @param {string} [req.query.startDate] - Data inicial (YYYY-MM-DD)
+ * @param {string} [req.query.endDate] - Data final (YYYY-MM-DD)
+ * @returns {200} - Registros paginados
+ * @returns {409} - Erro de validação
+ */
+router.get("/", authenticateToken, authorize("audit:read"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+    const { actor, action, entity, entityId, startDate, endDate } = req.query;
+
+    const result = await AuditService.allLogs(
+      { actor, action, entity, entityId, startDate, endDate },
+      page,
+      limit
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
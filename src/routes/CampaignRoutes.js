@@ -0,0 +1,97 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { CampaignService } from "../service/CampaignService.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+    const { status } = req.query;
+
+    const result = await CampaignService.allCampaigns(page, limit, status);
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota GET /campanhas/publicas
+ * Lista as campanhas abertas a doações com o progresso de cada uma
+ * @returns {200} - Campanhas com valor arrecadado, doadores e percentual da meta
+ */
+router.get("/publicas", async (req, res, next) => {
+  try {
+    const campaigns = await CampaignService.openCampaignsProgress();
+    res.status(200).json(campaigns);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota GET /campanhas/:id/progresso
+ * Progresso público de uma campanha
+ * @param {string} req.params.id - ID da campanha
+ * @returns {200} - Valor arrecadado, quantidade de doadores e percentual da meta
+ * @returns {404} - Campanha não encontrada
+ */
+router.get("/:id/progresso", async (req, res, next) => {
+  try {
+    const progress = await CampaignService.campaignProgress(req.params.id);
+    res.status(200).json(progress);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /campanhas/cadastrar
+ * Cadastra uma campanha de arrecadação
+ * @param {string} req.body.title - Título da campanha
+ * @param {string} [req.body.description] - Descrição da campanha
+ * @param {number} req.body.targetAmount - Meta de arrecadação
+ * @param {string} req.body.startDate - Data de início (YYYY-MM-DD)
+ * @param {string} req.body.endDate - Data de término (YYYY-MM-DD)
+ * @returns {201} - Campanha criada
+ * @returns {409} - Erro de validação
+ */
+router.post("/cadastrar", authenticateToken, authorize("campaigns:write"), async (req, res, next) => {
+  try {
+    const { title, description, targetAmount, startDate, endDate } = req.body;
+
+    const campaign = await CampaignService.createCampaign({
+      title,
+      description,
+      targetAmount,
+      startDate,
+      endDate,
+    });
+
+    res.status(201).json(campaign);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota PUT /campanhas/atualizar/:id
+ * Altera os dados ou o status (ATIVA, PAUSADA ou ENCERRADA) de uma campanha
+ * @returns {200} - Campanha atualizada
+ * @returns {404} - Campanha não encontrada
+ * @returns {409} - Erro de validação
+ */
+router.put("/atualizar/:id", authenticateToken, authorize("campaigns:write"), async (req, res, next) => {
+  try {
+    const campaign = await CampaignService.updateCampaign(
+      req.params.id,
+      req.body
+    );
+    res.status(200).json(campaign);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,12 +1,18 @@
 import express from "express";
 const router = express.Router();
 import DonationService from "../service/DonationService.js";
-import { authenticateToken } from "../middleware/auth.js";
+import {
+  authenticateToken,
+  authenticateTokenOrApiKey,
+  authorize,
+} from "../middleware/auth.js";
+import { rateLimit } from "../middleware/RateLimit.js";
+import { AuditService } from "../service/AuditService.js";
 
-router.get("/", authenticateToken, async (req, res, next) => {
+router.get("/", authenticateTokenOrApiKey, authorize("donations:read"), async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 15;
-  const { startDate, endDate, search } = req.query;
+  const { startDate, endDate, search, campaignId } = req.query;
   let result;
 
   if (search) {
@@ -23,7 +29,11 @@ router.get("/", authenticateToken, async (req, res, next) => {
     return res.status(200).json(result);
   }
 
-  const allDonations = await DonationService.allDonations(page, limit);
+  const allDonations = await DonationService.allDonations(
+    page,
+    limit,
+    campaignId
+  );
   return res.status(200).json(allDonations);
 });
 
@@ -31,41 +41,112 @@ router.get("/", authenticateToken, async (req, res, next) => {
  * Rota POST /doacoes/gerar
  * Gera Nova cobrança pix para uma doação
  * @param {object} req.body - Dados da doação no corpo da requisição
- * @param {string} req.body.donorName - Nome do doador
+ * @param {string} [req.body.donorCPF] - CPF ou CNPJ do doador
+ * @param {string} [req.body.donorName] - Nome do doador, obrigatório no primeiro cadastro de quem não é parceiro
+ * @param {boolean} [req.body.anonymous] - Gera a cobrança sem identificação do pagador
  * @param {number} req.body.amount - Valor da doação
+ * @param {number} [req.body.expiration] - Tempo de vida da cobrança em segundos
+ * @param {string} [req.body.campaignId] - Campanha à qual a doação é destinada
+ * @param {string} [req.headers.idempotency-key] - Chave para reaproveitar a cobrança em requisições repetidas
  * @returns {201} - Mensagem de sucesso
+ * @returns {200} - Cobrança original reaproveitada (cabeçalho Idempotent-Replayed)
  * @returns {400} - Erro de validação
  * @returns {502} - Erro de serviço externo
  * @returns {500} - Erro interno
  */
-router.post("/gerar", async (req, res, next) => {
+const donationIpLimit = rateLimit({ name: "DONATION_IP", max: 10, windowSeconds: 60 });
+const donationIdLimit = rateLimit({
+  name: "DONATION_ID",
+  max: 5,
+  windowSeconds: 10 * 60,
+  key: (req) => String(req.body?.donorCPF ?? "").replace(/\D/g, ""),
+});
+
+router.post("/gerar", donationIpLimit, donationIdLimit, async (req, res, next) => {
   try {
-    const { donorCPF, amount } = req.body;
+    const { donorCPF, donorName, anonymous, amount, expiration, campaignId } =
+      req.body;
 
     const pixDetails = await DonationService.createDonation({
       donorCPF,
+      donorName,
+      anonymous: anonymous === true || anonymous === "true",
       amount,
+      expiration,
+      campaignId,
+      idempotencyKey: req.get("Idempotency-Key"),
     });
 
-    res.status(201).json({
+    if (pixDetails.replayed) {
+      res.set("Idempotent-Replayed", "true");
+    }
+
+    res.status(pixDetails.replayed ? 200 : 201).json({
+      donorType: pixDetails.donorType,
       donorName: pixDetails.donorName,
       donorCIM: pixDetails.donorCIM,
+      campaignId: pixDetails.campaignId,
+      campaignTitle: pixDetails.campaignTitle,
       value: amount,
       txId: pixDetails.txId,
       qrCode: pixDetails.qrCode,
       copyPaste: pixDetails.copyPaste,
+      expiresAt: pixDetails.expiresAt,
     });
   } catch (error) {
     next(error);
   }
 });
 
-router.get("/evolucao", authenticateToken, async (req, res, next) => {
+router.get("/evolucao", authenticateTokenOrApiKey, authorize("donations:read"), async (req, res, next) => {
   try {
-    const evolutionData = await DonationService.donationEvolution();
+    const evolutionData = await DonationService.donationEvolution(
+      req.query.campaignId
+    );
     res.status(200).json(evolutionData);
   } catch (error) {
     next(error);
   }
 });
+
+/**
+ * Rota POST /doacoes/devolucao/:endToEndId
+ * Solicita a devolução total ou parcial de uma doação paga
+ * @param {string} req.params.endToEndId - Identificador fim a fim do Pix da doação
+ * @param {number} [req.body.amount] - Valor a devolver (padrão: saldo restante)
+ * @param {string} [req.body.reason] - Motivo da devolução
+ * @returns {200} - Doação com a devolução registrada
+ * @returns {404} - Doação não encontrada
+ * @returns {409} - Erro de validação
+ * @returns {502} - Erro de serviço externo
+ */
+router.post(
+  "/devolucao/:endToEndId",
+  authenticateToken,
+  authorize("donations:refund"),
+  async (req, res, next) => {
+    try {
+      const { amount, reason } = req.body;
+
+      const donation = await DonationService.refundDonation(
+        req.params.endToEndId,
+        { amount, reason, requestedBy: req.user?.login },
+        AuditService.context(req)
+      );
+
+      res.status(200).json(donation);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get("/conversao", authenticateTokenOrApiKey, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const conversionData = await DonationService.chargeConversion();
+    res.status(200).json(conversionData);
+  } catch (error) {
+    next(error);
+  }
+});
 export default router;
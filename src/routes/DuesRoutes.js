@@ -0,0 +1,75 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { DuesService } from "../service/DuesService.js";
+const router = express.Router();
+
+/**
+ * Rota GET /mensalidades?month=YYYY-MM
+ * Lista as mensalidades do mês separadas em abertas, pagas e vencidas
+ * @param {string} req.query.month - Mês de referência
+ * @param {string} [req.query.situation] - Filtro por situação (ABERTA, PAGA ou VENCIDA)
+ * @returns {200} - Mensalidades e totais do mês
+ * @returns {409} - Erro de validação
+ */
+router.get("/", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const { month, situation } = req.query;
+
+    const result = await DuesService.duesByMonth(month, situation);
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /mensalidades/gerar
+ * Gera as cobranças com vencimento do mês para todos os parceiros ativos
+ * @param {string} req.body.referenceMonth - Mês de referência (YYYY-MM)
+ * @param {number} req.body.amount - Valor da mensalidade
+ * @param {string} req.body.dueDate - Data de vencimento (YYYY-MM-DD)
+ * @param {number} [req.body.fine] - Multa percentual
+ * @param {number} [req.body.interest] - Juros percentuais ao mês
+ * @param {object} [req.body.discount] - Desconto percentual ({ percent, untilDate })
+ * @param {number} [req.body.daysValidAfterDue] - Dias de validade após o vencimento
+ * @returns {201} - Resumo do lote gerado
+ * @returns {409} - Erro de validação
+ */
+router.post("/gerar", authenticateToken, authorize("dues:write"), async (req, res, next) => {
+  try {
+    const {
+      referenceMonth,
+      amount,
+      dueDate,
+      fine,
+      interest,
+      discount,
+      daysValidAfterDue,
+    } = req.body;
+
+    const result = await DuesService.generateMonthlyDues({
+      referenceMonth,
+      amount,
+      dueDate,
+      fine,
+      interest,
+      discount,
+      daysValidAfterDue,
+    });
+
+    res.status(201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/parceiro/:partnerId", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const dues = await DuesService.duesByPartner(req.params.partnerId);
+    res.status(200).json(dues);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
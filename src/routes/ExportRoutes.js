@@ -1,17 +1,45 @@
 import express from "express"
-import { authenticateToken } from "../middleware/auth.js"
+import {
+  authenticateToken,
+  authenticateTokenOrApiKey,
+  authorize,
+} from "../middleware/auth.js"
 import { ExportService } from "../service/ExportService.js"
 import DonationService from "../service/DonationService.js"
 import { PartnerService } from "../service/PartnerService.js"
+import { CampaignService } from "../service/CampaignService.js"
+import { NotificationService } from "../service/NotificationService.js"
+import { AuditService } from "../service/AuditService.js"
 import path from "path"
 import fs from "fs"
 
 const router = express.Router()
 
+/**
+ * Records the export in the audit trail and notifies the configured recipients,
+ * without delaying the download
+ */
+function notifyExport(req, report, format, records) {
+  AuditService.record(
+    {
+      action: "EXPORT_GENERATED",
+      entity: "report",
+      metadata: { report, format, records, filters: { ...req.query } },
+    },
+    AuditService.context(req)
+  )
+  NotificationService.notify("EXPORT_GENERATED", {
+    report,
+    format,
+    records,
+    requestedBy: req.user?.login,
+  })
+}
+
 // Export donations as CSV
-router.get("/donations/csv", authenticateToken, async (req, res, next) => {
+router.get("/donations/csv", authenticateTokenOrApiKey, authorize("reports:export"), async (req, res, next) => {
   try {
-    const { startDate, endDate, search } = req.query
+    const { startDate, endDate, search, campaignId } = req.query
     let donations = []
 
     // Get donations based on filters
@@ -22,10 +50,15 @@ router.get("/donations/csv", authenticateToken, async (req, res, next) => {
       const result = await DonationService.getDonationsByDateRange(startDate, endDate, 1, 10000)
       donations = result.donations
     } else {
-      const result = await DonationService.allDonations(1, 10000)
+      const result = await DonationService.allDonations(1, 10000, campaignId)
       donations = result.donations
     }
 
+    // The campaign filter can be combined with search and date filters
+    if (campaignId) {
+      donations = donations.filter((donation) => donation.campaignId === campaignId)
+    }
+
     // Create export directory
     const exportDir = ExportService.ensureExportDirectory()
     const fileName = `donations_${Date.now()}.csv`
@@ -33,6 +66,7 @@ router.get("/donations/csv", authenticateToken, async (req, res, next) => {
 
     // Generate CSV
     await ExportService.generateDonationsCSV(donations, filePath)
+    notifyExport(req, "Doações", "csv", donations.length)
 
     // Send file
     res.download(filePath, fileName, (err) => {
@@ -53,9 +87,9 @@ router.get("/donations/csv", authenticateToken, async (req, res, next) => {
 })
 
 // Export donations as PDF
-router.get("/doacoes/pdf", authenticateToken, async (req, res, next) => {
+router.get("/doacoes/pdf", authenticateTokenOrApiKey, authorize("reports:export"), async (req, res, next) => {
   try {
-    const { startDate, endDate, search } = req.query
+    const { startDate, endDate, search, campaignId } = req.query
     let donations = []
 
     // Get donations based on filters
@@ -66,17 +100,24 @@ router.get("/doacoes/pdf", authenticateToken, async (req, res, next) => {
       const result = await DonationService.getDonationsByDateRange(startDate, endDate, 1, 10000)
       donations = result.donations
     } else {
-      const result = await DonationService.allDonations(1, 10000)
+      const result = await DonationService.allDonations(1, 10000, campaignId)
       donations = result.donations
     }
 
+    // The campaign filter can be combined with search and date filters
+    if (campaignId) {
+      donations = donations.filter((donation) => donation.campaignId === campaignId)
+    }
+
     // Create export directory
     const exportDir = ExportService.ensureExportDirectory()
     const fileName = `donations_${Date.now()}.pdf`
     const filePath = path.join(exportDir, fileName)
 
     // Generate PDF
-    await ExportService.generateDonationsPDF(donations, filePath)
+    const campaign = campaignId ? await CampaignService.findById(campaignId) : null
+    await ExportService.generateDonationsPDF(donations, filePath, campaign?.title)
+    notifyExport(req, "Doações", "pdf", donations.length)
 
     // Send file
     res.download(filePath, fileName, (err) => {
@@ -97,17 +138,18 @@ router.get("/doacoes/pdf", authenticateToken, async (req, res, next) => {
 })
 
 // Export partners as CSV
-router.get("/partners/csv", authenticateToken, async (req, res, next) => {
+router.get("/partners/csv", authenticateTokenOrApiKey, authorize("reports:export"), async (req, res, next) => {
   try {
     const { search } = req.query
+    const options = { includeArchived: req.query.includeArchived === "true" }
     let partners = []
 
-    // Get partners based on filters
+    // Get partners based on filters; archived partners only when requested
     if (search) {
-      const result = await PartnerService.searchPartners(search, 1, 10000)
+      const result = await PartnerService.searchPartners(search, 1, 10000, options)
       partners = result.partners
     } else {
-      const result = await PartnerService.allpartners(1, 10000)
+      const result = await PartnerService.allpartners(1, 10000, options)
       partners = result.partners
     }
 
@@ -118,6 +160,7 @@ router.get("/partners/csv", authenticateToken, async (req, res, next) => {
 
     // Generate CSV
     await ExportService.generatePartnersCSV(partners, filePath)
+    notifyExport(req, "Parceiros", "csv", partners.length)
 
     // Send file
     res.download(filePath, fileName, (err) => {
@@ -138,17 +181,18 @@ router.get("/partners/csv", authenticateToken, async (req, res, next) => {
 })
 
 // Export partners as PDF
-router.get("/doadores/pdf", authenticateToken, async (req, res, next) => {
+router.get("/doadores/pdf", authenticateTokenOrApiKey, authorize("reports:export"), async (req, res, next) => {
   try {
     const { search } = req.query
+    const options = { includeArchived: req.query.includeArchived === "true" }
     let partners = []
 
-    // Get partners based on filters
+    // Get partners based on filters; archived partners only when requested
     if (search) {
-      const result = await PartnerService.searchPartners(search, 1, 10000)
+      const result = await PartnerService.searchPartners(search, 1, 10000, options)
       partners = result.partners
     } else {
-      const result = await PartnerService.allpartners(1, 10000)
+      const result = await PartnerService.allpartners(1, 10000, options)
       partners = result.partners
     }
 
@@ -159,6 +203,7 @@ router.get("/doadores/pdf", authenticateToken, async (req, res, next) => {
 
     // Generate PDF
     await ExportService.generatePartnersPDF(partners, filePath)
+    notifyExport(req, "Parceiros", "pdf", partners.length)
 
     // Send file
     res.download(filePath, fileName, (err) => {
@@ -178,8 +223,94 @@ router.get("/doadores/pdf", authenticateToken, async (req, res, next) => {
   }
 })
 
+/**
+ * Sends the generated file and removes it shortly after the download
+ */
+function sendAndCleanup(res, filePath, fileName) {
+  res.download(filePath, fileName, (err) => {
+    if (err) {
+      console.error("Erro ao enviar arquivo:", err)
+      return res.status(500).json({ error: "Erro ao baixar arquivo" })
+    }
+    setTimeout(() => {
+      if (fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath)
+      }
+    }, 5000)
+  })
+}
+
+/**
+ * Builds the handler that exports a donor's annual giving statement (?year=&cpf= or ?year=&cim=)
+ */
+function annualStatementHandler(format) {
+  return async (req, res, next) => {
+    try {
+      const { year, cpf, cim } = req.query
+      const statement = await DonationService.annualStatement({ cpf, cim }, year)
+
+      const exportDir = ExportService.ensureExportDirectory()
+      const fileName = `declaracao_${statement.year}_${statement.donorCIM || statement.donorCPF}.${format}`
+      const filePath = path.join(exportDir, `${Date.now()}_${fileName}`)
+
+      if (format === "pdf") {
+        await ExportService.generateAnnualStatementPDF(statement, filePath)
+      } else {
+        await ExportService.generateAnnualStatementCSV(statement, filePath)
+      }
+      notifyExport(req, `Declaração anual ${statement.year} - ${statement.donorName}`, format, statement.totalDonations)
+
+      sendAndCleanup(res, filePath, fileName)
+    } catch (error) {
+      next(error)
+    }
+  }
+}
+
+// Export a donor's annual giving statement as PDF or CSV
+router.get("/declaracao-anual/pdf", authenticateTokenOrApiKey, authorize("reports:export"), annualStatementHandler("pdf"))
+router.get("/declaracao-anual/csv", authenticateTokenOrApiKey, authorize("reports:export"), annualStatementHandler("csv"))
+
+// Export the annual statements of every partner in a single ZIP (?year=)
+router.get("/declaracao-anual/lote", authenticateTokenOrApiKey, authorize("reports:export"), async (req, res, next) => {
+  try {
+    const { year } = req.query
+    const statements = await DonationService.annualStatements(year)
+
+    const exportDir = ExportService.ensureExportDirectory()
+    const fileName = `declaracoes_${year}.zip`
+    const filePath = path.join(exportDir, `${Date.now()}_${fileName}`)
+
+    await ExportService.generateAnnualStatementsZip(statements, filePath)
+    notifyExport(req, `Declarações anuais ${year}`, "zip", statements.length)
+
+    sendAndCleanup(res, filePath, fileName)
+  } catch (error) {
+    next(error)
+  }
+})
+
+// Export the audit trail as CSV, with the same filters as GET /auditoria
+router.get("/auditoria/csv", authenticateToken, authorize("audit:read"), async (req, res, next) => {
+  try {
+    const { actor, action, entity, entityId, startDate, endDate } = req.query
+    const logs = await AuditService.findLogs({ actor, action, entity, entityId, startDate, endDate })
+
+    const exportDir = ExportService.ensureExportDirectory()
+    const fileName = `auditoria_${Date.now()}.csv`
+    const filePath = path.join(exportDir, fileName)
+
+    await ExportService.generateAuditLogCSV(logs, filePath)
+    notifyExport(req, "Auditoria", "csv", logs.length)
+
+    sendAndCleanup(res, filePath, fileName)
+  } catch (error) {
+    next(error)
+  }
+})
+
 // Cleanup old files endpoint (optional - for maintenance)
-router.post("/cleanup", authenticateToken, async (req, res) => {
+router.post("/cleanup", authenticateToken, authorize("reports:export"), async (req, res) => {
   try {
     ExportService.cleanupOldFiles()
     res.json({ message: "Arquivos antigos removidos com sucesso" })
@@ -1,11 +1,99 @@
 import express from "express";
-import { generateToken, authenticateToken } from "../middleware/auth.js";
-import bcrypt from "bcrypt";
+import {
+  authenticateToken,
+  authenticatePreAuth,
+  generatePreAuthToken,
+  accessTokenTtlMinutes,
+} from "../middleware/auth.js";
+import { UserService } from "../service/UserService.js";
+import { TwoFactorService } from "../service/TwoFactorService.js";
+import { LoginAttemptService } from "../service/LoginAttemptService.js";
+import { rateLimit, tooManyRequests } from "../middleware/RateLimit.js";
+import { AuditService } from "../service/AuditService.js";
+import { ValidationError, NotFoundError } from "../utils/Errors.js";
+import {
+  SessionService,
+  refreshTokenTtlDays,
+} from "../service/SessionService.js";
 
 const router = express.Router();
 
+const cookieOptions = {
+  httpOnly: true,
+  secure: true,
+  sameSite: "none",
+};
+
+const setSessionCookies = (res, { accessToken, refreshToken }) => {
+  res.cookie("accessToken", accessToken, {
+    ...cookieOptions,
+    maxAge: accessTokenTtlMinutes * 60 * 1000,
+  });
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions,
+    maxAge: refreshTokenTtlDays * 24 * 60 * 60 * 1000,
+  });
+};
+
+const clearSessionCookies = (res) => {
+  res.clearCookie("accessToken", cookieOptions);
+  res.clearCookie("refreshToken", cookieOptions);
+};
+
+const clientInfo = (req) => ({
+  userAgent: req.get("User-Agent"),
+  ip: req.ip,
+});
+
+// Limites por IP e por login a partir de cada IP, somados ao bloqueio progressivo
+// das falhas; o login sozinho não é usado como chave, para que terceiros não
+// consigam bloquear uma conta
+const loginIpLimit = rateLimit({ name: "LOGIN_IP", max: 20, windowSeconds: 15 * 60 });
+const loginIdLimit = rateLimit({
+  name: "LOGIN_ID",
+  max: 10,
+  windowSeconds: 15 * 60,
+  key: (req) => req.body?.login && LoginAttemptService.key(req.body.login, req.ip),
+});
+
+const rejectAttempt = async (req, res, login, message) => {
+  await AuditService.record(
+    { action: "LOGIN_FAILED", entity: "user", metadata: { reason: message } },
+    { actor: login, ip: req.ip }
+  );
+  const lock = await LoginAttemptService.registerFailure(login, req.ip);
+  if (lock.locked) return tooManyRequests(res, lock.resetAt);
+  return res.status(401).json({ error: message });
+};
+
+const startSession = async (req, res, user, extra = {}) => {
+  await LoginAttemptService.registerSuccess(user.login, req.ip);
+  const tokens = await SessionService.createSession(user, clientInfo(req));
+  setSessionCookies(res, tokens);
+  await AuditService.record(
+    {
+      action: "LOGIN",
+      entity: "user",
+      entityId: user.id,
+      metadata: { sessionId: tokens.session.id, userAgent: req.get("User-Agent") ?? null },
+    },
+    { actor: user.login, ip: req.ip }
+  );
+
+  return res.status(200).json({
+    message: "Login realizado com sucesso",
+    user: {
+      id: user.id,
+      login: user.login,
+      name: user.name,
+      role: user.role,
+    },
+    ...extra,
+  });
+};
+
 // Login com token via cookie
-router.post("/login", async (req, res) => {
+router.post("/login", loginIpLimit, loginIdLimit, async (req, res) => {
   try {
     const { login, password } = req.body;
 
@@ -13,41 +101,102 @@ router.post("/login", async (req, res) => {
       return res.status(400).json({ error: "Preencha todos os campos" });
     }
 
-    if (login !== process.env.ADMIN_LOGIN) {
-      return res.status(401).json({ error: "Credenciais inválidas" });
+    const lock = await LoginAttemptService.check(login, req.ip);
+    if (lock.locked) {
+      return tooManyRequests(res, lock.resetAt);
     }
 
-    const isValidPassword = await bcrypt.compare(
-      password,
-      process.env.ADMIN_PASSWORD_HASH
-    );
-    if (!isValidPassword) {
+    const user = await UserService.authenticate(login, password);
+    if (!user) {
+      return await rejectAttempt(req, res, login, "Credenciais inválidas");
+    }
+
+    // Com a verificação em duas etapas, a sessão só é aberta após o código
+    const twoFactorRequired =
+      user.twoFactorEnabled || (await TwoFactorService.isRequired(user.role));
+    if (twoFactorRequired && user.id !== "env-admin") {
+      return res.status(200).json({
+        message: "Informe o código de verificação",
+        twoFactorRequired: true,
+        enrollmentRequired: !user.twoFactorEnabled,
+        preAuthToken: generatePreAuthToken({ id: user.id, login: user.login }),
+      });
+    }
+
+    return await startSession(req, res, user);
+  } catch (error) {
+    console.error("Erro no login:", error);
+    return res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
+/**
+ * Rota POST /login/2fa
+ * Segunda etapa do login: confere o código do autenticador ou um código de
+ * recuperação. Se o perfil exigir a verificação e o usuário ainda não tiver
+ * autenticador, o código confirma o cadastro iniciado em /login/2fa/cadastro
+ * @param {string} req.body.preAuthToken - Token recebido na primeira etapa
+ * @param {string} req.body.code - Código de 6 dígitos ou código de recuperação
+ * @returns {200} - Sessão aberta (com os códigos de recuperação, no primeiro cadastro)
+ * @returns {401} - Código inválido
+ */
+router.post("/login/2fa", loginIpLimit, authenticatePreAuth, async (req, res) => {
+  try {
+    const lock = await LoginAttemptService.check(req.user.login, req.ip);
+    if (lock.locked) {
+      return tooManyRequests(res, lock.resetAt);
+    }
+
+    let user;
+    try {
+      user = await UserService.findById(req.user.id);
+    } catch (error) {
+      if (!(error instanceof NotFoundError)) throw error;
+    }
+    // Usuário removido após a primeira etapa: o token de pré-autenticação deixa de valer
+    if (!user) {
+      return res.status(401).json({ error: "Token inválido ou expirado" });
+    }
+    if (!user.active) {
       return res.status(401).json({ error: "Credenciais inválidas" });
     }
 
-    const token = generateToken({
-      id: 1,
-      login: login,
-      role: "admin",
-    });
+    if (!user.twoFactorEnabled) {
+      const { recoveryCodes } = await TwoFactorService.confirmEnrollment(
+        user.id,
+        req.body.code
+      );
+      return await startSession(req, res, user, { recoveryCodes });
+    }
 
-    res.cookie("accessToken", token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: "none",
-      maxAge: 24 * 60 * 60 * 1000, // 24h
-    });
+    const isValidCode = await TwoFactorService.verifyLogin(user.id, req.body.code);
+    if (!isValidCode) {
+      return await rejectAttempt(req, res, user.login, "Código de verificação inválido");
+    }
 
-    return res.status(200).json({
-      message: "Login realizado com sucesso",
-      user: {
-        id: 1,
-        login: login,
-        role: "admin",
-      },
-    });
+    return await startSession(req, res, user);
   } catch (error) {
-    console.error("Erro no login:", error);
+    if (error instanceof ValidationError) {
+      return await rejectAttempt(req, res, req.user.login, error.message);
+    }
+    console.error("Erro na verificação em duas etapas:", error);
+    return res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
+// Cadastro obrigatório do autenticador durante o login
+router.post("/login/2fa/cadastro", authenticatePreAuth, async (req, res) => {
+  try {
+    const enrollment = await TwoFactorService.startEnrollment(req.user.id);
+    return res.status(200).json(enrollment);
+  } catch (error) {
+    if (error instanceof NotFoundError) {
+      return res.status(401).json({ error: "Token inválido ou expirado" });
+    }
+    if (error instanceof ValidationError) {
+      return res.status(409).json({ error: error.message });
+    }
+    console.error("Erro no cadastro do autenticador:", error);
     return res.status(500).json({ error: "Erro interno do servidor" });
   }
 });
@@ -68,14 +217,73 @@ router.get("/verify-token", authenticateToken, (req, res) => {
   });
 });
 
-// Logout - remove o cookie
-router.post("/logout", (req, res) => {
-  res.clearCookie("accessToken", {
-    httpOnly: true,
-    secure: true,
-    sameSite: "none",
-  });
+// Renova o access token e troca o refresh token (uso único)
+router.post("/refresh", async (req, res) => {
+  try {
+    const tokens = await SessionService.refresh(
+      req.cookies.refreshToken,
+      clientInfo(req)
+    );
+    if (!tokens) {
+      clearSessionCookies(res);
+      return res.status(401).json({ error: "Sessão inválida ou expirada" });
+    }
+
+    setSessionCookies(res, tokens);
+    return res.status(200).json({ message: "Sessão renovada com sucesso" });
+  } catch (error) {
+    console.error("Erro ao renovar sessão:", error);
+    return res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
+// Logout - encerra a sessão atual e remove os cookies
+router.post("/logout", async (req, res) => {
+  try {
+    const session = await SessionService.logout(req.cookies.refreshToken);
+    if (session) {
+      await AuditService.record(
+        {
+          action: "LOGOUT",
+          entity: "user",
+          entityId: session.userId,
+          metadata: { sessionId: session.id },
+        },
+        { actor: session.login, ip: req.ip }
+      );
+    }
+  } catch (error) {
+    console.error("Erro ao encerrar sessão:", error);
+  }
+  clearSessionCookies(res);
   return res.status(200).json({ message: "Logout realizado com sucesso" });
 });
 
+// Logout em todos os dispositivos do usuário
+router.post("/logout-todos", authenticateToken, async (req, res) => {
+  try {
+    const revoked = await SessionService.revokeUserSessions(
+      req.user.id,
+      "LOGOUT_GERAL"
+    );
+    await AuditService.record(
+      {
+        action: "LOGOUT",
+        entity: "user",
+        entityId: req.user.id,
+        metadata: { allSessions: true, revoked },
+      },
+      AuditService.context(req)
+    );
+    clearSessionCookies(res);
+    return res.status(200).json({
+      message: "Todas as sessões foram encerradas",
+      revoked,
+    });
+  } catch (error) {
+    console.error("Erro ao encerrar sessões:", error);
+    return res.status(500).json({ error: "Erro interno do servidor" });
+  }
+});
+
 export default router;
@@ -0,0 +1,25 @@
+import express from "express";
+import paymentProvider from "../config/paymentProvider.js";
+const router = express.Router();
+
+/**
+ * Rota POST /mock/pix/:txId/pagar
+ * Simula o pagamento de uma cobrança no provedor mock e dispara o webhook Pix
+ * Disponível apenas com PAYMENT_PROVIDER=mock
+ * @param {string} req.params.txId - Id da transação
+ * @param {number} [req.body.amount] - Valor pago (padrão: valor original)
+ * @returns {200} - Pix recebido
+ * @returns {404} - Cobrança não encontrada
+ */
+router.post("/pix/:txId/pagar", async (req, res) => {
+  try {
+    const pix = await paymentProvider.pay(req.params.txId, req.body?.amount);
+    res.status(200).json(pix);
+  } catch (error) {
+    res
+      .status(error.response?.status || 500)
+      .json({ message: error.message, code: error.response?.data?.nome });
+  }
+});
+
+export default router;
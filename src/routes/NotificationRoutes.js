@@ -0,0 +1,50 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { NotificationService } from "../service/NotificationService.js";
+const router = express.Router();
+
+router.get("/configuracoes", authenticateToken, authorize("notifications:manage"), async (req, res, next) => {
+  try {
+    const settings = await NotificationService.getSettings();
+    res.status(200).json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota PUT /notificacoes/configuracoes
+ * Ativa ou desativa as notificações de cada evento e define os destinatários
+ * @param {object} req.body.events - Configuração por evento ({ DONATION_PAID: { enabled, recipients } })
+ * @returns {200} - Configuração atualizada
+ * @returns {409} - Erro de validação
+ */
+router.put("/configuracoes", authenticateToken, authorize("notifications:manage"), async (req, res, next) => {
+  try {
+    const settings = await NotificationService.updateSettings(
+      req.body.events,
+      req.user?.login
+    );
+    res.status(200).json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /notificacoes/teste
+ * Envia um e-mail de teste pelo transporte configurado
+ * @param {string} req.body.to - E-mail do destinatário
+ * @returns {200} - Mensagem enviada
+ * @returns {502} - Falha no envio
+ */
+router.post("/teste", authenticateToken, authorize("notifications:manage"), async (req, res, next) => {
+  try {
+    await NotificationService.sendTest(req.body.to);
+    res.status(200).json({ message: "E-mail de teste enviado." });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,94 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import outboundWebhookService from "../service/OutboundWebhookService.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const subscriptions = await outboundWebhookService.allSubscriptions();
+    res.status(200).json(subscriptions);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /assinaturas-webhook/cadastrar
+ * Cadastra uma URL para receber eventos assinados com HMAC-SHA256
+ * @param {string} req.body.url - URL HTTPS que receberá os eventos
+ * @param {string[]} req.body.events - donation.paid, donation.refunded, partner.created e/ou partner.updated
+ * @param {string} [req.body.description] - Descrição da integração
+ * @returns {201} - Assinatura criada, com o segredo (exibido apenas nesta resposta)
+ * @returns {409} - Erro de validação
+ */
+router.post("/cadastrar", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+    const subscription = await outboundWebhookService.createSubscription(
+      { url, events, description },
+      req.user?.login
+    );
+    res.status(201).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/atualizar/:id", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const { url, events, description, active } = req.body;
+    const subscription = await outboundWebhookService.updateSubscription(
+      req.params.id,
+      { url, events, description, active }
+    );
+    res.status(200).json(subscription);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/:id", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    await outboundWebhookService.deleteSubscription(req.params.id);
+    res.status(200).json({ message: "Assinatura removida com sucesso." });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota GET /assinaturas-webhook/entregas
+ * Histórico de entregas, da mais recente à mais antiga
+ * @param {string} [req.query.subscriptionId] - ID da assinatura
+ * @param {string} [req.query.event] - Evento
+ * @param {string} [req.query.status] - PENDENTE, ENTREGUE ou FALHOU
+ * @returns {200} - Entregas paginadas
+ * @returns {409} - Erro de validação
+ */
+router.get("/entregas", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+    const { subscriptionId, event, status } = req.query;
+
+    const result = await outboundWebhookService.allDeliveries(
+      { subscriptionId, event, status },
+      page,
+      limit
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/entregas/:id/reenviar", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const delivery = await outboundWebhookService.redeliver(req.params.id);
+    res.status(200).json(delivery);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,27 +1,44 @@
 import express from "express";
-import { authenticateToken } from "../middleware/auth.js";
+import {
+  authenticateToken,
+  authenticateTokenOrApiKey,
+  authorize,
+} from "../middleware/auth.js";
 import { PartnerService } from "../service/PartnerService.js";
+import {
+  PartnerImportService,
+  importFields,
+} from "../service/PartnerImportService.js";
+import { rateLimit } from "../middleware/RateLimit.js";
+import { AuditService } from "../service/AuditService.js";
+import { DegreeHistoryService } from "../service/DegreeHistoryService.js";
 const router = express.Router();
 
-router.get("/", authenticateToken, async (req, res, next) => {
+router.get("/", authenticateTokenOrApiKey, authorize("partners:read"), async (req, res, next) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 15;
     const { search } = req.query;
+    // Parceiros arquivados só aparecem quando solicitados
+    const options = { includeArchived: req.query.includeArchived === "true" };
 
     if (search) {
-      const result = await PartnerService.searchPartners(search, page, limit);
+      const result = await PartnerService.searchPartners(search, page, limit, options);
       return res.status(200).json(result);
     }
 
-    const allPartners = await PartnerService.allpartners(page, limit);
+    const allPartners = await PartnerService.allpartners(page, limit, options);
     return res.status(200).json(allPartners);
   } catch (error) {
     next(error);
   }
 });
 
-router.get("/cpf/:cpf", async (req, res, next) => {
+// Consulta pública usada no formulário de doação; o limite por IP dificulta a
+// enumeração de CPFs para descobrir nomes de parceiros
+const cpfLookupIpLimit = rateLimit({ name: "PARTNER_LOOKUP_IP", max: 10, windowSeconds: 60 });
+
+router.get("/cpf/:cpf", cpfLookupIpLimit, async (req, res, next) => {
   const { cpf } = req.params
 
   try{
@@ -33,18 +50,24 @@ router.get("/cpf/:cpf", async (req, res, next) => {
   
 })
 
-router.post("/cadastrar", authenticateToken, async (req, res, next) => {
+router.post("/cadastrar", authenticateToken, authorize("partners:write"), async (req, res, next) => {
   try {
-    const { cpf, name, cim, degree, profession, dateOfBirth } = req.body;
+    const { cpf, name, cim, degree, profession, dateOfBirth, degreeDate, ceremony } =
+      req.body;
 
-    const partnerDetails = await PartnerService.createPartner({
-      cpf,
-      name,
-      cim,
-      degree,
-      profession,
-      dateOfBirth,
-    });
+    const partnerDetails = await PartnerService.createPartner(
+      {
+        cpf,
+        name,
+        cim,
+        degree,
+        profession,
+        dateOfBirth,
+        degreeDate,
+        ceremony,
+      },
+      AuditService.context(req)
+    );
 
     res.status(201).json(partnerDetails);
   } catch (error) {
@@ -52,22 +75,90 @@ router.post("/cadastrar", authenticateToken, async (req, res, next) => {
   }
 });
 
-router.put("/atualizar/:id", authenticateToken, async (req, res, next) => {
+// A planilha é enviada como corpo da requisição (CSV ou XLSX)
+const spreadsheetBody = express.raw({
+  type: [
+    "text/csv",
+    "text/plain",
+    "application/csv",
+    "application/vnd.ms-excel",
+    "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    "application/octet-stream",
+  ],
+  limit: process.env.PARTNER_IMPORT_MAX_SIZE || "5mb",
+});
+
+// Sem dryRun=false, apenas valida e devolve a prévia com os erros por linha.
+// O cabeçalho de cada campo pode ser informado na query (ex.: ?cpf=Documento)
+router.post("/importar", authenticateToken, authorize("partners:write"), spreadsheetBody, async (req, res, next) => {
+  try {
+    const mapping = {};
+    for (const field of importFields) {
+      if (typeof req.query[field] === "string") mapping[field] = req.query[field];
+    }
+
+    const result = await PartnerImportService.importPartners(
+      req.body,
+      { dryRun: req.query.dryRun !== "false", mapping },
+      AuditService.context(req)
+    );
+
+    res.status(result.dryRun ? 200 : 201).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/atualizar/:id", authenticateToken, authorize("partners:write"), async (req, res, next) => {
   const { id } = req.params;
   const updates = req.body;
   try {
-    const updatePartner = await PartnerService.updatePartner(id, updates);
+    const updatePartner = await PartnerService.updatePartner(
+      id,
+      updates,
+      AuditService.context(req)
+    );
     res.status(200).json(updatePartner);
   } catch (error) {
     next(error);
   }
 });
 
-router.delete("/remover", authenticateToken, async (req, res, next) => {
+router.delete("/remover", authenticateToken, authorize("partners:delete"), async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    const result = await PartnerService.deletePartners(
+      ids,
+      AuditService.context(req)
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/lixeira", authenticateToken, authorize("partners:delete"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+
+    const result = await PartnerService.deletedPartners(page, limit);
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/restaurar", authenticateToken, authorize("partners:delete"), async (req, res, next) => {
   try {
     const { ids } = req.body;
 
-    const result = await PartnerService.deletePartners(ids);
+    const result = await PartnerService.restorePartners(
+      ids,
+      AuditService.context(req)
+    );
 
     res.status(200).json(result);
   } catch (error) {
@@ -75,7 +166,63 @@ router.delete("/remover", authenticateToken, async (req, res, next) => {
   }
 });
 
-router.get("/evolucao", authenticateToken, async (req, res ,next) => {
+// Remoção definitiva, apenas de parceiros que já estão na lixeira
+router.delete("/expurgar", authenticateToken, authorize("partners:purge"), async (req, res, next) => {
+  try {
+    const { ids } = req.body;
+
+    const result = await PartnerService.purgePartners(
+      ids,
+      AuditService.context(req)
+    );
+
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Mudanças que pulam graus são registradas, mas devolvem alertas em warnings
+router.put("/:id/grau", authenticateToken, authorize("partners:write"), async (req, res, next) => {
+  try {
+    const { degree, effectiveDate, ceremony } = req.body;
+
+    const result = await PartnerService.changeDegree(
+      req.params.id,
+      { degree, effectiveDate, ceremony },
+      AuditService.context(req)
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/:id/arquivar", authenticateToken, authorize("partners:write"), async (req, res, next) => {
+  try {
+    const partner = await PartnerService.archivePartner(
+      req.params.id,
+      AuditService.context(req)
+    );
+    res.status(200).json(partner);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/:id/reativar", authenticateToken, authorize("partners:write"), async (req, res, next) => {
+  try {
+    const partner = await PartnerService.reactivatePartner(
+      req.params.id,
+      AuditService.context(req)
+    );
+    res.status(200).json(partner);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/evolucao", authenticateTokenOrApiKey, authorize("partners:read"), async (req, res ,next) => {
   try{
     const evolutionData = await PartnerService.partnersEvolution();
     res.status(200).json(evolutionData)
@@ -84,4 +231,25 @@ router.get("/evolucao", authenticateToken, async (req, res ,next) => {
   }
 })
 
+router.get("/graus/relatorio", authenticateTokenOrApiKey, authorize("partners:read"), async (req, res, next) => {
+  try {
+    const { startYear, endYear } = req.query;
+
+    const report = await DegreeHistoryService.yearlyReport({ startYear, endYear });
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Deve ficar por último para não capturar as rotas fixas, como /evolucao
+router.get("/:id", authenticateTokenOrApiKey, authorize("partners:read"), async (req, res, next) => {
+  try {
+    const partner = await PartnerService.partnerDetails(req.params.id);
+    res.status(200).json(partner);
+  } catch (error) {
+    next(error);
+  }
+});
+
 export default router;
@@ -0,0 +1,63 @@
+import express from "express";
+import path from "path";
+import fs from "fs";
+import { ReceiptService } from "../service/ReceiptService.js";
+import { ExportService } from "../service/ExportService.js";
+import { rateLimit } from "../middleware/RateLimit.js";
+const router = express.Router();
+
+/**
+ * Rota POST /recibos/emitir
+ * Baixa o recibo numerado de uma doação paga
+ * @param {string} req.body.txId - Id da transação Pix da doação
+ * @param {string} req.body.cpf - CPF ou CNPJ usado na doação
+ * @returns {200} - Arquivo PDF do recibo
+ * @returns {404} - Doação não encontrada para o CPF informado
+ * @returns {409} - Doação sem pagamento confirmado ou devolvida
+ */
+router.post("/emitir", async (req, res, next) => {
+  try {
+    const { txId, cpf } = req.body;
+    const receipt = await ReceiptService.issueReceipt(txId, cpf);
+
+    const exportDir = ExportService.ensureExportDirectory();
+    const fileName = `recibo_${receipt.number}.pdf`;
+    const filePath = path.join(exportDir, `${Date.now()}_${fileName}`);
+
+    await ExportService.generateReceiptPDF(receipt, filePath);
+
+    res.download(filePath, fileName, (err) => {
+      if (err) {
+        console.error("Erro ao enviar recibo:", err);
+      }
+      fs.unlink(filePath, () => {});
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Os números de recibo são sequenciais; o limite dificulta a enumeração
+const verifyIpLimit = rateLimit({ name: "RECEIPT_VERIFY_IP", max: 10, windowSeconds: 60 });
+
+/**
+ * Rota GET /recibos/verificar/:numero
+ * Confirma se um número de recibo foi emitido pela entidade
+ * @param {string} req.params.numero - Número do recibo (AAAA-NNNNNN)
+ * @param {string} req.query.codigo - Código de verificação impresso no recibo
+ * @returns {200} - Resultado da verificação; apenas { valid: false } se o número ou o código não conferirem
+ * @returns {409} - Código não informado
+ */
+router.get("/verificar/:numero", verifyIpLimit, async (req, res, next) => {
+  try {
+    const result = await ReceiptService.verifyReceipt(
+      req.params.numero,
+      req.query.codigo
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
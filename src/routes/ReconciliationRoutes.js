@@ -0,0 +1,51 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import reconciliationService from "../service/ReconciliationService.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+
+    const result = await reconciliationService.allReports(page, limit);
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /conciliacao/executar
+ * Inicia uma conciliação manual das cobranças Pix com a Efí
+ * @param {string} [req.body.startDate] - Início do período conferido
+ * @param {string} [req.body.endDate] - Fim do período conferido
+ * @returns {202} - Relatório criado, com a execução em andamento
+ * @returns {409} - Período inválido ou conciliação já em andamento
+ */
+router.post("/executar", authenticateToken, authorize("reconciliation:run"), async (req, res, next) => {
+  try {
+    const { startDate, endDate } = req.body;
+
+    const report = await reconciliationService.startManualRun({
+      startDate,
+      endDate,
+      triggeredBy: req.user?.login,
+    });
+
+    res.status(202).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/:id", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const report = await reconciliationService.findReportById(req.params.id);
+    res.status(200).json(report);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
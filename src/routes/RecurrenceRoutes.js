@@ -0,0 +1,118 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import recurrenceService from "../service/RecurrenceService.js";
+import { rateLimit } from "../middleware/RateLimit.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+    const { status } = req.query;
+
+    const result = await recurrenceService.allRecurrences(page, limit, status);
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /recorrencias/cadastrar
+ * Cadastra uma doação recorrente para um parceiro (uso administrativo)
+ * @param {string} req.body.donorCPF - CPF do doador
+ * @param {number} req.body.amount - Valor de cada doação
+ * @param {string} req.body.periodicity - MENSAL, TRIMESTRAL, SEMESTRAL ou ANUAL
+ * @param {string} req.body.startDate - Data da primeira cobrança (YYYY-MM-DD)
+ * @param {string} [req.body.endDate] - Data limite para novas cobranças (YYYY-MM-DD)
+ * @returns {201} - Recorrência criada
+ * @returns {404} - CPF não cadastrado
+ * @returns {409} - Erro de validação
+ */
+router.post("/cadastrar", authenticateToken, authorize("recurrences:write"), async (req, res, next) => {
+  try {
+    const { donorCPF, amount, periodicity, startDate, endDate } = req.body;
+
+    const recurrence = await recurrenceService.createRecurrence({
+      donorCPF,
+      amount,
+      periodicity,
+      startDate,
+      endDate,
+    });
+
+    res.status(201).json(recurrence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Consulta pública usada pelo doador para pagar a cobrança; o limite por IP
+// dificulta a tentativa de adivinhar txIds
+const chargeLookupLimit = rateLimit({ name: "RECURRENCE_CHARGE_IP", max: 20, windowSeconds: 60 });
+
+/**
+ * Rota GET /recorrencias/cobrancas/:txId
+ * QR Code e Pix Copia e Cola de uma cobrança recorrente emitida
+ * @returns {200} - Dados para pagamento, sem os dados do parceiro
+ * @returns {404} - Cobrança não encontrada
+ */
+router.get("/cobrancas/:txId", chargeLookupLimit, async (req, res, next) => {
+  try {
+    const charge = await recurrenceService.findCharge(req.params.txId);
+    res.status(200).json(charge);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota GET /recorrencias/:id/cobrancas
+ * Cobranças emitidas para a recorrência, para envio ao doador
+ */
+router.get("/:id/cobrancas", authenticateToken, authorize("donations:read"), async (req, res, next) => {
+  try {
+    const charges = await recurrenceService.chargesOf(req.params.id);
+    res.status(200).json(charges);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch("/:id/pausar", authenticateToken, authorize("recurrences:write"), async (req, res, next) => {
+  try {
+    const recurrence = await recurrenceService.changeStatus(
+      req.params.id,
+      "PAUSADA"
+    );
+    res.status(200).json(recurrence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch("/:id/retomar", authenticateToken, authorize("recurrences:write"), async (req, res, next) => {
+  try {
+    const recurrence = await recurrenceService.changeStatus(
+      req.params.id,
+      "ATIVA"
+    );
+    res.status(200).json(recurrence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.patch("/:id/cancelar", authenticateToken, authorize("recurrences:write"), async (req, res, next) => {
+  try {
+    const recurrence = await recurrenceService.changeStatus(
+      req.params.id,
+      "CANCELADA"
+    );
+    res.status(200).json(recurrence);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,61 @@
+import express from "express";
+import { authenticateToken } from "../middleware/auth.js";
+import { TwoFactorService } from "../service/TwoFactorService.js";
+const router = express.Router();
+
+/**
+ * Rota POST /2fa/cadastro
+ * Inicia o cadastro do autenticador do usuário logado
+ * @returns {200} - Segredo e URI otpauth:// para exibir como QR Code
+ * @returns {409} - Verificação já ativa
+ */
+router.post("/cadastro", authenticateToken, async (req, res, next) => {
+  try {
+    const enrollment = await TwoFactorService.startEnrollment(req.user.id);
+    res.status(200).json(enrollment);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /2fa/confirmar
+ * Ativa a verificação com o primeiro código gerado pelo autenticador
+ * @param {string} req.body.code - Código de 6 dígitos
+ * @returns {200} - Códigos de recuperação, exibidos apenas nesta resposta
+ * @returns {409} - Código inválido
+ */
+router.post("/confirmar", authenticateToken, async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.confirmEnrollment(
+      req.user.id,
+      req.body.code
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/codigos-recuperacao", authenticateToken, async (req, res, next) => {
+  try {
+    const result = await TwoFactorService.regenerateRecoveryCodes(
+      req.user.id,
+      req.body.code
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/desativar", authenticateToken, async (req, res, next) => {
+  try {
+    await TwoFactorService.disable(req.user.id, req.body.code);
+    res.status(200).json({ message: "Verificação em duas etapas desativada." });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
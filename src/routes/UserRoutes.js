@@ -0,0 +1,142 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import { UserService } from "../service/UserService.js";
+import { SessionService } from "../service/SessionService.js";
+import { TwoFactorService } from "../service/TwoFactorService.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const users = await UserService.allUsers();
+    res.status(200).json(users);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota GET /usuarios/sessoes
+ * Sessões ativas, com o navegador e o IP do último uso
+ * @param {string} [req.query.userId] - Filtra pelo usuário
+ * @returns {200} - Sessões ativas
+ */
+router.get("/sessoes", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const sessions = await SessionService.activeSessions(req.query.userId);
+    res.status(200).json(
+      sessions.map((session) => ({
+        ...session.toPublic(),
+        current: session.id === req.user?.sid,
+      }))
+    );
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/sessoes/:id", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const session = await SessionService.revokeSession(req.params.id);
+    res.status(200).json(session);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/seguranca", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const settings = await TwoFactorService.getSettings();
+    res.status(200).json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota PUT /usuarios/seguranca
+ * Define os perfis que só entram no painel com a verificação em duas etapas
+ * @param {string[]} req.body.twoFactorRequiredRoles - Perfis (admin, tesoureiro, secretario, auditor)
+ * @returns {200} - Configuração atualizada
+ * @returns {409} - Erro de validação
+ */
+router.put("/seguranca", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const settings = await TwoFactorService.updateSettings(
+      req.body.twoFactorRequiredRoles,
+      req.user?.login
+    );
+    res.status(200).json(settings);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/:id", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const user = await UserService.findById(req.params.id);
+    res.status(200).json(user.toPublic());
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /usuarios/cadastrar
+ * Cadastra uma conta de acesso ao painel
+ * @param {string} req.body.login - Login único
+ * @param {string} req.body.name - Nome do usuário
+ * @param {string} req.body.password - Senha com ao menos 8 caracteres
+ * @param {string} req.body.role - Perfil: admin, tesoureiro, secretario ou auditor
+ * @param {string} [req.body.email] - E-mail do usuário
+ * @returns {201} - Usuário criado
+ * @returns {409} - Erro de validação
+ */
+router.post("/cadastrar", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const { login, name, password, role, email } = req.body;
+    const user = await UserService.createUser(
+      { login, name, password, role, email },
+      req.user?.login
+    );
+    res.status(201).json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.put("/atualizar/:id", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    const { name, email, role, active, password } = req.body;
+    const user = await UserService.updateUser(req.params.id, {
+      name,
+      email,
+      role,
+      active,
+      password,
+    });
+    res.status(200).json(user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete("/:id", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    await UserService.deleteUser(req.params.id, req.user?.id);
+    res.status(200).json({ message: "Usuário removido com sucesso." });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove o autenticador de um usuário que perdeu o aparelho
+router.delete("/:id/2fa", authenticateToken, authorize("users:manage"), async (req, res, next) => {
+  try {
+    await TwoFactorService.reset(req.params.id);
+    res.status(200).json({ message: "Verificação em duas etapas removida." });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
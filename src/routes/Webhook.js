@@ -1,8 +1,8 @@
 import express from "express";
 const router = express.Router();
-import DonationService from "../service/DonationService.js";
-import sseService from "../service/SSEService.js";
-const donationServiceInstance = new DonationService();
+import webhookEventService from "../service/WebhookEventService.js";
+import { verifyWebhook, getWebhookRejections } from "../middleware/WebhookAuth.js";
+import { authenticateToken, authorize } from "../middleware/auth.js";
 /**
  * Rota POST /api/webhook
  * Ponto de entrada base para configuração de webhooks
@@ -19,81 +19,32 @@ router.post("/", async (req, res) => {
 /**
  * Rota POST /api/webhook/pix
  * Lida com notificações de webhook de pagamento
+ * Cada notificação é gravada em webhook_events antes do processamento;
+ * falhas são reprocessadas automaticamente, sem depender do reenvio da Efí
  * @param {object} req.body - O payload completo da notificação
  * @param {Array<object>} req.body.pix - Um array de objetos notificação Pix
  * @returns {200} - Confirmação de recebimento
- * @returns {500} - Erro interno
+ * @returns {401} - Notificação sem certificado ou segredo válido
+ * @returns {500} - Falha ao gravar a notificação
  */
-router.post("/pix", async (req, res) => {
+router.post("/pix", verifyWebhook, async (req, res) => {
   try {
-    const pixNotificationData = req.body.pix;
+    const summary = await webhookEventService.receive(req.body);
 
-    if (
-      !Array.isArray(pixNotificationData) ||
-      pixNotificationData.length === 0
-    ) {
+    if (summary.received === 0) {
       console.warn(
         "[Webhook Pix] Nenhum dado de notificação PIX válido no payload."
       );
       return res.status(200).send("Nenhum dado de notificação processado.");
     }
 
-    let successfulProcesses = 0;
-    const failedTxIds = [];
-    const processedDonationsForSSE = [];
-
-    for (const pixPayload of pixNotificationData) {
-      const txId = pixPayload.txid;
-
-      if (!txId) {
-        console.warn(
-          "[Webhook Pix] Payload PIX recebido sem txId. Ignorando:",
-          pixPayload
-        );
-        continue;
-      }
-
-      try {
-        const donation = await donationServiceInstance.handlePixWebhook(
-          pixPayload
-        );
-
-        if (donation && donation.status === "PAGA") {
-          processedDonationsForSSE.push({
-            txid: donation.txId,
-            valor: donation.amount,
-            pagador: donation.donorName,
-            horario: donation.createdAt,
-            status: donation.status,
-          });
-        }
-
-        successfulProcesses++;
-      } catch (error) {
-        console.error(`[Webhook Pix - TxId ${txId}] Erro ao processar:`, error);
-        failedTxIds.push(txId);
-      }
-    }
-
-    if (processedDonationsForSSE.length > 0) {
-      sseService.notifyDonationPaid(processedDonationsForSSE);
-    }
-
-    if (successfulProcesses > 0 && failedTxIds.length === 0) {
+    if (summary.pending === 0) {
       res.status(200).send("Pix recebido e processado com sucesso.");
-    } else if (successfulProcesses > 0 && failedTxIds.length > 0) {
-      res
-        .status(200)
-        .send(
-          `Pix recebido. ${successfulProcesses} processados com sucesso. Falha em ${
-            failedTxIds.length
-          } transações: [${failedTxIds.join(", ")}].`
-        );
     } else {
       res
         .status(200)
         .send(
-          "Nenhuma notificação Pix válida para processamento encontrada ou todas falharam."
+          `Pix recebido. ${summary.processed} processados com sucesso. ${summary.pending} serão reprocessados.`
         );
     }
   } catch (error) {
@@ -102,4 +53,13 @@ router.post("/pix", async (req, res) => {
   }
 });
 
+/**
+ * Rota GET /api/webhook/rejeicoes
+ * Resumo das notificações rejeitadas na verificação de autenticidade
+ * @returns {200} - Total, contagem por motivo e horário da última rejeição
+ */
+router.get("/rejeicoes", authenticateToken, authorize("webhooks:read"), (req, res) => {
+  res.status(200).json(getWebhookRejections());
+});
+
 export default router;
@@ -0,0 +1,66 @@
+import express from "express";
+import { authenticateToken, authorize } from "../middleware/auth.js";
+import webhookEventService from "../service/WebhookEventService.js";
+const router = express.Router();
+
+router.get("/", authenticateToken, authorize("webhooks:read"), async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 15;
+    const { status, txId, startDate, endDate } = req.query;
+
+    const result = await webhookEventService.allEvents(
+      { status, txId, startDate, endDate },
+      page,
+      limit
+    );
+    return res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * Rota POST /eventos-webhook/reprocessar
+ * Reprocessa os eventos que atendem aos filtros (padrão: status FALHOU)
+ * @param {string} [req.body.status] - Status dos eventos
+ * @param {string} [req.body.txId] - Id da transação
+ * @param {string} [req.body.startDate] - Data inicial de recebimento (YYYY-MM-DD)
+ * @param {string} [req.body.endDate] - Data final de recebimento (YYYY-MM-DD)
+ * @param {number} [req.body.limit] - Quantidade máxima de eventos (padrão: 100)
+ * @returns {200} - Resumo do reprocessamento
+ * @returns {409} - Erro de validação
+ */
+router.post("/reprocessar", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const { status, txId, startDate, endDate, limit } = req.body;
+
+    const result = await webhookEventService.replayEvents(
+      { status, txId, startDate, endDate },
+      parseInt(limit) || 100
+    );
+    res.status(200).json(result);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.get("/:id", authenticateToken, authorize("webhooks:read"), async (req, res, next) => {
+  try {
+    const event = await webhookEventService.findEventById(req.params.id);
+    res.status(200).json(event);
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.post("/:id/reprocessar", authenticateToken, authorize("webhooks:manage"), async (req, res, next) => {
+  try {
+    const event = await webhookEventService.replayEvent(req.params.id);
+    res.status(200).json(event);
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,187 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import ApiKeyModel from "../models/ApiKey.js";
+import { logger } from "../utils/Logger.js";
+
+// Permissões que podem ser concedidas às integrações, todas somente de leitura
+export const apiKeyScopes = ["donations:read", "partners:read", "reports:export"];
+
+const keyPrefix = "dk_";
+const defaultExpirationDays = 90;
+const maxExpirationDays = parseInt(process.env.API_KEY_MAX_DAYS) || 365;
+
+/**
+ * @class ApiKeyService
+ * @description Chaves de API para integrações entre sistemas (ex.: scripts de
+ * relatórios). Cada chave tem escopos e validade próprios e é guardada apenas
+ * como hash; o valor completo é exibido uma única vez, no cadastro.
+ * Formato: dk_<id da chave>_<segredo>
+ */
+export class ApiKeyService {
+  static hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+
+  /**
+   * Cadastra uma chave de API
+   *
+   * @param {object} data - Dados da chave
+   * @param {string} data.name - Nome da integração
+   * @param {string[]} data.scopes - Escopos (donations:read, partners:read, reports:export)
+   * @param {string} [data.expiresAt] - Data de expiração (YYYY-MM-DD); padrão: 90 dias
+   * @param {string} [createdBy] - Login de quem cadastrou
+   * @returns {Promise<object>} - Chave cadastrada, com o valor completo em apiKey
+   * @throws {ValidationError} - Se os dados forem inválidos
+   */
+  static async createKey({ name, scopes, expiresAt }, createdBy) {
+    if (!name) {
+      throw new ValidationError("O nome da integração é obrigatório!");
+    }
+
+    if (
+      !Array.isArray(scopes) ||
+      scopes.length === 0 ||
+      scopes.some((scope) => !apiKeyScopes.includes(scope))
+    ) {
+      throw new ValidationError(
+        `Informe ao menos um escopo entre: ${apiKeyScopes.join(", ")}.`
+      );
+    }
+
+    const expiration = this.parseExpiration(expiresAt);
+
+    const apiKey = new ApiKeyModel({
+      id: db.collection("api_keys").doc().id,
+      name,
+      scopes: [...new Set(scopes)],
+      expiresAt: expiration,
+      createdBy,
+      createdAt: new Date(),
+    });
+
+    const rawKey = `${keyPrefix}${apiKey.id}_${crypto.randomBytes(32).toString("base64url")}`;
+    apiKey.prefix = rawKey.slice(0, keyPrefix.length + apiKey.id.length + 5);
+    apiKey.keyHash = this.hash(rawKey);
+    await apiKey.save();
+
+    return { ...apiKey.toPublic(), apiKey: rawKey };
+  }
+
+  static parseExpiration(expiresAt) {
+    const now = new Date();
+    const maxDate = new Date(now.getTime() + maxExpirationDays * 24 * 60 * 60 * 1000);
+
+    if (!expiresAt) {
+      return new Date(now.getTime() + defaultExpirationDays * 24 * 60 * 60 * 1000);
+    }
+
+    const expiration = /^\d{4}-\d{2}-\d{2}$/.test(expiresAt)
+      ? new Date(`${expiresAt}T23:59:59.999Z`)
+      : new Date(NaN);
+    if (isNaN(expiration.getTime()) || expiration <= now || expiration > maxDate) {
+      throw new ValidationError(
+        `Data de expiração inválida. Use YYYY-MM-DD, em até ${maxExpirationDays} dias.`
+      );
+    }
+    return expiration;
+  }
+
+  /**
+   * Confere a chave recebida no cabeçalho Authorization e registra o uso
+   *
+   * @param {string} rawKey - Chave completa
+   * @param {string} [ip] - IP de origem
+   * @returns {Promise<ApiKeyModel | null>} - Chave válida ou null
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async authenticate(rawKey, ip) {
+    const match = /^dk_([A-Za-z0-9]+)_[A-Za-z0-9_-]+$/.exec(rawKey || "");
+    if (!match) return null;
+
+    let apiKey;
+    try {
+      const docSnap = await db.collection("api_keys").doc(match[1]).get();
+      if (!docSnap.exists) return null;
+      apiKey = new ApiKeyModel({ id: docSnap.id, ...docSnap.data() });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar chave de API: ${error}`);
+    }
+
+    const expectedHash = Buffer.from(apiKey.keyHash || "");
+    const receivedHash = Buffer.from(this.hash(rawKey));
+    if (
+      expectedHash.length !== receivedHash.length ||
+      !crypto.timingSafeEqual(expectedHash, receivedHash) ||
+      !apiKey.isActive()
+    ) {
+      return null;
+    }
+
+    // O registro do uso não atrasa a requisição
+    db.collection("api_keys")
+      .doc(apiKey.id)
+      .update({
+        lastUsedAt: admin.firestore.FieldValue.serverTimestamp(),
+        lastUsedIp: ip ?? null,
+      })
+      .catch((error) =>
+        logger.error(`[Chave de API ${apiKey.id}] Falha ao registrar uso`, error)
+      );
+
+    return apiKey;
+  }
+
+  /**
+   * Lista as chaves cadastradas, da mais recente à mais antiga
+   *
+   * @returns {Promise<object[]>} - Chaves sem o hash
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async allKeys() {
+    try {
+      const snapshot = await db.collection("api_keys").get();
+      return snapshot.docs
+        .map((doc) => new ApiKeyModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .map((apiKey) => apiKey.toPublic());
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar chaves de API: ${error}`);
+    }
+  }
+
+  /**
+   * Revoga uma chave; as requisições seguintes com ela são recusadas
+   *
+   * @param {string} id - ID da chave
+   * @returns {Promise<object>} - Chave revogada
+   * @throws {NotFoundError} - Se a chave não existir
+   * @throws {ValidationError} - Se a chave já estiver revogada
+   */
+  static async revokeKey(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("api_keys").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar chave de API: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Chave de API com ${id} não encontrada`);
+    }
+
+    const apiKey = new ApiKeyModel({ id: docSnap.id, ...docSnap.data() });
+    if (apiKey.revokedAt) {
+      throw new ValidationError("A chave de API já está revogada.");
+    }
+
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    return apiKey.toPublic();
+  }
+}
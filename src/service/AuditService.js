@@ -0,0 +1,178 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { Timestamp } from "firebase-admin/firestore";
+import { ValidationError, DatabaseError } from "../utils/Errors.js";
+import AuditLogModel from "../models/AuditLog.js";
+import { logger } from "../utils/Logger.js";
+
+export const auditActions = [
+  "PARTNER_CREATED",
+  "PARTNER_UPDATED",
+  "PARTNER_DELETED",
+  "PARTNER_RESTORED",
+  "PARTNER_PURGED",
+  "PARTNER_ARCHIVED",
+  "PARTNER_REACTIVATED",
+  "PARTNER_IMPORTED",
+  "PARTNER_DEGREE_CHANGED",
+  "LOGIN",
+  "LOGIN_FAILED",
+  "LOGOUT",
+  "EXPORT_GENERATED",
+  "DONATION_REFUNDED",
+];
+
+/**
+ * @class AuditService
+ * @description Trilha de auditoria das ações administrativas: quem fez, o quê,
+ * em qual registro, o que mudou, de qual IP e quando. Os registros ficam na
+ * coleção audit_logs, que só recebe inserções.
+ */
+export class AuditService {
+  /**
+   * Extrai da requisição o autor e o IP registrados na auditoria
+   *
+   * @param {object} req - Requisição do Express
+   * @returns {{actor: string | null, ip: string | null}}
+   */
+  static context(req) {
+    return { actor: req.user?.login ?? null, ip: req.ip ?? null };
+  }
+
+  /**
+   * Compara dois estados de um registro e devolve apenas os campos alterados
+   *
+   * @param {object} [before] - Estado anterior
+   * @param {object} [after] - Estado posterior
+   * @returns {object | null} - { campo: { before, after } }, ou null se nada mudou
+   */
+  static diff(before = {}, after = {}) {
+    const changes = {};
+    const fields = new Set([...Object.keys(before ?? {}), ...Object.keys(after ?? {})]);
+
+    for (const field of fields) {
+      if (field === "id") continue;
+      const previous = this.normalize(before?.[field]);
+      const current = this.normalize(after?.[field]);
+      if (JSON.stringify(previous) !== JSON.stringify(current)) {
+        changes[field] = { before: previous, after: current };
+      }
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+  }
+
+  // Datas e Timestamps são gravados em ISO para a comparação e o CSV
+  static normalize(value) {
+    if (value === undefined) return null;
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value?.toDate === "function") return value.toDate().toISOString();
+    return value;
+  }
+
+  /**
+   * Registra uma ação. Falhas são apenas registradas no log, para nunca
+   * interromper a operação auditada
+   *
+   * @param {object} entry - Dados do registro
+   * @param {string} entry.action - Ação (ex.: PARTNER_UPDATED)
+   * @param {string} entry.entity - Tipo do registro afetado (ex.: partner)
+   * @param {string} [entry.entityId] - ID do registro afetado
+   * @param {object} [entry.before] - Estado anterior
+   * @param {object} [entry.after] - Estado posterior
+   * @param {object} [entry.metadata] - Informações adicionais
+   * @param {{actor: string, ip: string}} [context] - Autor e IP da ação
+   * @returns {Promise<AuditLogModel | null>}
+   */
+  static async record({ action, entity, entityId, before, after, metadata }, context = {}) {
+    try {
+      const log = new AuditLogModel({
+        actor: context.actor,
+        ip: context.ip,
+        action,
+        entity,
+        entityId,
+        changes: before || after ? this.diff(before, after) : null,
+        metadata,
+      });
+      await log.save();
+      return log;
+    } catch (error) {
+      logger.error(`[Auditoria ${action}] Falha ao registrar ação`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Busca os registros que atendem aos filtros, do mais recente ao mais antigo
+   * Apenas um filtro de igualdade vai ao Firestore; os demais são aplicados
+   * em memória para evitar índices compostos
+   *
+   * @param {object} filters - Filtros (actor, action, entity, entityId, startDate, endDate)
+   * @returns {Promise<AuditLogModel[]>}
+   * @throws {ValidationError} - Se algum filtro for inválido
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findLogs({ actor, action, entity, entityId, startDate, endDate } = {}) {
+    if (action && !auditActions.includes(action)) {
+      throw new ValidationError(
+        `A ação deve ser uma das seguintes: ${auditActions.join(", ")}.`
+      );
+    }
+
+    const start = startDate ? new Date(`${startDate}T00:00:00.000Z`) : null;
+    const end = endDate ? new Date(`${endDate}T23:59:59.999Z`) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      throw new ValidationError("Data Inválida!");
+    }
+
+    try {
+      let query = db.collection("audit_logs");
+      if (entityId) {
+        query = query.where("entityId", "==", entityId);
+      } else if (actor) {
+        query = query.where("actor", "==", actor);
+      } else if (action) {
+        query = query.where("action", "==", action);
+      } else if (start) {
+        query = query.where("createdAt", ">=", Timestamp.fromDate(start));
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map((doc) => new AuditLogModel({ id: doc.id, ...doc.data() }))
+        .filter(
+          (log) =>
+            (!actor || log.actor === actor) &&
+            (!action || log.action === action) &&
+            (!entity || log.entity === entity) &&
+            (!start || log.createdAt >= start) &&
+            (!end || log.createdAt <= end)
+        )
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar registros de auditoria: ${error}`);
+    }
+  }
+
+  /**
+   * Lista os registros com paginação
+   *
+   * @param {object} filters - Filtros (actor, action, entity, entityId, startDate, endDate)
+   * @param {number} [page=1] - Número da página
+   * @param {number} [limit=15] - Quantidade de registros por página
+   * @returns {Promise<{logs: AuditLogModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   */
+  static async allLogs(filters, page = 1, limit = 15) {
+    const offset = (Math.max(1, page) - 1) * limit;
+    const logs = await this.findLogs(filters);
+
+    return {
+      logs: logs.slice(offset, offset + limit),
+      currentPage: page,
+      totalPages: Math.ceil(logs.length / limit),
+      totalResults: logs.length,
+      limit: limit,
+    };
+  }
+}
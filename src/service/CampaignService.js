@@ -0,0 +1,281 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import CampaignModel from "../models/Campaign.js";
+import DonationModel from "../models/Donation.js";
+import DonationService from "./DonationService.js";
+
+const campaignStatuses = ["ATIVA", "PAUSADA", "ENCERRADA"];
+
+/**
+ * @class CampaignService
+ * @description Gerencia as campanhas de arrecadação: cadastro, alteração,
+ * validação das doações vinculadas e cálculo do progresso em relação à meta
+ */
+export class CampaignService {
+  /**
+   * Cadastra uma nova campanha
+   *
+   * @param {object} data - Dados da campanha
+   * @param {string} data.title - Título da campanha
+   * @param {string} [data.description] - Descrição da campanha
+   * @param {number} data.targetAmount - Meta de arrecadação
+   * @param {string} data.startDate - Data de início (YYYY-MM-DD)
+   * @param {string} data.endDate - Data de término (YYYY-MM-DD)
+   * @returns {Promise<CampaignModel>} - Campanha criada
+   * @throws {ValidationError} - Se os dados forem inválidos
+   */
+  static async createCampaign(data) {
+    const { title, description, targetAmount, startDate, endDate } = data;
+
+    if (!title || !targetAmount || !startDate || !endDate) {
+      throw new ValidationError(
+        "Título, meta, data de início e data de término são obrigatórios!"
+      );
+    }
+
+    const campaign = new CampaignModel({
+      title: title.trim(),
+      description,
+      targetAmount,
+      startDate,
+      endDate,
+      status: "ATIVA",
+    });
+    this.validateCampaign(campaign);
+
+    await campaign.save();
+    return campaign;
+  }
+
+  /**
+   * Atualiza os dados ou o status de uma campanha
+   *
+   * @param {string} id - ID da campanha
+   * @param {object} data - Campos a serem alterados (title, description, targetAmount, startDate, endDate, status)
+   * @returns {Promise<CampaignModel>} - Campanha atualizada
+   * @throws {NotFoundError} - Se a campanha não existir
+   * @throws {ValidationError} - Se os dados forem inválidos
+   */
+  static async updateCampaign(id, data) {
+    const campaign = await this.findById(id);
+    const fields = ["title", "description", "targetAmount", "startDate", "endDate", "status"];
+
+    fields.forEach((field) => {
+      if (data[field] !== undefined) {
+        campaign[field] =
+          field === "targetAmount" ? parseFloat(data[field]) : data[field];
+      }
+    });
+    this.validateCampaign(campaign);
+
+    await campaign.save();
+    return campaign;
+  }
+
+  /**
+   * Valida os dados de uma campanha
+   *
+   * @param {CampaignModel} campaign - Campanha a ser validada
+   * @throws {ValidationError} - Se algum campo for inválido
+   */
+  static validateCampaign(campaign) {
+    if (!campaign.title || !String(campaign.title).trim()) {
+      throw new ValidationError("O título da campanha é obrigatório.");
+    }
+
+    if (isNaN(campaign.targetAmount) || campaign.targetAmount <= 0) {
+      throw new ValidationError("A meta da campanha deve ser maior que 0.");
+    }
+
+    if (!this.isValidDate(campaign.startDate) || !this.isValidDate(campaign.endDate)) {
+      throw new ValidationError("Datas da campanha inválidas. Use YYYY-MM-DD.");
+    }
+
+    if (campaign.endDate < campaign.startDate) {
+      throw new ValidationError(
+        "A data de término deve ser posterior à data de início."
+      );
+    }
+
+    if (!campaignStatuses.includes(campaign.status)) {
+      throw new ValidationError(
+        `O status deve ser um dos seguintes: ${campaignStatuses.join(", ")}.`
+      );
+    }
+  }
+
+  static isValidDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime());
+  }
+
+  /**
+   * Busca uma campanha pelo ID
+   *
+   * @param {string} id - ID da campanha
+   * @returns {Promise<CampaignModel>}
+   * @throws {NotFoundError} - Se a campanha não existir
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findById(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("campaigns").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar campanha: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Campanha com ${id} não encontrada`);
+    }
+
+    return new CampaignModel({ id: docSnap.id, ...docSnap.data() });
+  }
+
+  /**
+   * Busca uma campanha que esteja recebendo doações
+   *
+   * @param {string} id - ID da campanha
+   * @returns {Promise<CampaignModel>}
+   * @throws {NotFoundError} - Se a campanha não existir
+   * @throws {ValidationError} - Se a campanha não estiver ativa ou estiver fora do período
+   */
+  static async findOpenCampaign(id) {
+    const campaign = await this.findById(id);
+    if (!campaign.isOpen()) {
+      throw new ValidationError(
+        `A campanha ${campaign.title} não está recebendo doações.`
+      );
+    }
+    return campaign;
+  }
+
+  /**
+   * Lista as campanhas com paginação
+   *
+   * @param {number} [page=1] - Número da página
+   * @param {number} [limit=15] - Quantidade de campanhas por página
+   * @param {string} [status] - Filtra pelo status da campanha
+   * @returns {Promise<{campaigns: CampaignModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async allCampaigns(page = 1, limit = 15, status) {
+    const offset = (Math.max(1, page) - 1) * limit;
+
+    try {
+      let query = db.collection("campaigns");
+      if (status) {
+        query = query.where("status", "==", status);
+      }
+
+      const snapshot = await query.get();
+      const campaigns = snapshot.docs
+        .map((doc) => new CampaignModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => b.startDate.localeCompare(a.startDate));
+
+      return {
+        campaigns: campaigns.slice(offset, offset + limit),
+        currentPage: page,
+        totalPages: Math.ceil(campaigns.length / limit),
+        totalResults: campaigns.length,
+        limit: limit,
+      };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar campanhas: ${error}`);
+    }
+  }
+
+  /**
+   * Lista as campanhas abertas a doações com o progresso de cada uma
+   *
+   * @returns {Promise<object[]>} - Campanhas abertas com o progresso
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async openCampaignsProgress() {
+    let campaigns;
+    try {
+      const snapshot = await db
+        .collection("campaigns")
+        .where("status", "==", "ATIVA")
+        .get();
+      campaigns = snapshot.docs
+        .map((doc) => new CampaignModel({ id: doc.id, ...doc.data() }))
+        .filter((campaign) => campaign.isOpen())
+        .sort((a, b) => a.endDate.localeCompare(b.endDate));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar campanhas abertas: ${error}`);
+    }
+
+    return Promise.all(
+      campaigns.map((campaign) => this.progressOf(campaign))
+    );
+  }
+
+  /**
+   * Calcula o progresso de uma campanha
+   *
+   * @param {string} id - ID da campanha
+   * @returns {Promise<object>} - Valor arrecadado, doadores e percentual da meta
+   * @throws {NotFoundError} - Se a campanha não existir
+   */
+  static async campaignProgress(id) {
+    const campaign = await this.findById(id);
+    return this.progressOf(campaign);
+  }
+
+  /**
+   * Soma as doações pagas da campanha, descontadas as devoluções
+   * Doadores anônimos são contados individualmente, um por doação
+   *
+   * @param {CampaignModel} campaign - Campanha
+   * @returns {Promise<object>} - Progresso público da campanha
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async progressOf(campaign) {
+    let donations;
+    try {
+      const snapshot = await db
+        .collection("donations")
+        .where("campaignId", "==", campaign.id)
+        .get();
+      donations = snapshot.docs
+        .map((doc) => new DonationModel({ id: doc.id, ...doc.data() }))
+        .filter(
+          (donation) =>
+            DonationService.isPaidStatus(donation.status) &&
+            donation.netAmount() > 0
+        );
+    } catch (error) {
+      throw new DatabaseError(`Erro ao calcular progresso da campanha: ${error}`);
+    }
+
+    const raisedAmount = parseFloat(
+      donations.reduce((sum, donation) => sum + donation.netAmount(), 0).toFixed(2)
+    );
+    const donors = new Set(
+      donations.map(
+        (donation) => donation.donorCPF || donation.donorCNPJ || donation.id
+      )
+    );
+
+    return {
+      campaignId: campaign.id,
+      title: campaign.title,
+      description: campaign.description,
+      startDate: campaign.startDate,
+      endDate: campaign.endDate,
+      status: campaign.status,
+      targetAmount: campaign.targetAmount,
+      raisedAmount,
+      donationCount: donations.length,
+      donorCount: donors.size,
+      percentage: parseFloat(
+        ((raisedAmount / campaign.targetAmount) * 100).toFixed(2)
+      ),
+    };
+  }
+}
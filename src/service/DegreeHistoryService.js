@@ -0,0 +1,203 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { ValidationError, DatabaseError } from "../utils/Errors.js";
+import DegreeChangeModel from "../models/DegreeChange.js";
+import Degree from "../utils/Degrees.js";
+
+// Ordem da progressão: iniciação, elevação, exaltação e instalação
+export const degreeOrder = [
+  Degree.APPRENTICE,
+  Degree.COMPANION,
+  Degree.MASTER,
+  Degree.MASTER_INSTALLED,
+];
+
+/**
+ * @class DegreeHistoryService
+ * @description Histórico das mudanças de grau dos parceiros, com a data efetiva
+ * e a cerimônia ou sessão. Os registros ficam na coleção degree_history e não
+ * são alterados quando o grau do parceiro muda novamente.
+ */
+export class DegreeHistoryService {
+  /**
+   * Lista os graus pulados em uma mudança (ex.: de Aprendiz direto para Mestre)
+   *
+   * @param {string | null} fromDegree - Grau anterior
+   * @param {string} toDegree - Novo grau
+   * @returns {string[]} - Graus intermediários não registrados
+   */
+  static skippedDegrees(fromDegree, toDegree) {
+    const from = degreeOrder.indexOf(fromDegree);
+    const to = degreeOrder.indexOf(toDegree);
+    if (from === -1 || to <= from + 1) return [];
+    return degreeOrder.slice(from + 1, to);
+  }
+
+  /**
+   * Monta os alertas de uma mudança de grau fora da progressão
+   *
+   * @param {string | null} fromDegree - Grau anterior
+   * @param {string} toDegree - Novo grau
+   * @returns {string[]} - Alertas para quem registrou a mudança
+   */
+  static warnings(fromDegree, toDegree) {
+    const warnings = [];
+    const skipped = this.skippedDegrees(fromDegree, toDegree);
+    if (skipped.length > 0) {
+      warnings.push(
+        `A mudança de ${fromDegree} para ${toDegree} pula o(s) grau(s): ${skipped.join(", ")}.`
+      );
+    }
+    if (fromDegree && degreeOrder.indexOf(toDegree) < degreeOrder.indexOf(fromDegree)) {
+      warnings.push(`A mudança de ${fromDegree} para ${toDegree} retrocede o grau.`);
+    }
+    return warnings;
+  }
+
+  /**
+   * Valida a data efetiva de uma mudança de grau
+   *
+   * @param {string} [date] - Data no formato YYYY-MM-DD
+   * @returns {string | null} - Data validada ou nula quando não informada
+   * @throws {ValidationError} - Se a data for inválida ou futura
+   */
+  static validateEffectiveDate(date) {
+    if (!date) return null;
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (
+      typeof date !== "string" ||
+      !/^\d{4}-\d{2}-\d{2}$/.test(date) ||
+      isNaN(new Date(date).getTime()) ||
+      date > today
+    ) {
+      throw new ValidationError(
+        "Data do grau inválida. Use YYYY-MM-DD, sem datas futuras."
+      );
+    }
+    return date;
+  }
+
+  /**
+   * Monta o registro de uma mudança de grau, sem gravá-lo
+   *
+   * @param {string} partnerId - ID do parceiro
+   * @param {object} change - Dados da mudança
+   * @param {string | null} [change.fromDegree] - Grau anterior (nulo no cadastro)
+   * @param {string} change.toDegree - Novo grau
+   * @param {string} [change.effectiveDate] - Data da cerimônia (YYYY-MM-DD)
+   * @param {string} [change.ceremony] - Cerimônia ou sessão em que ocorreu
+   * @param {{actor: string, ip: string}} [context] - Autor da mudança
+   * @returns {DegreeChangeModel}
+   * @throws {ValidationError} - Se a data efetiva for inválida
+   */
+  static buildChange(partnerId, { fromDegree, toDegree, effectiveDate, ceremony }, context) {
+    return new DegreeChangeModel({
+      partnerId,
+      fromDegree,
+      toDegree,
+      effectiveDate: this.validateEffectiveDate(effectiveDate),
+      ceremony: typeof ceremony === "string" ? ceremony.trim() || null : null,
+      skippedDegrees: this.skippedDegrees(fromDegree, toDegree),
+      recordedBy: context?.actor ?? null,
+    });
+  }
+
+  /**
+   * Busca o histórico de graus de um parceiro, do registro mais antigo ao mais recente
+   *
+   * @param {string} partnerId - ID do parceiro
+   * @returns {Promise<DegreeChangeModel[]>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async historyOf(partnerId) {
+    try {
+      const snapshot = await db
+        .collection("degree_history")
+        .where("partnerId", "==", partnerId)
+        .get();
+
+      // Registros sem data efetiva (cadastros antigos) ficam no início
+      return snapshot.docs
+        .map((doc) => new DegreeChangeModel({ id: doc.id, ...doc.data() }))
+        .sort(
+          (a, b) =>
+            (a.effectiveDate ?? "").localeCompare(b.effectiveDate ?? "") ||
+            (a.createdAt || 0) - (b.createdAt || 0)
+        );
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar histórico de graus: ${error}`);
+    }
+  }
+
+  /**
+   * Conta quantos parceiros alcançaram cada grau por ano, pela data efetiva
+   * Registros sem data efetiva não entram no relatório
+   *
+   * @param {object} [filters] - Filtros (startYear, endYear)
+   * @returns {Promise<{year: number, degrees: object, total: number}[]>} - Totais por ano, em ordem crescente
+   * @throws {ValidationError} - Se algum ano for inválido
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async yearlyReport({ startYear, endYear } = {}) {
+    const start = startYear ? parseInt(startYear) : null;
+    const end = endYear ? parseInt(endYear) : null;
+    if ((startYear && isNaN(start)) || (endYear && isNaN(end))) {
+      throw new ValidationError("Ano Inválido!");
+    }
+
+    let snapshot;
+    try {
+      snapshot = await db.collection("degree_history").get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar histórico de graus: ${error}`);
+    }
+
+    const years = {};
+    for (const doc of snapshot.docs) {
+      const change = new DegreeChangeModel({ id: doc.id, ...doc.data() });
+      if (!change.effectiveDate) continue;
+
+      const year = Number(change.effectiveDate.slice(0, 4));
+      if ((start && year < start) || (end && year > end)) continue;
+
+      if (!years[year]) {
+        years[year] = {
+          year,
+          degrees: Object.fromEntries(degreeOrder.map((degree) => [degree, 0])),
+          total: 0,
+        };
+      }
+      if (years[year].degrees[change.toDegree] !== undefined) {
+        years[year].degrees[change.toDegree]++;
+        years[year].total++;
+      }
+    }
+
+    return Object.values(years).sort((a, b) => a.year - b.year);
+  }
+
+  /**
+   * Remove o histórico de graus de um parceiro, usado no expurgo do cadastro
+   *
+   * @param {string} partnerId - ID do parceiro
+   * @throws {DatabaseError} - Se ocorrer um erro ao remover os registros
+   */
+  static async deleteHistory(partnerId) {
+    try {
+      const snapshot = await db
+        .collection("degree_history")
+        .where("partnerId", "==", partnerId)
+        .get();
+
+      // O Firestore aceita até 500 operações por lote
+      for (let i = 0; i < snapshot.docs.length; i += 500) {
+        const batch = db.batch();
+        snapshot.docs.slice(i, i + 500).forEach((doc) => batch.delete(doc.ref));
+        await batch.commit();
+      }
+    } catch (error) {
+      throw new DatabaseError(`Erro ao remover histórico de graus: ${error}`);
+    }
+  }
+}
@@ -9,7 +9,19 @@ import {
 } from "../utils/Errors.js";
 import DonationModel from "../models/Donation.js";
 import pixService from "./PixService.js";
-import { PartnerService } from "./PartnerService.js";
+import { v4 as uuidv4 } from "uuid";
+import { IdempotencyService } from "./IdempotencyService.js";
+import { DonorService } from "./DonorService.js";
+import { NotificationService } from "./NotificationService.js";
+import { CampaignService } from "./CampaignService.js";
+import outboundWebhookService from "./OutboundWebhookService.js";
+import { AuditService } from "./AuditService.js";
+
+// Validade das chaves Idempotency-Key informadas pelo cliente
+const idempotencyKeyTtl =
+  (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 3600;
+// Janela em que CPF + valor repetidos reaproveitam a mesma cobrança
+const derivedKeyWindow = parseInt(process.env.IDEMPOTENCY_WINDOW_SECONDS) || 60;
 
 /**
  * @class DonationSevice
@@ -21,19 +33,32 @@ class DonationService {
    * Criação de uma nova doação e cobrança Pix
    *
    * @param {object} data - Dados fornecidos pelo doador
-   * @param {string} data.donorCPF - CPF do doador
-   * @param {string} data.donorName - Nome do doador
+   * @param {string} [data.donorCPF] - CPF ou CNPJ do doador
+   * @param {string} [data.donorName] - Nome do doador, obrigatório no primeiro cadastro de quem não é parceiro
+   * @param {boolean} [data.anonymous] - Gera a cobrança sem identificação do pagador
    * @param {number} data.amout - Valor da doação
-   * @returns {object}  - Objeto com os detalhes da doação e os dados da cobrança Pix
-   * @throws {ValidationError} - Se os dados de entrada forem inválidos ou incompletos
-   * @throws {NotFoundError} - Se o cpf não estiver cadastrado
+   * @param {number} [data.expiration] - Tempo de vida da cobrança em segundos
+   * @param {string} [data.campaignId] - Campanha à qual a doação é destinada
+   * @param {string} [data.idempotencyKey] - Chave enviada no cabeçalho Idempotency-Key
+   * @returns {object}  - Objeto com os detalhes da doação e os dados da cobrança Pix;
+   *                      replayed=true quando a cobrança original é reaproveitada
+   * @throws {ValidationError} - Se os dados de entrada forem inválidos ou a campanha não estiver aberta
+   * @throws {NotFoundError} - Se a campanha não existir
    * @throws {ExternalError} - Se houver falha na comunicação com o serviço Pix
    */
   static async createDonation(data) {
-    const { donorCPF, amount } = data;
+    const {
+      donorCPF,
+      donorName,
+      anonymous,
+      amount,
+      expiration,
+      campaignId,
+      idempotencyKey,
+    } = data;
 
     // Validação dos campos obrigatórios
-    if (!donorCPF || !amount) {
+    if (!amount || (!donorCPF && !anonymous)) {
       throw new ValidationError("Todos os campos são obrigatórios!");
     }
 
@@ -42,52 +67,158 @@ class DonationService {
       throw new ValidationError("O valor da doação deve ser maior que 0.");
     }
 
-    // Validação e limpeza do CPF
-    const cleanedCPF = donorCPF.replace(/\D/g, "");
-    if (cleanedCPF.length !== 11) {
-      throw new ValidationError("CPF Inválido!");
+    if (idempotencyKey && idempotencyKey.length > 255) {
+      throw new ValidationError(
+        "A chave de idempotência deve ter no máximo 255 caracteres."
+      );
     }
 
-    // Busca o parceiro associado ao CPF
-    const existsPartner = await PartnerService.findByExactCPF(cleanedCPF);
-    if (!existsPartner) {
-      throw new NotFoundError("CPF não cadastrado");
-    }
+    // Campanha à qual a doação é destinada, se informada
+    const campaign = campaignId
+      ? await CampaignService.findOpenCampaign(campaignId)
+      : null;
+
+    // Identifica o doador: parceiro, doador externo ou anônimo
+    const donor = await DonorService.resolveDonor({
+      document: donorCPF,
+      name: donorName,
+      anonymous,
+    });
+    const donorDocument = donor.donorCPF || donor.donorCNPJ;
+
+    /**
+     * Evita cobranças duplicadas por cliques repetidos
+     * Sem Idempotency-Key, a chave é derivada do documento e do valor dentro de uma janela curta.
+     * Doações anônimas sem Idempotency-Key não têm como ser identificadas
+     */
+    const amountKey = parseFloat(amount).toFixed(2);
+    const key = idempotencyKey
+      ? `header:${idempotencyKey}`
+      : donorDocument
+      ? `derived:${donorDocument}:${amountKey}:${campaignId ?? ""}`
+      : null;
+
+    if (key) {
+      const requestHash = IdempotencyService.hash(
+        idempotencyKey
+          ? `${donorDocument ?? "anonimo"}:${amountKey}:${expiration ?? ""}:${campaignId ?? ""}`
+          : key
+      );
+      const ttl = idempotencyKey ? idempotencyKeyTtl : derivedKeyWindow;
 
-    let donorName = existsPartner.name;
-    let donorCIM = existsPartner.cim;
+      const reservation = await IdempotencyService.reserve(key, requestHash, ttl);
+      if (!reservation.reserved) {
+        const original = await DonationService.findByTxId(
+          reservation.record.txId
+        );
+
+        if (
+          original &&
+          (idempotencyKey || original.status === "AGUARDANDO_PAGAMENTO")
+        ) {
+          return { ...DonationService.toChargeDetails(original), replayed: true };
+        }
+
+        // A cobrança derivada já foi paga ou expirou: trata-se de uma nova doação
+        await IdempotencyService.release(key);
+        const renewal = await IdempotencyService.reserve(key, requestHash, ttl);
+
+        // Outra requisição repetida reservou a chave antes e já gerou a nova cobrança
+        if (!renewal.reserved) {
+          const concurrent = await DonationService.findByTxId(renewal.record.txId);
+          if (!concurrent) {
+            throw new ValidationError(
+              "Uma requisição com esta chave ainda está em processamento. Tente novamente em instantes."
+            );
+          }
+          return { ...DonationService.toChargeDetails(concurrent), replayed: true };
+        }
+      }
+    }
 
     // Criaçao da cobrança Pix
+    let pixChargeDetails;
     try {
-      const pixChargeDetails = await pixService.createImmediatePixCharge({
+      pixChargeDetails = await pixService.createImmediatePixCharge({
         amount,
-        donorCPF: cleanedCPF,
-        donorName,
+        donorCPF: donor.donorCPF,
+        donorCNPJ: donor.donorCNPJ,
+        donorName: donor.donorName,
+        expiration,
+        // A mensagem ao pagador identifica a campanha
+        description: campaign
+          ? `Doação para a campanha ${campaign.title} - ${donor.donorName}`
+          : undefined,
       });
-
-      /**
-       * Detalhes da doação e da cobrança Pix.
-       * A doação só é armazenada no banco de dados quando o webhook de pagamento é recebido
-       */
-      return {
-        donorCPF,
-        donorName,
-        donorCIM,
-        amount: parseFloat(amount),
-        txId: pixChargeDetails.txId,
-        locId: pixChargeDetails.locId,
-        qrCode: pixChargeDetails.qrCode,
-        copyPaste: pixChargeDetails.copyPaste,
-        status: "AGUARDANDO_PAGAMENTO",
-        createdAt: pixChargeDetails.createdAt,
-      };
     } catch (error) {
+      // Libera a chave para que o doador possa tentar novamente
+      if (key) await IdempotencyService.release(key);
+
       if (error instanceof ValidationError || error instanceof DatabaseError) {
         throw error;
       }
 
       throw new ExternalError(`Falha ao gerar cobrança Pix: ${error}`);
     }
+
+    /**
+     * A cobrança é armazenada imediatamente como pendente,
+     * permitindo acompanhar cobranças abandonadas e vincular
+     * o webhook de pagamento à requisição original
+     */
+    const pendingDonation = new DonationModel({
+      ...donor,
+      campaignId: campaign?.id,
+      campaignTitle: campaign?.title,
+      amount: parseFloat(amount),
+      txId: pixChargeDetails.txId,
+      locId: pixChargeDetails.locId,
+      qrCode: pixChargeDetails.qrCode,
+      copyPaste: pixChargeDetails.copyPaste,
+      status: "AGUARDANDO_PAGAMENTO",
+      expiresAt: pixChargeDetails.expiresAt,
+    });
+
+    try {
+      await pendingDonation.save();
+    } catch (error) {
+      // Sem a doação gravada a chave não tem o que reaproveitar: libera para nova tentativa
+      if (key) await IdempotencyService.release(key);
+      throw error;
+    }
+    if (key) await IdempotencyService.complete(key, pixChargeDetails.txId);
+
+    return {
+      ...DonationService.toChargeDetails(pendingDonation),
+      createdAt: pixChargeDetails.createdAt,
+    };
+  }
+
+  /**
+   * Monta os detalhes da cobrança retornados ao doador a partir de uma doação armazenada
+   *
+   * @param {DonationModel} donation - Doação pendente
+   * @returns {object} - Detalhes da doação e os dados da cobrança Pix
+   */
+  static toChargeDetails(donation) {
+    return {
+      id: donation.id,
+      donorType: donation.donorType,
+      donorCPF: donation.donorCPF,
+      donorCNPJ: donation.donorCNPJ,
+      donorName: donation.donorName,
+      donorCIM: donation.donorCIM,
+      campaignId: donation.campaignId,
+      campaignTitle: donation.campaignTitle,
+      amount: donation.amount,
+      txId: donation.txId,
+      locId: donation.locId,
+      qrCode: donation.qrCode,
+      copyPaste: donation.copyPaste,
+      status: donation.status,
+      expiresAt: donation.expiresAt,
+      createdAt: donation.createdAt,
+    };
   }
 
   /**
@@ -115,15 +246,25 @@ class DonationService {
      * caso o webhook seja reenviado
      */
     let donation = await DonationService.findByTxId(txId);
+    let becamePaid = false;
+    let refundIncreased = false;
 
     // Confirmação de status
     try {
       // Busca a cobrança pelo id de transação
-      const efiChargeDetails = await pixService.getPixDetails(txId);
+      const efiChargeDetails = await DonationService.fetchChargeDetails(
+        txId,
+        donation
+      );
 
       const officialStatus = efiChargeDetails.status; // Status da cobrança no gateway
       const valorOriginal = efiChargeDetails.valor.original; // Valor da cobrança
       const devedorEfi = efiChargeDetails.devedor; // Dados do devedor
+      const pixEfi = efiChargeDetails.pix?.[0]; // Pix recebido para a cobrança
+      const endToEndId = rawWebhookPayload.endToEndId || pixEfi?.endToEndId;
+      const paidAt = new Date(
+        rawWebhookPayload.horario || pixEfi?.horario || Date.now()
+      );
 
       // Verifica se o pagamento foi confirmado
       const isPaymentConfirmed = officialStatus === "CONCLUIDA";
@@ -131,22 +272,23 @@ class DonationService {
       if (isPaymentConfirmed) {
         if (donation) {
           // Atualiza o status da doação se o pagamento foi confirmado
-          if (donation.status !== "PAGA") {
+          if (!DonationService.isPaidStatus(donation.status)) {
             donation.status = "PAGA";
+            donation.paidAt = paidAt;
+            donation.endToEndId = endToEndId ?? null;
             await donation.save();
+            becamePaid = true;
           }
         } else {
           /**
-           * Se a doação não existe
+           * Se a doação não existe (cobrança anterior ao registro de pendentes)
            * Extrai os dados essenciais do doador
            * e do valor
            */
-          const donorCPFFromEfi = devedorEfi?.cpf;
-          const donorNameFromEfi = devedorEfi?.nome;
           const amountFromEfi = parseFloat(valorOriginal);
 
           // Valida os dados esseciais recebidos da EFI
-          if (!donorCPFFromEfi || !donorNameFromEfi || !amountFromEfi) {
+          if (!amountFromEfi) {
             throw new ValidationError(
               `Dados insuficientes ou inválidos da EFI para criar nova doação: ${JSON.stringify(
                 devedorEfi
@@ -154,36 +296,57 @@ class DonationService {
             );
           }
 
-          const existsPartner = await PartnerService.findByExactCPF(
-            donorCPFFromEfi
-          );
-          let donorCIM =
-            existsPartner && existsPartner.cim ? existsPartner.cim : null;
+          // Cobranças sem devedor são de doações anônimas
+          const documentFromEfi = devedorEfi?.cpf || devedorEfi?.cnpj;
+          const donor = await DonorService.resolveDonor({
+            document: documentFromEfi,
+            name: devedorEfi?.nome,
+            anonymous: !documentFromEfi,
+          });
 
           // Cria uma nova instância de doação com os dados completos e status PAGA
           const newDonation = new DonationModel({
-            donorCPF: donorCPFFromEfi,
-            donorName: donorNameFromEfi,
-            donorCIM: donorCIM,
+            ...donor,
             amount: amountFromEfi,
             txId: efiChargeDetails.txid,
             locId: efiChargeDetails.loc?.id,
             qrCode: efiChargeDetails.location,
             copyPaste: efiChargeDetails.pixCopiaECola,
             status: "PAGA",
+            paidAt: paidAt,
+            endToEndId: endToEndId,
             createdAt: admin.firestore.FieldValue.serverTimestamp(),
           });
 
           await newDonation.save(); // Salva a nova doação no banco de dados
           donation = newDonation;
+          becamePaid = true;
+        }
+
+        /**
+         * Notificações de devolução chegam pelo mesmo webhook
+         * Os dados oficiais da cobrança têm prioridade sobre o payload recebido
+         */
+        const refundsFromEfi =
+          pixEfi?.devolucoes || rawWebhookPayload.devolucoes;
+        if (Array.isArray(refundsFromEfi) && refundsFromEfi.length > 0) {
+          const refundedBefore = donation.refundedAmount;
+          DonationService.applyRefundUpdates(donation, refundsFromEfi);
+          await donation.save();
+          refundIncreased = donation.refundedAmount > refundedBefore;
         }
       } else if (donation) {
         /**
          * Se o pagamento nao foi confirmado e a doação não existe no banco de dados
          * Atualiza o status da doação para refletir o status oficial do gateway
          * */
-        if (donation.status !== officialStatus) {
-          donation.status = officialStatus;
+        const donationStatus = DonationService.toDonationStatus(officialStatus);
+        // A Efí mantém a cobrança ATIVA após expirar, então EXPIRADA não é revertida
+        const isExpiredLocally =
+          donation.status === "EXPIRADA" &&
+          donationStatus === "AGUARDANDO_PAGAMENTO";
+        if (donation.status !== donationStatus && !isExpiredLocally) {
+          donation.status = donationStatus;
           await donation.save();
         }
       } else {
@@ -206,9 +369,313 @@ class DonationService {
       throw new DatabaseError(`Erro inesperado ao processar transação ${txId}`);
     }
 
+    // A notificação não aguarda o envio para não atrasar a resposta ao webhook
+    if (becamePaid) {
+      NotificationService.notify("DONATION_PAID", donation);
+      outboundWebhookService.publish(
+        "donation.paid",
+        outboundWebhookService.donationPayload(donation)
+      );
+    }
+    if (refundIncreased) {
+      outboundWebhookService.publish(
+        "donation.refunded",
+        outboundWebhookService.donationPayload(donation)
+      );
+    }
+
     return donation;
   }
 
+  /**
+   * Solicita a devolução total ou parcial de uma doação paga
+   *
+   * @param {string} endToEndId - Identificador fim a fim do Pix da doação
+   * @param {object} data - Dados da devolução
+   * @param {number} [data.amount] - Valor a devolver; se ausente, devolve o saldo restante
+   * @param {string} [data.reason] - Motivo da devolução
+   * @param {string} [data.requestedBy] - Login de quem solicitou a devolução
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<DonationModel>} - Doação atualizada com a devolução registrada
+   * @throws {NotFoundError} - Se nenhuma doação tiver o endToEndId informado
+   * @throws {ValidationError} - Se a doação não estiver paga ou o valor for inválido
+   * @throws {ExternalError} - Se houver falha na comunicação com o serviço Pix
+   */
+  static async refundDonation(endToEndId, data, context) {
+    const { amount, reason, requestedBy } = data;
+
+    if (!endToEndId) {
+      throw new ValidationError("O endToEndId da doação é obrigatório.");
+    }
+
+    const donation = await this.findByEndToEndId(endToEndId);
+    if (!donation) {
+      throw new NotFoundError(`Doação com endToEndId ${endToEndId} não encontrada`);
+    }
+
+    // O valor é reservado antes de chamar a Efí, para que solicitações
+    // simultâneas não devolvam mais do que foi pago
+    const refundId = uuidv4().replace(/-/g, "");
+    const refundAmount = await this.reserveRefund(donation.id, refundId, {
+      amount,
+      reason,
+      requestedBy,
+    });
+
+    let efiRefund;
+    try {
+      efiRefund = await pixService.refundPix(
+        endToEndId,
+        refundId,
+        refundAmount,
+        reason
+      );
+    } catch (error) {
+      await this.updateRefunds(donation.id, (current) => {
+        current.refunds = current.refunds.filter((refund) => refund.id !== refundId);
+      });
+      throw error;
+    }
+
+    let before;
+    const updatedDonation = await this.updateRefunds(donation.id, (current) => {
+      before = {
+        status: current.status,
+        refundedAmount: current.refundedAmount,
+      };
+      const reserved = current.refunds.find((refund) => refund.id === refundId);
+      Object.assign(reserved, {
+        id: efiRefund.id || refundId,
+        rtrId: efiRefund.rtrId ?? null,
+        status: efiRefund.status || "EM_PROCESSAMENTO",
+        requestedAt: efiRefund.horario?.solicitacao || reserved.requestedAt,
+        settledAt: efiRefund.horario?.liquidacao ?? null,
+      });
+      DonationService.updateRefundStatus(current);
+    });
+
+    await AuditService.record(
+      {
+        action: "DONATION_REFUNDED",
+        entity: "donation",
+        entityId: donation.id,
+        before,
+        after: {
+          status: updatedDonation.status,
+          refundedAmount: updatedDonation.refundedAmount,
+        },
+        metadata: {
+          txId: donation.txId,
+          endToEndId,
+          refundId: efiRefund.id || refundId,
+          amount: refundAmount,
+          reason: reason ?? null,
+        },
+      },
+      context
+    );
+    // Devoluções liquidadas na hora já são notificadas às integrações
+    if (updatedDonation.refundedAmount > before.refundedAmount) {
+      outboundWebhookService.publish(
+        "donation.refunded",
+        outboundWebhookService.donationPayload(updatedDonation)
+      );
+    }
+    return updatedDonation;
+  }
+
+  /**
+   * Reserva o valor de uma devolução em uma transação sobre a doação
+   * A reserva fica registrada como uma devolução SOLICITANDO, que conta no
+   * saldo indisponível até a Efí responder
+   *
+   * @param {string} donationId - ID da doação
+   * @param {string} refundId - Id da devolução enviado à Efí
+   * @param {object} data - Dados da devolução (amount, reason, requestedBy)
+   * @returns {Promise<number>} - Valor reservado
+   * @throws {ValidationError} - Se a doação não estiver paga ou o valor for inválido
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar a reserva
+   */
+  static async reserveRefund(donationId, refundId, { amount, reason, requestedBy }) {
+    const docRef = db.collection("donations").doc(donationId);
+
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const docSnap = await transaction.get(docRef);
+        const donation = new DonationModel({ id: docSnap.id, ...docSnap.data() });
+
+        if (!["PAGA", "DEVOLUCAO_PARCIAL"].includes(donation.status)) {
+          throw new ValidationError(
+            `Não é possível devolver uma doação com status ${donation.status}.`
+          );
+        }
+
+        // Devoluções em processamento também reservam parte do saldo
+        const reservedAmount = donation.refunds
+          .filter((refund) => refund.status !== "NAO_REALIZADO")
+          .reduce((sum, refund) => sum + refund.amount, 0);
+        const availableAmount = parseFloat(
+          (donation.amount - reservedAmount).toFixed(2)
+        );
+
+        const refundAmount =
+          amount !== undefined && amount !== null
+            ? parseFloat(amount)
+            : availableAmount;
+
+        if (isNaN(refundAmount) || refundAmount <= 0) {
+          throw new ValidationError("O valor da devolução deve ser maior que 0.");
+        }
+
+        if (refundAmount > availableAmount) {
+          throw new ValidationError(
+            `O valor da devolução excede o saldo disponível de R$ ${availableAmount.toFixed(2)}.`
+          );
+        }
+
+        donation.refunds.push({
+          id: refundId,
+          rtrId: null,
+          amount: refundAmount,
+          status: "SOLICITANDO",
+          reason: reason ?? null,
+          requestedBy: requestedBy ?? null,
+          requestedAt: new Date().toISOString(),
+          settledAt: null,
+        });
+        transaction.update(docRef, { refunds: donation.refunds });
+
+        return refundAmount;
+      });
+    } catch (error) {
+      if (error instanceof ValidationError) throw error;
+      throw new DatabaseError(`Erro ao reservar o valor da devolução: ${error}`);
+    }
+  }
+
+  /**
+   * Altera as devoluções de uma doação em uma transação, a partir da versão gravada
+   *
+   * @param {string} donationId - ID da doação
+   * @param {(donation: DonationModel) => void} update - Altera as devoluções da doação lida
+   * @returns {Promise<DonationModel>} - Doação atualizada
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar a doação
+   */
+  static async updateRefunds(donationId, update) {
+    const docRef = db.collection("donations").doc(donationId);
+
+    try {
+      return await db.runTransaction(async (transaction) => {
+        const docSnap = await transaction.get(docRef);
+        const donation = new DonationModel({ id: docSnap.id, ...docSnap.data() });
+
+        update(donation);
+        transaction.update(docRef, {
+          refunds: donation.refunds,
+          refundedAmount: donation.refundedAmount,
+          status: donation.status,
+        });
+
+        return donation;
+      });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao atualizar as devoluções da doação: ${error}`);
+    }
+  }
+
+  /**
+   * Mescla as devoluções informadas pela Efí nas devoluções da doação
+   *
+   * @param {DonationModel} donation - Doação a ser atualizada
+   * @param {object[]} efiRefunds - Devoluções no formato da API (id, rtrId, valor, status, horario)
+   */
+  static applyRefundUpdates(donation, efiRefunds) {
+    for (const efiRefund of efiRefunds) {
+      const existing = donation.refunds.find(
+        (refund) => refund.id === efiRefund.id
+      );
+
+      if (existing) {
+        existing.status = efiRefund.status || existing.status;
+        existing.rtrId = efiRefund.rtrId ?? existing.rtrId;
+        existing.settledAt = efiRefund.horario?.liquidacao ?? existing.settledAt;
+      } else {
+        // Devolução solicitada fora da aplicação
+        donation.refunds.push({
+          id: efiRefund.id,
+          rtrId: efiRefund.rtrId ?? null,
+          amount: parseFloat(efiRefund.valor),
+          status: efiRefund.status,
+          reason: null,
+          requestedBy: null,
+          requestedAt: efiRefund.horario?.solicitacao ?? null,
+          settledAt: efiRefund.horario?.liquidacao ?? null,
+        });
+      }
+    }
+
+    DonationService.updateRefundStatus(donation);
+  }
+
+  /**
+   * Recalcula o valor devolvido e o status da doação a partir das devoluções concluídas
+   *
+   * @param {DonationModel} donation - Doação a ser atualizada
+   */
+  static updateRefundStatus(donation) {
+    const refundedAmount = donation.refunds
+      .filter((refund) => refund.status === "DEVOLVIDO")
+      .reduce((sum, refund) => sum + refund.amount, 0);
+
+    donation.refundedAmount = parseFloat(refundedAmount.toFixed(2));
+
+    if (donation.refundedAmount >= donation.amount) {
+      donation.status = "DEVOLVIDA";
+    } else if (donation.refundedAmount > 0) {
+      donation.status = "DEVOLUCAO_PARCIAL";
+    } else {
+      donation.status = "PAGA";
+    }
+  }
+
+  /**
+   * Indica se o status corresponde a uma doação paga, mesmo que devolvida depois
+   *
+   * @param {string} status - Status da doação
+   * @returns {boolean}
+   */
+  static isPaidStatus(status) {
+    return ["PAGA", "DEVOLUCAO_PARCIAL", "DEVOLVIDA"].includes(status);
+  }
+
+  /**
+   * Consulta a cobrança na Efí conforme o tipo usado na doação
+   * Doações recorrentes são cobradas com vencimento (cobv), as demais são imediatas (cob)
+   *
+   * @param {string} txId - Id da transação Pix
+   * @param {DonationModel | null} donation - Doação armazenada, se existir
+   * @returns {Promise<object>} - Detalhes da cobrança na Efí
+   * @throws {ExternalError} - Se houver falha ao consultar a cobrança
+   */
+  static async fetchChargeDetails(txId, donation) {
+    if (donation?.chargeType === "cobv") {
+      return pixService.getDueChargeDetails(txId);
+    }
+    return pixService.getPixDetails(txId);
+  }
+
+  /**
+   * Converte o status de uma cobrança na Efí para o status da doação
+   *
+   * @param {string} chargeStatus - Status da cobrança no gateway
+   * @returns {string} - Status equivalente da doação
+   */
+  static toDonationStatus(chargeStatus) {
+    if (chargeStatus === "CONCLUIDA") return "PAGA";
+    if (chargeStatus === "ATIVA") return "AGUARDANDO_PAGAMENTO";
+    return chargeStatus;
+  }
+
   /**
    * Busdca uma doação no banco de dados através do id ded transação Pix
    *
@@ -233,20 +700,88 @@ class DonationService {
     }
   }
 
+  /**
+   * Busca uma doação pelo identificador fim a fim do Pix recebido
+   *
+   * @param {string} endToEndId - Identificador fim a fim do Pix
+   * @returns {Promise<DonationModel | null>} - A doação encontrada ou null
+   * @throws {DatabaseError} - Lançada se ocorrer um erro durante a interação com o banco de dados
+   */
+  static async findByEndToEndId(endToEndId) {
+    try {
+      const snapshot = await db
+        .collection("donations")
+        .where("endToEndId", "==", endToEndId)
+        .limit(1)
+        .get();
+      if (!snapshot.empty) {
+        const donation = snapshot.docs[0];
+        return new DonationModel({ id: donation.id, ...donation.data() });
+      }
+      return null;
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar doação por endToEndId: ${error}`);
+    }
+  }
+
+  /**
+   * Busca as cobranças ainda aguardando pagamento cuja expiração já passou
+   *
+   * @param {Date} [referenceDate=new Date()] - Data usada como referência para a expiração
+   * @returns {Promise<DonationModel[]>} - Cobranças pendentes expiradas
+   * @throws {DatabaseError} - Lançada se ocorrer um erro durante a interação com o banco de dados
+   */
+  static async findExpiredPendingCharges(referenceDate = new Date()) {
+    try {
+      const snapshot = await db
+        .collection("donations")
+        .where("status", "==", "AGUARDANDO_PAGAMENTO")
+        .get();
+
+      // Filtra em memória para evitar a necessidade de índice composto
+      return snapshot.docs
+        .map((doc) => new DonationModel({ id: doc.id, ...doc.data() }))
+        .filter(
+          (donation) => donation.expiresAt && donation.expiresAt <= referenceDate
+        );
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar cobranças expiradas: ${error}`);
+    }
+  }
+
   /**
    * Recupera todas as doações com paginação.
    *
    * @param {number} [page=1] - O número da página atual.
    * @param {number} [limit=10] - O número de parceiros por página.
+   * @param {string} [campaignId] - Filtra as doações de uma campanha
    * @returns {Promise<{donations: DonationModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>} Lista paginada de doações
    * @throws {DatabaseError} Se ocorrer um erro relacionado ao banco de dados durante a recuperação.
    */
-  static async allDonations(page = 1, limit = 15) {
+  static async allDonations(page = 1, limit = 15, campaignId) {
     // Calcula o offset para a paginação
     const offset = (Math.max(1, page) - 1) * limit;
     const docRef = db.collection("donations");
 
     try {
+      if (campaignId) {
+        // Ordena em memória para evitar a necessidade de índice composto
+        const snapshot = await docRef
+          .where("campaignId", "==", campaignId)
+          .get();
+        const donations = snapshot.docs
+          .map((doc) => new DonationModel({ id: doc.id, ...doc.data() }))
+          .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+        return {
+          donations: donations.slice(offset, offset + limit),
+          currentPage: page,
+          totalPages: Math.ceil(donations.length / limit),
+          totalResults: donations.length,
+          limit: limit,
+        };
+      }
+
       // Obtém a contagem total de documentos para calcular o total de páginas
       const countSnapshot = await docRef.count().get();
       const totalResults = countSnapshot.data().count;
@@ -326,8 +861,8 @@ class DonationService {
 
   /**
    *
-   * @param {string} donorCPF - O CPF do doador a ser buscado
-   * @returns {Promise<DonationModel[]>} - Um array das doações relacionadasd ao CPF do doador
+   * @param {string} donorCPF - O CPF ou CNPJ do doador a ser buscado
+   * @returns {Promise<DonationModel[]>} - Um array das doações relacionadasd ao CPF ou CNPJ do doador
    *                                       ou um array vazio se nenhuma doação for encontrada
    */
   static async findByDonorCPF(donorCPF) {
@@ -345,7 +880,10 @@ class DonationService {
       }));
 
       const filteredDonations = allDonations.filter((donation) => {
-        return donation.donorCPF && donation.donorCPF.includes(searchCPF);
+        return (
+          (donation.donorCPF && donation.donorCPF.includes(searchCPF)) ||
+          (donation.donorCNPJ && donation.donorCNPJ.includes(searchCPF))
+        );
       });
 
       const donations = filteredDonations.map(
@@ -543,10 +1081,11 @@ class DonationService {
   /**
    * Calcula a evolução das doações nos últimos seis meses.
    *
+   * @param {string} [campaignId] - Considera apenas as doações de uma campanha
    * @returns {Promise<object[]>} - Um array contendo dados de doação para cada mês
    * @throws {DatabaseError} - Se ocorrer um erro ao obter os dados de evoluçao
    */
-  static async donationEvolution() {
+  static async donationEvolution(campaignId) {
     try {
       const currentDate = new Date();
       const sixMonthsAgo = new Date();
@@ -565,6 +1104,10 @@ class DonationService {
 
       snapshot.docs.forEach((doc) => {
         const donation = new DonationModel({ id: doc.id, ...doc.data() });
+        // Cobranças pendentes ou abandonadas não entram no total arrecadado
+        if (!DonationService.isPaidStatus(donation.status)) return;
+        // Filtrado em memória para evitar a necessidade de índice composto
+        if (campaignId && donation.campaignId !== campaignId) return;
         // Conversão de Timestap para Date
         const createdAtDate = new Date(donation.createdAt);
         const year = createdAtDate.getFullYear();
@@ -578,10 +1121,22 @@ class DonationService {
             year: year,
             totalDonations: 0,
             totalAmount: 0,
+            totalRefunded: 0,
+            recurringDonations: 0,
+            recurringAmount: 0,
+            oneOffDonations: 0,
+            oneOffAmount: 0,
           };
         }
-        monthlyData[key].totalDonations += 1;
-        monthlyData[key].totalAmount += donation.amount;
+        const kind = donation.recurrenceId ? "recurring" : "oneOff";
+        // Doações devolvidas integralmente deixam de contar como doação
+        if (donation.netAmount() > 0) {
+          monthlyData[key].totalDonations += 1;
+          monthlyData[key][`${kind}Donations`] += 1;
+        }
+        monthlyData[key].totalAmount += donation.netAmount();
+        monthlyData[key][`${kind}Amount`] += donation.netAmount();
+        monthlyData[key].totalRefunded += donation.refundedAmount;
       });
       // Caso o mês não tenha doações
       const result = [];
@@ -598,6 +1153,11 @@ class DonationService {
             year: year,
             totalDonations: 0,
             totalAmount: 0,
+            totalRefunded: 0,
+            recurringDonations: 0,
+            recurringAmount: 0,
+            oneOffDonations: 0,
+            oneOffAmount: 0,
           }
         );
       }
@@ -607,6 +1167,205 @@ class DonationService {
       throw new DatabaseError(`Erro ao obter evolução das doações: ${error}`);
     }
   }
+
+  /**
+   * Monta a declaração anual de doações de um parceiro, com o total por mês
+   * Considera as doações pagas no ano, descontadas as devoluções
+   *
+   * @param {object} donor - Identificação do doador (informe cpf ou cim)
+   * @param {string} [donor.cpf] - CPF do doador
+   * @param {string} [donor.cim] - CIM do doador
+   * @param {number} year - Ano da declaração
+   * @returns {Promise<object>} - Declaração com doador, totais, meses e doações
+   * @throws {ValidationError} - Se o ano ou a identificação do doador forem inválidos
+   * @throws {NotFoundError} - Se não houver doações pagas no ano
+   */
+  static async annualStatement({ cpf, cim }, year) {
+    const statementYear = parseInt(year);
+    if (!statementYear || statementYear < 2000 || statementYear > 9999) {
+      throw new ValidationError("Ano inválido. Use AAAA.");
+    }
+
+    if (!cpf && !cim) {
+      throw new ValidationError("Informe o CPF ou o CIM do doador.");
+    }
+
+    // As buscas por CPF e CIM são parciais, então a declaração exige correspondência exata
+    let donations;
+    if (cpf) {
+      const cleanedCPF = cpf.replace(/\D/g, "");
+      donations = (await this.findByDonorCPF(cleanedCPF)).filter(
+        (donation) => donation.donorCPF === cleanedCPF
+      );
+    } else {
+      const searchCIM = cim.trim();
+      donations = (await this.findByDonorCIM(searchCIM)).filter(
+        (donation) => donation.donorCIM === searchCIM
+      );
+    }
+
+    // Doações devolvidas por inteiro não entram na declaração
+    const paidDonations = donations.filter(
+      (donation) =>
+        DonationService.isPaidStatus(donation.status) &&
+        donation.netAmount() > 0 &&
+        (donation.paidAt || donation.createdAt)?.getFullYear() === statementYear
+    );
+
+    if (paidDonations.length === 0) {
+      throw new NotFoundError(
+        `Nenhuma doação paga encontrada em ${statementYear} para o doador informado`
+      );
+    }
+
+    return this.buildStatement(paidDonations, statementYear);
+  }
+
+  /**
+   * Monta a declaração a partir das doações pagas de um doador no ano
+   *
+   * @param {DonationModel[]} donations - Doações pagas do doador no ano
+   * @param {number} statementYear - Ano da declaração
+   * @returns {object} - Declaração com doador, totais, meses e doações
+   */
+  static buildStatement(donations, statementYear) {
+    const paidDonations = [...donations].sort(
+      (a, b) => (a.paidAt || a.createdAt) - (b.paidAt || b.createdAt)
+    );
+
+    const months = Array.from({ length: 12 }, (_, index) => ({
+      month: index + 1,
+      totalDonations: 0,
+      totalAmount: 0,
+    }));
+    paidDonations.forEach((donation) => {
+      const month = months[(donation.paidAt || donation.createdAt).getMonth()];
+      month.totalDonations += 1;
+      month.totalAmount += donation.netAmount();
+    });
+
+    const latest = paidDonations[paidDonations.length - 1];
+    return {
+      year: statementYear,
+      donorName: latest.donorName,
+      donorCPF: latest.donorCPF,
+      donorCIM: latest.donorCIM,
+      totalDonations: paidDonations.length,
+      totalAmount: paidDonations.reduce(
+        (sum, donation) => sum + donation.netAmount(),
+        0
+      ),
+      totalRefunded: paidDonations.reduce(
+        (sum, donation) => sum + donation.refundedAmount,
+        0
+      ),
+      months,
+      donations: paidDonations,
+    };
+  }
+
+  /**
+   * Busca as doações pagas em um ano, pela data do pagamento ou, na falta dela, da criação
+   * As duas datas são consultadas separadamente para evitar índices compostos
+   *
+   * @param {number} year - Ano do pagamento
+   * @returns {Promise<DonationModel[]>} - Doações pagas no ano, mesmo que devolvidas depois
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findPaidInYear(year) {
+    const start = Timestamp.fromDate(new Date(year, 0, 1));
+    const end = Timestamp.fromDate(new Date(year + 1, 0, 1));
+
+    try {
+      const snapshots = await Promise.all(
+        ["paidAt", "createdAt"].map((field) =>
+          db
+            .collection("donations")
+            .where(field, ">=", start)
+            .where(field, "<", end)
+            .get()
+        )
+      );
+
+      const donations = new Map();
+      for (const doc of snapshots.flatMap((snapshot) => snapshot.docs)) {
+        donations.set(doc.id, new DonationModel({ id: doc.id, ...doc.data() }));
+      }
+
+      return [...donations.values()].filter(
+        (donation) =>
+          DonationService.isPaidStatus(donation.status) &&
+          (donation.paidAt || donation.createdAt)?.getFullYear() === year
+      );
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar doações pagas no ano: ${error}`);
+    }
+  }
+
+  /**
+   * Monta as declarações anuais de todos os parceiros com doações pagas no ano
+   * Os doadores vêm das próprias doações, para incluir parceiros arquivados depois de doar
+   *
+   * @param {number} year - Ano das declarações
+   * @returns {Promise<object[]>} - Declarações dos parceiros, em ordem alfabética
+   * @throws {ValidationError} - Se o ano for inválido
+   * @throws {NotFoundError} - Se nenhum parceiro tiver doações pagas no ano
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async annualStatements(year) {
+    const statementYear = parseInt(year);
+    if (!statementYear || statementYear < 2000 || statementYear > 9999) {
+      throw new ValidationError("Ano inválido. Use AAAA.");
+    }
+
+    // Apenas doações de parceiros, sem as devolvidas por inteiro
+    const byPartner = new Map();
+    for (const donation of await this.findPaidInYear(statementYear)) {
+      if (!donation.partnerId || donation.netAmount() <= 0) continue;
+      if (!byPartner.has(donation.partnerId)) byPartner.set(donation.partnerId, []);
+      byPartner.get(donation.partnerId).push(donation);
+    }
+
+    if (byPartner.size === 0) {
+      throw new NotFoundError(`Nenhuma doação paga encontrada em ${statementYear}`);
+    }
+
+    return [...byPartner.values()]
+      .map((donations) => this.buildStatement(donations, statementYear))
+      .sort((a, b) => (a.donorName || "").localeCompare(b.donorName || ""));
+  }
+
+  /**
+   * Calcula a conversão das cobranças Pix geradas em doações pagas
+   *
+   * @returns {Promise<{totalCharges: number, byStatus: object, conversionRate: number}>}
+   *          - Quantidade de cobranças por status e a taxa de conversão em percentual
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar as cobranças
+   */
+  static async chargeConversion() {
+    try {
+      const snapshot = await db.collection("donations").get();
+
+      const byStatus = {};
+      snapshot.docs.forEach((doc) => {
+        const status = doc.data().status || "DESCONHECIDO";
+        byStatus[status] = (byStatus[status] || 0) + 1;
+      });
+
+      const totalCharges = snapshot.size;
+      const paidCharges = Object.entries(byStatus)
+        .filter(([status]) => DonationService.isPaidStatus(status))
+        .reduce((sum, [, count]) => sum + count, 0);
+      const conversionRate =
+        totalCharges > 0
+          ? parseFloat(((paidCharges / totalCharges) * 100).toFixed(2))
+          : 0;
+
+      return { totalCharges, byStatus, conversionRate };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao calcular conversão das cobranças: ${error}`);
+    }
+  }
 }
 
 export default DonationService;
@@ -0,0 +1,141 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { ValidationError, DatabaseError } from "../utils/Errors.js";
+import DonorModel from "../models/Donor.js";
+import DonorType from "../utils/DonorTypes.js";
+import { PartnerService } from "./PartnerService.js";
+import { cpf, cnpj } from "cpf-cnpj-validator";
+
+// Nome exibido nas doações sem identificação do pagador
+export const ANONYMOUS_DONOR_NAME = "Doador Anônimo";
+
+/**
+ * @class DonorService
+ * @description Identifica quem está doando: parceiros, doadores externos
+ * cadastrados pelo CPF ou CNPJ e doadores anônimos
+ */
+export class DonorService {
+  /**
+   * Valida e limpa um CPF ou CNPJ
+   *
+   * @param {string} document - CPF ou CNPJ, com ou sem máscara
+   * @returns {{document: string, documentType: string}} - Documento limpo e o seu tipo (CPF ou CNPJ)
+   * @throws {ValidationError} - Se o documento for inválido
+   */
+  static validateDocument(document) {
+    const cleaned = String(document).replace(/\D/g, "");
+
+    if (cleaned.length === 11 && cpf.isValid(cleaned)) {
+      return { document: cleaned, documentType: "CPF" };
+    }
+    if (cleaned.length === 14 && cnpj.isValid(cleaned)) {
+      return { document: cleaned, documentType: "CNPJ" };
+    }
+
+    throw new ValidationError("CPF ou CNPJ Inválido!");
+  }
+
+  /**
+   * Identifica o doador de uma nova doação
+   * CPFs de parceiros são vinculados ao parceiro; os demais documentos são
+   * cadastrados como doadores externos na primeira doação
+   *
+   * @param {object} data - Dados do doador
+   * @param {string} [data.document] - CPF ou CNPJ do doador
+   * @param {string} [data.name] - Nome do doador, obrigatório no primeiro cadastro de doador externo
+   * @param {boolean} [data.anonymous] - Indica uma doação sem identificação do pagador
+   * @returns {Promise<object>} - Dados do doador (donorType, donorCPF, donorCNPJ, donorName, donorCIM, partnerId, donorId)
+   * @throws {ValidationError} - Se o documento for inválido ou faltar o nome do doador externo
+   * @throws {DatabaseError} - Se ocorrer um erro ao acessar o banco de dados
+   */
+  static async resolveDonor({ document, name, anonymous }) {
+    if (anonymous) {
+      return {
+        donorType: DonorType.ANONYMOUS,
+        donorCPF: null,
+        donorCNPJ: null,
+        donorName: ANONYMOUS_DONOR_NAME,
+        donorCIM: null,
+        partnerId: null,
+        donorId: null,
+      };
+    }
+
+    if (!document) {
+      throw new ValidationError(
+        "Informe o CPF ou CNPJ do doador ou marque a doação como anônima."
+      );
+    }
+
+    const { document: cleaned, documentType } = this.validateDocument(document);
+
+    if (documentType === "CPF") {
+      // Parceiros arquivados continuam sendo parceiros, para que a doação entre
+      // no histórico e na declaração anual deles
+      const partner = await PartnerService.findByExactCPF(cleaned, {
+        includeArchived: true,
+      });
+      if (partner) {
+        return {
+          donorType: DonorType.PARTNER,
+          donorCPF: cleaned,
+          donorCNPJ: null,
+          donorName: partner.name,
+          donorCIM: partner.cim,
+          partnerId: partner.id,
+          donorId: null,
+        };
+      }
+    }
+
+    let donor = await this.findByDocument(cleaned);
+    if (!donor) {
+      if (!name || !name.trim()) {
+        throw new ValidationError(
+          "O nome do doador é obrigatório para quem não é parceiro."
+        );
+      }
+
+      donor = new DonorModel({
+        document: cleaned,
+        documentType,
+        name: name.trim(),
+      });
+      await donor.save();
+    }
+
+    return {
+      donorType: DonorType.EXTERNAL,
+      donorCPF: documentType === "CPF" ? cleaned : null,
+      donorCNPJ: documentType === "CNPJ" ? cleaned : null,
+      donorName: donor.name,
+      donorCIM: null,
+      partnerId: null,
+      donorId: donor.id,
+    };
+  }
+
+  /**
+   * Busca um doador externo pelo CPF ou CNPJ
+   *
+   * @param {string} document - CPF ou CNPJ sem máscara
+   * @returns {Promise<DonorModel | null>} - O doador encontrado ou null
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findByDocument(document) {
+    try {
+      const snapshot = await db
+        .collection("donors")
+        .where("document", "==", document)
+        .limit(1)
+        .get();
+      if (!snapshot.empty) {
+        const donor = snapshot.docs[0];
+        return new DonorModel({ id: donor.id, ...donor.data() });
+      }
+      return null;
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar doador por documento: ${error}`);
+    }
+  }
+}
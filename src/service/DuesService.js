@@ -0,0 +1,334 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import DueModel from "../models/Due.js";
+import pixService from "./PixService.js";
+import { PartnerService } from "./PartnerService.js";
+
+/**
+ * @class DuesService
+ * @description Gerencia as mensalidades dos parceiros, cobradas por Pix com
+ * vencimento (cobv): geração em lote, baixa de pagamentos e consultas
+ */
+export class DuesService {
+  /**
+   * Gera as mensalidades de um mês para todos os parceiros ativos.
+   * Parceiros que já possuem mensalidade no mês são ignorados, permitindo
+   * executar o lote novamente após falhas parciais.
+   *
+   * @param {object} data - Parâmetros do lote
+   * @param {string} data.referenceMonth - Mês de referência (YYYY-MM)
+   * @param {number} data.amount - Valor da mensalidade
+   * @param {string} data.dueDate - Data de vencimento (YYYY-MM-DD)
+   * @param {number} [data.fine] - Multa percentual após o vencimento
+   * @param {number} [data.interest] - Juros percentuais ao mês após o vencimento
+   * @param {object} [data.discount] - Desconto percentual até uma data ({ percent, untilDate })
+   * @param {number} [data.daysValidAfterDue] - Dias em que a cobrança pode ser paga após o vencimento
+   * @returns {Promise<{referenceMonth: string, created: number, skipped: number, failed: object[]}>} - Resumo do lote
+   * @throws {ValidationError} - Se os parâmetros do lote forem inválidos
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async generateMonthlyDues(data) {
+    const rules = this.validateDuesRules(data);
+    const { referenceMonth, amount, dueDate } = data;
+
+    const partners = await PartnerService.listActivePartners();
+    const existingDues = await this.findByMonth(referenceMonth);
+    const partnersWithDue = new Set(existingDues.map((due) => due.partnerId));
+
+    const result = { referenceMonth, created: 0, skipped: 0, failed: [] };
+
+    for (const partner of partners) {
+      if (partnersWithDue.has(partner.id)) {
+        result.skipped++;
+        continue;
+      }
+
+      try {
+        const charge = await pixService.createDueCharge({
+          amount,
+          dueDate,
+          donorCPF: partner.cpf,
+          donorName: partner.name,
+          ...rules,
+          description: `Mensalidade ${referenceMonth} - ${partner.name}`,
+        });
+
+        const due = new DueModel({
+          partnerId: partner.id,
+          partnerCPF: partner.cpf,
+          partnerName: partner.name,
+          partnerCIM: partner.cim,
+          referenceMonth,
+          amount,
+          dueDate,
+          rules,
+          txId: charge.txId,
+          locId: charge.locId,
+          qrCode: charge.qrCode,
+          copyPaste: charge.copyPaste,
+          status: "ABERTA",
+        });
+        await due.save();
+        result.created++;
+      } catch (error) {
+        result.failed.push({
+          partnerId: partner.id,
+          partnerName: partner.name,
+          error: error.message,
+        });
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Valida os parâmetros do lote e monta as regras de multa, juros e desconto
+   *
+   * @param {object} data - Parâmetros recebidos na requisição
+   * @returns {object} - Regras validadas da cobrança
+   * @throws {ValidationError} - Se algum parâmetro for inválido
+   */
+  static validateDuesRules(data) {
+    const {
+      referenceMonth,
+      amount,
+      dueDate,
+      fine,
+      interest,
+      discount,
+      daysValidAfterDue,
+    } = data;
+
+    if (!referenceMonth || !amount || !dueDate) {
+      throw new ValidationError(
+        "Mês de referência, valor e data de vencimento são obrigatórios!"
+      );
+    }
+
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(referenceMonth)) {
+      throw new ValidationError("Mês de referência inválido. Use YYYY-MM.");
+    }
+
+    if (parseFloat(amount) <= 0) {
+      throw new ValidationError("O valor da mensalidade deve ser maior que 0.");
+    }
+
+    if (
+      !/^\d{4}-\d{2}-\d{2}$/.test(dueDate) ||
+      isNaN(new Date(dueDate).getTime())
+    ) {
+      throw new ValidationError("Data de vencimento inválida. Use YYYY-MM-DD.");
+    }
+
+    const rules = {};
+
+    if (fine !== undefined && fine !== null) {
+      if (parseFloat(fine) < 0 || parseFloat(fine) > 100) {
+        throw new ValidationError("A multa deve ser um percentual entre 0 e 100.");
+      }
+      rules.fine = parseFloat(fine);
+    }
+
+    if (interest !== undefined && interest !== null) {
+      if (parseFloat(interest) < 0 || parseFloat(interest) > 100) {
+        throw new ValidationError("Os juros devem ser um percentual entre 0 e 100.");
+      }
+      rules.interest = parseFloat(interest);
+    }
+
+    if (discount) {
+      const percent = parseFloat(discount.percent);
+      if (isNaN(percent) || percent <= 0 || percent >= 100) {
+        throw new ValidationError("O desconto deve ser um percentual entre 0 e 100.");
+      }
+      if (!discount.untilDate || discount.untilDate > dueDate) {
+        throw new ValidationError(
+          "A data limite do desconto deve ser anterior ou igual ao vencimento."
+        );
+      }
+      rules.discount = { percent, untilDate: discount.untilDate };
+    }
+
+    if (daysValidAfterDue !== undefined && daysValidAfterDue !== null) {
+      const days = parseInt(daysValidAfterDue);
+      if (isNaN(days) || days < 0) {
+        throw new ValidationError(
+          "A validade após o vencimento deve ser um número de dias positivo."
+        );
+      }
+      rules.daysValidAfterDue = days;
+    }
+
+    return rules;
+  }
+
+  /**
+   * Processa a notificação de pagamento de uma mensalidade
+   *
+   * @param {object} pixPayload - Payload recebido do webhook Pix
+   * @returns {Promise<DueModel | null>} - Mensalidade atualizada ou null se o txId não pertencer a uma mensalidade
+   * @throws {ExternalError} - Se houver falha ao consultar a cobrança na Efí
+   */
+  static async handleDuePayment(pixPayload) {
+    const due = await this.findByTxId(pixPayload.txid);
+    if (!due) return null;
+
+    const efiChargeDetails = await pixService.getDueChargeDetails(due.txId);
+
+    if (efiChargeDetails.status === "CONCLUIDA" && due.status !== "PAGA") {
+      const pixEfi = efiChargeDetails.pix?.[0];
+      due.status = "PAGA";
+      due.amountPaid = parseFloat(pixEfi?.valor || pixPayload.valor || due.amount);
+      due.endToEndId = pixEfi?.endToEndId || pixPayload.endToEndId || null;
+      due.paidAt = new Date(pixEfi?.horario || pixPayload.horario || Date.now());
+      await due.save();
+    } else if (
+      efiChargeDetails.status !== "ATIVA" &&
+      efiChargeDetails.status !== "CONCLUIDA"
+    ) {
+      // Cobrança removida na Efí
+      due.status = efiChargeDetails.status;
+      await due.save();
+    }
+
+    return due;
+  }
+
+  /**
+   * Busca uma mensalidade pelo id de transação Pix
+   *
+   * @param {string} txId - Id da transação Pix
+   * @returns {Promise<DueModel | null>} - A mensalidade encontrada ou null
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findByTxId(txId) {
+    try {
+      const snapshot = await db
+        .collection("dues")
+        .where("txId", "==", txId)
+        .limit(1)
+        .get();
+      if (!snapshot.empty) {
+        const due = snapshot.docs[0];
+        return new DueModel({ id: due.id, ...due.data() });
+      }
+      return null;
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar mensalidade por TxId: ${error}`);
+    }
+  }
+
+  /**
+   * Busca todas as mensalidades de um mês de referência
+   *
+   * @param {string} referenceMonth - Mês de referência (YYYY-MM)
+   * @returns {Promise<DueModel[]>} - Mensalidades do mês
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findByMonth(referenceMonth) {
+    try {
+      const snapshot = await db
+        .collection("dues")
+        .where("referenceMonth", "==", referenceMonth)
+        .get();
+      return snapshot.docs.map(
+        (doc) => new DueModel({ id: doc.id, ...doc.data() })
+      );
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar mensalidades do mês: ${error}`);
+    }
+  }
+
+  /**
+   * Lista as mensalidades de um mês separadas em abertas, pagas e vencidas
+   *
+   * @param {string} referenceMonth - Mês de referência (YYYY-MM)
+   * @param {string} [situation] - Filtra por situação (ABERTA, PAGA ou VENCIDA)
+   * @returns {Promise<{referenceMonth: string, summary: object, dues: object[]}>} - Mensalidades e totais do mês
+   * @throws {ValidationError} - Se o mês ou a situação forem inválidos
+   */
+  static async duesByMonth(referenceMonth, situation) {
+    if (!referenceMonth || !/^\d{4}-(0[1-9]|1[0-2])$/.test(referenceMonth)) {
+      throw new ValidationError("Mês de referência inválido. Use YYYY-MM.");
+    }
+
+    const situations = ["ABERTA", "PAGA", "VENCIDA"];
+    if (situation && !situations.includes(situation)) {
+      throw new ValidationError(
+        `A situação deve ser uma das seguintes: ${situations.join(", ")}.`
+      );
+    }
+
+    const dues = (await this.findByMonth(referenceMonth))
+      .map((due) => ({
+        ...due,
+        situation: due.isOverdue() ? "VENCIDA" : due.status,
+      }))
+      .sort((a, b) => (a.partnerName || "").localeCompare(b.partnerName || ""));
+
+    const summary = {
+      open: { count: 0, amount: 0 },
+      paid: { count: 0, amount: 0 },
+      overdue: { count: 0, amount: 0 },
+    };
+
+    dues.forEach((due) => {
+      if (due.situation === "PAGA") {
+        summary.paid.count++;
+        summary.paid.amount += due.amountPaid ?? due.amount;
+      } else if (due.situation === "VENCIDA") {
+        summary.overdue.count++;
+        summary.overdue.amount += due.amount;
+      } else if (due.situation === "ABERTA") {
+        summary.open.count++;
+        summary.open.amount += due.amount;
+      }
+    });
+
+    return {
+      referenceMonth,
+      summary,
+      dues: situation
+        ? dues.filter((due) => due.situation === situation)
+        : dues,
+    };
+  }
+
+  /**
+   * Lista as mensalidades de um parceiro, da mais recente para a mais antiga
+   *
+   * @param {string} partnerId - ID do parceiro
+   * @returns {Promise<object[]>} - Mensalidades do parceiro com a situação calculada
+   * @throws {NotFoundError} - Se o parceiro não existir
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async duesByPartner(partnerId) {
+    const partnerSnap = await db.collection("partners").doc(partnerId).get();
+    if (!partnerSnap.exists) {
+      throw new NotFoundError(`Parceiro com ${partnerId} não encontrado`);
+    }
+
+    try {
+      const snapshot = await db
+        .collection("dues")
+        .where("partnerId", "==", partnerId)
+        .get();
+
+      return snapshot.docs
+        .map((doc) => new DueModel({ id: doc.id, ...doc.data() }))
+        .map((due) => ({
+          ...due,
+          situation: due.isOverdue() ? "VENCIDA" : due.status,
+        }))
+        .sort((a, b) => b.referenceMonth.localeCompare(a.referenceMonth));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar mensalidades do parceiro: ${error}`);
+    }
+  }
+}
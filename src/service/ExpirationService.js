@@ -0,0 +1,97 @@
+import DonationService from "./DonationService.js";
+import sseService from "./SSEService.js";
+import { logger } from "../utils/Logger.js";
+
+const intervalMinutes =
+  parseInt(process.env.EXPIRATION_SWEEP_INTERVAL_MINUTES) || 5;
+
+/**
+ * @class ExpirationService
+ * @description Marca como EXPIRADA as cobranças Pix não pagas dentro do prazo
+ * e avisa o doador que aguarda a confirmação pelo SSE
+ */
+class ExpirationService {
+  constructor() {
+    this.donationService = new DonationService();
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a varredura periódica das cobranças expiradas
+   * O intervalo é definido por EXPIRATION_SWEEP_INTERVAL_MINUTES
+   */
+  startScheduler() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.sweepExpiredCharges().catch((error) =>
+        logger.error("[Expiração] Falha na varredura de cobranças", error)
+      );
+    }, intervalMinutes * 60 * 1000);
+
+    logger.info(`[Expiração] Varredura agendada a cada ${intervalMinutes} minuto(s).`);
+  }
+
+  /**
+   * Confere cada cobrança pendente vencida na Efí antes de expirá-la,
+   * pois o webhook de pagamento pode ter sido perdido
+   *
+   * @returns {Promise<{expired: number, paid: number, failed: number}>} - Resumo da varredura
+   */
+  async sweepExpiredCharges() {
+    const summary = { expired: 0, paid: 0, failed: 0 };
+    if (this.running) return summary;
+
+    this.running = true;
+    try {
+      const charges = await DonationService.findExpiredPendingCharges();
+
+      for (const donation of charges) {
+        try {
+          const efiChargeDetails = await DonationService.fetchChargeDetails(
+            donation.txId,
+            donation
+          );
+
+          if (efiChargeDetails.status === "CONCLUIDA") {
+            const paidDonation = await this.donationService.handlePixWebhook({
+              txid: donation.txId,
+            });
+            sseService.notifyDonationPaid([
+              {
+                txid: paidDonation.txId,
+                valor: paidDonation.amount,
+                pagador: paidDonation.donorName,
+                horario: paidDonation.createdAt,
+                status: paidDonation.status,
+              },
+            ]);
+            summary.paid++;
+            continue;
+          }
+
+          donation.status = "EXPIRADA";
+          await donation.save();
+          sseService.notifyChargeExpired([donation]);
+          summary.expired++;
+        } catch (error) {
+          logger.error(`[Expiração - TxId ${donation.txId}] Erro ao expirar cobrança`, error);
+          summary.failed++;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.expired || summary.paid || summary.failed) {
+      logger.info(
+        `[Expiração] ${summary.expired} expirada(s), ${summary.paid} paga(s), ${summary.failed} falha(s).`
+      );
+    }
+    return summary;
+  }
+}
+
+const expirationService = new ExpirationService();
+export default expirationService;
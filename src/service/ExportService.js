@@ -1,4 +1,5 @@
 import PDFDocument from "pdfkit"
+import archiver from "archiver"
 import { createObjectCsvWriter } from "csv-writer"
 import fs from "fs"
 import path from "path"
@@ -8,6 +9,18 @@ import { DatabaseError } from "../utils/Errors.js"
 const __filename = fileURLToPath(import.meta.url)
 const __dirname = path.dirname(__filename)
 
+const monthNames = [
+  "Janeiro", "Fevereiro", "Março", "Abril", "Maio", "Junho",
+  "Julho", "Agosto", "Setembro", "Outubro", "Novembro", "Dezembro",
+]
+
+// Human-readable labels for the donor types stored on each donation
+const donorTypeLabels = {
+  PARCEIRO: "Parceiro",
+  EXTERNO: "Externo",
+  ANONIMO: "Anônimo",
+}
+
 export class ExportService {
   /**
    * Generates a CSV file for donations
@@ -22,9 +35,12 @@ export class ExportService {
         header: [
           { id: "id", title: "ID" },
           { id: "donorName", title: "Nome do Doador" },
-          { id: "donorCPF", title: "CPF" },
+          { id: "donorType", title: "Tipo de Doador" },
+          { id: "donorCPF", title: "CPF/CNPJ" },
           { id: "donorCIM", title: "CIM" },
+          { id: "campaignTitle", title: "Campanha" },
           { id: "amount", title: "Valor (R$)" },
+          { id: "refundedAmount", title: "Valor Devolvido (R$)" },
           { id: "status", title: "Status" },
           { id: "txId", title: "ID da Transação" },
           { id: "createdAt", title: "Data de Criação" },
@@ -34,9 +50,12 @@ export class ExportService {
       const records = donations.map((donation) => ({
         id: donation.id,
         donorName: donation.donorName,
-        donorCPF: this.formatCPF(donation.donorCPF),
+        donorType: this.formatDonorType(donation.donorType),
+        donorCPF: this.formatDocument(donation),
         donorCIM: donation.donorCIM,
+        campaignTitle: donation.campaignTitle || "",
         amount: `R$ ${donation.amount.toFixed(2).replace(".", ",")}`,
+        refundedAmount: `R$ ${(donation.refundedAmount || 0).toFixed(2).replace(".", ",")}`,
         status: donation.status,
         txId: donation.txId,
         createdAt: this.formatDate(donation.createdAt),
@@ -66,6 +85,7 @@ export class ExportService {
           { id: "cim", title: "CIM" },
           { id: "degree", title: "Formação" },
           { id: "profession", title: "Profissão" },
+          { id: "status", title: "Status" },
         ],
       })
 
@@ -76,6 +96,7 @@ export class ExportService {
         cim: partner.cim,
         degree: partner.degree,
         profession: partner.profession || "Não informado",
+        status: partner.status,
       }))
 
       await csvWriter.writeRecords(records)
@@ -89,9 +110,10 @@ export class ExportService {
    * Generates a PDF file for donations
    * @param {Array} donations - Array of donation objects
    * @param {string} filePath - Path where the PDF file will be saved
+   * @param {string} [campaignTitle] - Campaign the report is filtered by
    * @returns {Promise<string>} - Path to the generated PDF file
    */
-  static async generateDonationsPDF(donations, filePath) {
+  static async generateDonationsPDF(donations, filePath, campaignTitle) {
     try {
       const doc = new PDFDocument({ margin: 50 })
       const stream = fs.createWriteStream(filePath)
@@ -99,19 +121,36 @@ export class ExportService {
 
       // Header
       doc.fontSize(20).text("Relatório de Doações", { align: "center" })
+      if (campaignTitle) {
+        doc.fontSize(14).text(`Campanha: ${campaignTitle}`, { align: "center" })
+      }
       doc.fontSize(12).text(`Gerado em: ${this.formatDate(new Date())}`, { align: "center" })
       doc.moveDown(2)
 
       // Summary
       const totalDonations = donations.length
-      const totalAmount = donations.reduce((sum, donation) => sum + donation.amount, 0)
-      const paidDonations = donations.filter((d) => d.status === "PAGA").length
+      const paid = donations.filter((d) =>
+        ["PAGA", "DEVOLUCAO_PARCIAL", "DEVOLVIDA"].includes(d.status),
+      )
+      const paidDonations = paid.length
+      // Only paid donations count towards the collected amount, net of refunds
+      const totalRefunded = paid.reduce((sum, donation) => sum + (donation.refundedAmount || 0), 0)
+      const totalAmount = paid.reduce((sum, donation) => sum + donation.amount, 0) - totalRefunded
 
       doc.fontSize(14).text("Resumo:", { underline: true })
       doc.fontSize(12)
       doc.text(`Total de doações: ${totalDonations}`)
       doc.text(`Doações pagas: ${paidDonations}`)
+      doc.text(`Valor devolvido: R$ ${totalRefunded.toFixed(2).replace(".", ",")}`)
       doc.text(`Valor total: R$ ${totalAmount.toFixed(2).replace(".", ",")}`)
+      const donorTypeCount = donations.reduce((acc, donation) => {
+        const label = this.formatDonorType(donation.donorType)
+        acc[label] = (acc[label] || 0) + 1
+        return acc
+      }, {})
+      Object.entries(donorTypeCount).forEach(([label, count]) => {
+        doc.text(`Doações de doador ${label.toLowerCase()}: ${count}`)
+      })
       doc.moveDown(2)
 
       // Table header
@@ -125,7 +164,7 @@ export class ExportService {
 
       // Headers
       doc.fontSize(10)
-      this.drawTableRow(doc, currentY, "Nome do Doador", "CPF", "CIM", "Valor", "Status", "Data")
+      this.drawTableRow(doc, currentY, "Nome do Doador", "CPF/CNPJ", "CIM/Tipo", "Valor", "Status", "Data")
       currentY += itemHeight
 
       // Draw header line
@@ -146,8 +185,9 @@ export class ExportService {
           doc,
           currentY,
           donation.donorName,
-          this.formatCPF(donation.donorCPF),
-          donation.donorCIM,
+          this.formatDocument(donation),
+          // Only partners have a CIM, other donors show their type instead
+          donation.donorCIM || this.formatDonorType(donation.donorType),
           `R$ ${donation.amount.toFixed(2).replace(".", ",")}`,
           donation.status,
           this.formatDate(donation.createdAt),
@@ -250,6 +290,297 @@ export class ExportService {
     }
   }
 
+  /**
+   * Generates the official receipt PDF for a single paid donation
+   * @param {object} receipt - Receipt issued by ReceiptService
+   * @param {string} filePath - Path where the PDF file will be saved
+   * @returns {Promise<string>} - Path to the generated PDF file
+   */
+  static async generateReceiptPDF(receipt, filePath) {
+    try {
+      const doc = new PDFDocument({ margin: 50 })
+      const stream = fs.createWriteStream(filePath)
+      doc.pipe(stream)
+
+      const { organization } = receipt
+      const amount = `R$ ${receipt.amount.toFixed(2).replace(".", ",")}`
+
+      // Organization header
+      doc.fontSize(16).text(organization.name, { align: "center" })
+      doc.fontSize(10)
+      if (organization.cnpj) {
+        doc.text(`CNPJ: ${this.formatDocument({ donorCNPJ: organization.cnpj })}`, { align: "center" })
+      }
+      if (organization.address) {
+        doc.text(organization.address, { align: "center" })
+      }
+      doc.moveDown(2)
+
+      doc.fontSize(20).text(`Recibo de Doação Nº ${receipt.number}`, { align: "center" })
+      doc.moveDown(2)
+
+      // Body
+      doc
+        .fontSize(12)
+        .text(
+          `Recebemos de ${receipt.donorName}, CPF/CNPJ ${this.formatDocument({
+            donorCPF: receipt.donorDocument.length === 11 ? receipt.donorDocument : null,
+            donorCNPJ: receipt.donorDocument.length === 14 ? receipt.donorDocument : null,
+          })}, a importância de ${amount} (${receipt.amountInWords}), ` +
+            `referente a doação realizada via Pix${receipt.campaignTitle ? ` para a campanha ${receipt.campaignTitle}` : ""}.`,
+          { align: "justify" },
+        )
+      doc.moveDown(2)
+
+      doc.text(`Valor: ${amount}`)
+      doc.text(`Data do pagamento: ${this.formatDate(receipt.paidAt)}`)
+      doc.text(`Identificador Pix (endToEndId): ${receipt.endToEndId || "-"}`)
+      doc.text(`ID da transação: ${receipt.txId}`)
+      doc.moveDown(3)
+
+      // Verification footer
+      doc.fontSize(10)
+      doc.text(`Emitido em: ${this.formatDate(receipt.issuedAt)}`)
+      doc.text(`Código de verificação: ${receipt.verificationCode}`)
+      doc.text("A autenticidade deste recibo pode ser confirmada pelo número e código de verificação.")
+
+      doc.end()
+
+      return new Promise((resolve, reject) => {
+        stream.on("finish", () => resolve(filePath))
+        stream.on("error", reject)
+      })
+    } catch (error) {
+      throw new DatabaseError(`Erro ao gerar recibo: ${error.message}`)
+    }
+  }
+
+  /**
+   * Generates the annual giving statement PDF for one donor
+   * @param {object} statement - Statement built by DonationService.annualStatement
+   * @param {string} filePath - Path where the PDF file will be saved
+   * @returns {Promise<string>} - Path to the generated PDF file
+   */
+  static async generateAnnualStatementPDF(statement, filePath) {
+    try {
+      const doc = new PDFDocument({ margin: 50 })
+      const stream = fs.createWriteStream(filePath)
+      doc.pipe(stream)
+
+      // Header
+      doc.fontSize(20).text(`Declaração Anual de Doações ${statement.year}`, { align: "center" })
+      doc.fontSize(12).text(`Gerado em: ${this.formatDate(new Date())}`, { align: "center" })
+      doc.moveDown(2)
+
+      // Donor
+      doc.fontSize(14).text("Doador:", { underline: true })
+      doc.fontSize(12)
+      doc.text(`Nome: ${statement.donorName}`)
+      doc.text(`CPF: ${this.formatCPF(statement.donorCPF)}`)
+      if (statement.donorCIM) {
+        doc.text(`CIM: ${statement.donorCIM}`)
+      }
+      doc.moveDown(1)
+
+      // Summary
+      doc.fontSize(14).text("Resumo:", { underline: true })
+      doc.fontSize(12)
+      doc.text(`Doações pagas: ${statement.totalDonations}`)
+      doc.text(`Valor devolvido: ${this.formatCurrency(statement.totalRefunded)}`)
+      doc.text(`Valor total doado: ${this.formatCurrency(statement.totalAmount)}`)
+      doc.moveDown(2)
+
+      // Monthly breakdown
+      doc.fontSize(14).text("Doações por Mês:", { underline: true })
+      doc.moveDown(1)
+
+      const itemHeight = 20
+      let currentY = doc.y
+
+      doc.fontSize(10)
+      this.drawTableRow(doc, currentY, "Mês", "Doações", "", "Valor", "", "")
+      currentY += itemHeight
+
+      doc
+        .moveTo(50, currentY - 5)
+        .lineTo(550, currentY - 5)
+        .stroke()
+
+      statement.months.forEach((month) => {
+        if (currentY > 700) {
+          doc.addPage()
+          currentY = 50
+        }
+
+        this.drawTableRow(
+          doc,
+          currentY,
+          monthNames[month.month - 1],
+          String(month.totalDonations),
+          "",
+          this.formatCurrency(month.totalAmount),
+          "",
+          "",
+        )
+        currentY += itemHeight
+      })
+
+      doc.end()
+
+      return new Promise((resolve, reject) => {
+        stream.on("finish", () => resolve(filePath))
+        stream.on("error", reject)
+      })
+    } catch (error) {
+      throw new DatabaseError(`Erro ao gerar PDF da declaração anual: ${error.message}`)
+    }
+  }
+
+  /**
+   * Generates the annual giving statement CSV for one donor,
+   * one row per paid donation followed by the monthly totals
+   * @param {object} statement - Statement built by DonationService.annualStatement
+   * @param {string} filePath - Path where the CSV file will be saved
+   * @returns {Promise<string>} - Path to the generated CSV file
+   */
+  static async generateAnnualStatementCSV(statement, filePath) {
+    try {
+      const csvWriter = createObjectCsvWriter({
+        path: filePath,
+        header: [
+          { id: "month", title: "Mês" },
+          { id: "date", title: "Data do Pagamento" },
+          { id: "txId", title: "ID da Transação" },
+          { id: "amount", title: "Valor (R$)" },
+          { id: "refundedAmount", title: "Valor Devolvido (R$)" },
+          { id: "netAmount", title: "Valor Líquido (R$)" },
+        ],
+      })
+
+      const donationRecords = statement.donations.map((donation) => {
+        const date = donation.paidAt || donation.createdAt
+        return {
+          month: monthNames[date.getMonth()],
+          date: this.formatDate(date),
+          txId: donation.txId,
+          amount: this.formatCurrency(donation.amount),
+          refundedAmount: this.formatCurrency(donation.refundedAmount || 0),
+          netAmount: this.formatCurrency(donation.amount - (donation.refundedAmount || 0)),
+        }
+      })
+
+      const monthRecords = statement.months.map((month) => ({
+        month: monthNames[month.month - 1],
+        date: "Total do mês",
+        txId: `${month.totalDonations} doação(ões)`,
+        amount: "",
+        refundedAmount: "",
+        netAmount: this.formatCurrency(month.totalAmount),
+      }))
+
+      const totalRecord = {
+        month: `Total ${statement.year}`,
+        date: statement.donorName,
+        txId: this.formatCPF(statement.donorCPF),
+        amount: "",
+        refundedAmount: this.formatCurrency(statement.totalRefunded),
+        netAmount: this.formatCurrency(statement.totalAmount),
+      }
+
+      await csvWriter.writeRecords([...donationRecords, ...monthRecords, totalRecord])
+      return filePath
+    } catch (error) {
+      throw new DatabaseError(`Erro ao gerar CSV da declaração anual: ${error.message}`)
+    }
+  }
+
+  /**
+   * Generates a CSV file with the audit trail, one row per recorded action
+   * @param {Array} logs - Audit logs from AuditService.findLogs
+   * @param {string} filePath - Path where the CSV file will be saved
+   * @returns {Promise<string>} - Path to the generated CSV file
+   */
+  static async generateAuditLogCSV(logs, filePath) {
+    try {
+      const csvWriter = createObjectCsvWriter({
+        path: filePath,
+        header: [
+          { id: "createdAt", title: "Data" },
+          { id: "actor", title: "Usuário" },
+          { id: "ip", title: "IP" },
+          { id: "action", title: "Ação" },
+          { id: "entity", title: "Entidade" },
+          { id: "entityId", title: "ID da Entidade" },
+          { id: "changes", title: "Alterações" },
+          { id: "metadata", title: "Detalhes" },
+        ],
+      })
+
+      const records = logs.map((log) => ({
+        createdAt: this.formatDate(log.createdAt),
+        actor: log.actor || "",
+        ip: log.ip || "",
+        action: log.action,
+        entity: log.entity,
+        entityId: log.entityId || "",
+        changes: log.changes ? JSON.stringify(log.changes) : "",
+        metadata: log.metadata ? JSON.stringify(log.metadata) : "",
+      }))
+
+      await csvWriter.writeRecords(records)
+      return filePath
+    } catch (error) {
+      throw new DatabaseError(`Erro ao gerar CSV de auditoria: ${error.message}`)
+    }
+  }
+
+  /**
+   * Generates a ZIP with the PDF and CSV statements of every donor
+   * @param {Array} statements - Statements built by DonationService.annualStatements
+   * @param {string} filePath - Path where the ZIP file will be saved
+   * @returns {Promise<string>} - Path to the generated ZIP file
+   */
+  static async generateAnnualStatementsZip(statements, filePath) {
+    const workDir = fs.mkdtempSync(path.join(this.ensureExportDirectory(), "statements_"))
+
+    try {
+      const output = fs.createWriteStream(filePath)
+      const archive = archiver("zip", { zlib: { level: 9 } })
+      const finished = new Promise((resolve, reject) => {
+        output.on("close", resolve)
+        archive.on("error", reject)
+      })
+      archive.pipe(output)
+
+      for (const statement of statements) {
+        const baseName = `declaracao_${statement.year}_${statement.donorCIM || statement.donorCPF}`
+        const pdfPath = path.join(workDir, `${baseName}.pdf`)
+        const csvPath = path.join(workDir, `${baseName}.csv`)
+
+        await this.generateAnnualStatementPDF(statement, pdfPath)
+        await this.generateAnnualStatementCSV(statement, csvPath)
+
+        archive.file(pdfPath, { name: `${baseName}.pdf` })
+        archive.file(csvPath, { name: `${baseName}.csv` })
+      }
+
+      await archive.finalize()
+      await finished
+      return filePath
+    } catch (error) {
+      throw new DatabaseError(`Erro ao gerar lote de declarações anuais: ${error.message}`)
+    } finally {
+      fs.rmSync(workDir, { recursive: true, force: true })
+    }
+  }
+
+  /**
+   * Helper method to format currency values
+   */
+  static formatCurrency(value) {
+    return `R$ ${(value || 0).toFixed(2).replace(".", ",")}`
+  }
+
   /**
    * Helper method to draw table rows in PDF
    */
@@ -270,6 +601,23 @@ export class ExportService {
     return cpf.replace(/(\d{3})(\d{3})(\d{3})(\d{2})/, "$1.$2.$3-$4")
   }
 
+  /**
+   * Helper method to format the donor's CPF or CNPJ
+   */
+  static formatDocument(donation) {
+    if (donation.donorCNPJ) {
+      return donation.donorCNPJ.replace(/(\d{2})(\d{3})(\d{3})(\d{4})(\d{2})/, "$1.$2.$3/$4-$5")
+    }
+    return this.formatCPF(donation.donorCPF)
+  }
+
+  /**
+   * Helper method to format the donor type
+   */
+  static formatDonorType(donorType) {
+    return donorTypeLabels[donorType] || donorTypeLabels.PARCEIRO
+  }
+
   /**
    * Helper method to format date
    */
@@ -0,0 +1,149 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import { ValidationError, DatabaseError } from "../utils/Errors.js";
+
+// Código gRPC retornado pelo Firestore quando o documento já existe
+const ALREADY_EXISTS = 6;
+
+// Tempo de espera pela requisição original ainda em processamento
+const inProgressWaitMs = parseInt(process.env.IDEMPOTENCY_WAIT_MS) || 5000;
+const pollIntervalMs = 250;
+
+/**
+ * @class IdempotencyService
+ * @description Reserva chaves de idempotência na coleção idempotency_keys,
+ * garantindo que requisições repetidas reaproveitem o resultado da primeira.
+ * O campo expiresAt pode ser usado como política de TTL do Firestore; enquanto
+ * isso, chaves vencidas são substituídas na próxima reserva.
+ */
+export class IdempotencyService {
+  /**
+   * Gera o hash usado como ID do documento e para comparar o corpo das requisições
+   *
+   * @param {string} value - Valor a ser resumido
+   * @returns {string} - Hash SHA-256 em hexadecimal
+   */
+  static hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+
+  /**
+   * Reserva uma chave para a requisição atual
+   * Se a requisição original ainda estiver em processamento, aguarda brevemente
+   * pelo seu resultado antes de desistir
+   *
+   * @param {string} key - Chave de idempotência
+   * @param {string} requestHash - Hash do conteúdo da requisição
+   * @param {number} ttlSeconds - Tempo de vida da chave em segundos
+   * @returns {Promise<{reserved: boolean, record?: object}>} - reserved=false traz o registro da requisição original
+   * @throws {ValidationError} - Se a chave já foi usada com outro conteúdo ou a original continua em processamento
+   * @throws {DatabaseError} - Se ocorrer um erro ao acessar o banco de dados
+   */
+  static async reserve(key, requestHash, ttlSeconds) {
+    const deadline = Date.now() + inProgressWaitMs;
+
+    for (;;) {
+      const reservation = await this.tryReserve(key, requestHash, ttlSeconds);
+      if (reservation) return reservation;
+
+      if (Date.now() >= deadline) {
+        throw new ValidationError(
+          "Uma requisição com esta chave ainda está em processamento. Tente novamente em instantes."
+        );
+      }
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+    }
+  }
+
+  /**
+   * Tenta reservar uma chave uma única vez
+   *
+   * @param {string} key - Chave de idempotência
+   * @param {string} requestHash - Hash do conteúdo da requisição
+   * @param {number} ttlSeconds - Tempo de vida da chave em segundos
+   * @returns {Promise<{reserved: boolean, record?: object} | null>} - null se a original ainda está em processamento
+   * @throws {ValidationError} - Se a chave já foi usada com outro conteúdo
+   * @throws {DatabaseError} - Se ocorrer um erro ao acessar o banco de dados
+   */
+  static async tryReserve(key, requestHash, ttlSeconds) {
+    const docRef = db.collection("idempotency_keys").doc(this.hash(key));
+    const now = new Date();
+    const record = {
+      status: "EM_ANDAMENTO",
+      requestHash,
+      txId: null,
+      createdAt: admin.firestore.Timestamp.fromDate(now),
+      expiresAt: admin.firestore.Timestamp.fromDate(
+        new Date(now.getTime() + ttlSeconds * 1000)
+      ),
+    };
+
+    try {
+      await docRef.create(record);
+      return { reserved: true };
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) {
+        throw new DatabaseError(`Erro ao reservar chave de idempotência: ${error}`);
+      }
+    }
+
+    let existing;
+    try {
+      existing = (await docRef.get()).data();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao consultar chave de idempotência: ${error}`);
+    }
+
+    // Chave removida ou vencida entre as operações: reserva novamente
+    if (!existing || existing.expiresAt.toDate() <= now) {
+      try {
+        await docRef.set(record);
+        return { reserved: true };
+      } catch (error) {
+        throw new DatabaseError(`Erro ao reservar chave de idempotência: ${error}`);
+      }
+    }
+
+    if (existing.requestHash !== requestHash) {
+      throw new ValidationError(
+        "A chave de idempotência já foi usada com dados diferentes."
+      );
+    }
+
+    if (existing.status !== "CONCLUIDA") return null;
+
+    return { reserved: false, record: existing };
+  }
+
+  /**
+   * Registra o resultado da requisição que reservou a chave
+   *
+   * @param {string} key - Chave de idempotência
+   * @param {string} txId - Id da transação criada
+   * @throws {DatabaseError} - Se ocorrer um erro ao acessar o banco de dados
+   */
+  static async complete(key, txId) {
+    try {
+      await db
+        .collection("idempotency_keys")
+        .doc(this.hash(key))
+        .update({ status: "CONCLUIDA", txId });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao concluir chave de idempotência: ${error}`);
+    }
+  }
+
+  /**
+   * Libera a chave após uma falha, permitindo uma nova tentativa
+   *
+   * @param {string} key - Chave de idempotência
+   */
+  static async release(key) {
+    try {
+      await db.collection("idempotency_keys").doc(this.hash(key)).delete();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao liberar chave de idempotência: ${error}`);
+    }
+  }
+}
@@ -0,0 +1,96 @@
+import counterStore from "../config/counterStore.js";
+import { logger } from "../utils/Logger.js";
+
+// Falhas aceitas antes do primeiro bloqueio
+const threshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 5;
+const baseLockSeconds = parseInt(process.env.LOGIN_LOCKOUT_BASE_SECONDS) || 60;
+const maxLockSeconds = parseInt(process.env.LOGIN_LOCKOUT_MAX_SECONDS) || 3600;
+// Período em que as falhas continuam somando para o bloqueio progressivo
+const failureWindowSeconds =
+  parseInt(process.env.LOGIN_FAILURE_WINDOW_SECONDS) || 24 * 60 * 60;
+
+/**
+ * @class LoginAttemptService
+ * @description Bloqueio progressivo do login por identificador e IP de origem. A partir
+ * do limite de falhas, cada nova falha bloqueia o par pelo dobro do tempo anterior, até o
+ * máximo configurado. Um login bem-sucedido zera as falhas.
+ * O IP faz parte da chave para que falhas provocadas por terceiros não bloqueiem
+ * o acesso do próprio usuário a partir de outra origem.
+ */
+export class LoginAttemptService {
+  static normalize(login) {
+    return String(login).trim().toLowerCase();
+  }
+
+  static key(login, ip) {
+    return `${this.normalize(login)}:${ip}`;
+  }
+
+  /**
+   * Indica se o login está bloqueado para o IP de origem
+   *
+   * @param {string} login - Login informado
+   * @param {string} ip - IP de origem
+   * @returns {Promise<{locked: boolean, resetAt?: Date}>}
+   */
+  static async check(login, ip) {
+    try {
+      const lock = await counterStore.get(`login-lock:${this.key(login, ip)}`);
+      return lock ? { locked: true, resetAt: lock.resetAt } : { locked: false };
+    } catch (error) {
+      logger.error("[Login] Falha ao consultar bloqueio", error);
+      return { locked: false };
+    }
+  }
+
+  /**
+   * Registra uma falha (senha ou código inválido) e bloqueia o login se necessário
+   *
+   * @param {string} login - Login informado
+   * @param {string} ip - IP de origem
+   * @returns {Promise<{locked: boolean, resetAt?: Date}>} - Bloqueio aplicado por esta falha
+   */
+  static async registerFailure(login, ip) {
+    const normalized = this.key(login, ip);
+    try {
+      const failures = await counterStore.increment(
+        `login-failures:${normalized}`,
+        failureWindowSeconds
+      );
+      if (failures.count < threshold) return { locked: false };
+
+      const lockSeconds = Math.min(
+        baseLockSeconds * 2 ** (failures.count - threshold),
+        maxLockSeconds
+      );
+      await counterStore.set(`login-lock:${normalized}`, failures.count, lockSeconds);
+
+      logger.warn(
+        `[Login] ${normalized} bloqueado por ${lockSeconds} segundo(s) após ${failures.count} falha(s).`
+      );
+      return {
+        locked: true,
+        resetAt: new Date(Date.now() + lockSeconds * 1000),
+      };
+    } catch (error) {
+      logger.error("[Login] Falha ao registrar tentativa", error);
+      return { locked: false };
+    }
+  }
+
+  /**
+   * Zera as falhas após um login bem-sucedido
+   *
+   * @param {string} login - Login autenticado
+   * @param {string} ip - IP de origem
+   */
+  static async registerSuccess(login, ip) {
+    const normalized = this.key(login, ip);
+    try {
+      await counterStore.reset(`login-failures:${normalized}`);
+      await counterStore.reset(`login-lock:${normalized}`);
+    } catch (error) {
+      logger.error("[Login] Falha ao zerar tentativas", error);
+    }
+  }
+}
@@ -0,0 +1,150 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import {
+  ValidationError,
+  DatabaseError,
+  ExternalError,
+} from "../utils/Errors.js";
+import NotificationSettingsModel from "../models/NotificationSettings.js";
+import NotificationTemplates from "../templates/NotificationTemplates.js";
+import mailer from "../config/mailer.js";
+import { logger } from "../utils/Logger.js";
+
+// Eventos que podem gerar notificação; todos começam desativados
+export const notificationEvents = [
+  "DONATION_PAID",
+  "PARTNER_REGISTERED",
+  "RECONCILIATION_FAILED",
+  "EXPORT_GENERATED",
+];
+
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @class NotificationService
+ * @description Envia as notificações por e-mail dos eventos do sistema,
+ * conforme a configuração de cada evento definida pelos administradores
+ */
+export class NotificationService {
+  /**
+   * Busca a configuração das notificações, com os eventos ausentes desativados
+   *
+   * @returns {Promise<NotificationSettingsModel>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async getSettings() {
+    let data = {};
+    try {
+      const docSnap = await db.collection("settings").doc("notifications").get();
+      if (docSnap.exists) data = docSnap.data();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar configurações de notificação: ${error}`);
+    }
+
+    const settings = new NotificationSettingsModel(data);
+    notificationEvents.forEach((event) => {
+      settings.events[event] = {
+        enabled: false,
+        recipients: [],
+        ...settings.events[event],
+      };
+    });
+    return settings;
+  }
+
+  /**
+   * Altera a configuração de um ou mais eventos
+   *
+   * @param {object} events - Configuração por evento ({ DONATION_PAID: { enabled, recipients } })
+   * @param {string} [updatedBy] - Login de quem alterou
+   * @returns {Promise<NotificationSettingsModel>} - Configuração atualizada
+   * @throws {ValidationError} - Se algum evento, destinatário ou valor for inválido
+   */
+  static async updateSettings(events, updatedBy) {
+    if (!events || typeof events !== "object" || Array.isArray(events)) {
+      throw new ValidationError("Informe a configuração dos eventos.");
+    }
+
+    const settings = await this.getSettings();
+
+    for (const [event, config] of Object.entries(events)) {
+      if (!notificationEvents.includes(event)) {
+        throw new ValidationError(
+          `O evento deve ser um dos seguintes: ${notificationEvents.join(", ")}.`
+        );
+      }
+
+      const current = settings.events[event];
+      const enabled = config.enabled ?? current.enabled;
+      const recipients = config.recipients ?? current.recipients;
+
+      if (typeof enabled !== "boolean") {
+        throw new ValidationError(`O campo enabled de ${event} deve ser verdadeiro ou falso.`);
+      }
+
+      if (
+        !Array.isArray(recipients) ||
+        recipients.some((email) => !emailPattern.test(email))
+      ) {
+        throw new ValidationError(`Lista de destinatários inválida em ${event}.`);
+      }
+
+      if (enabled && recipients.length === 0) {
+        throw new ValidationError(
+          `Informe ao menos um destinatário para ativar ${event}.`
+        );
+      }
+
+      settings.events[event] = {
+        enabled,
+        recipients: [...new Set(recipients.map((email) => email.trim().toLowerCase()))],
+      };
+    }
+
+    settings.updatedBy = updatedBy ?? null;
+    await settings.save();
+    return settings;
+  }
+
+  /**
+   * Envia a notificação de um evento aos destinatários configurados
+   * Falhas são apenas registradas, para nunca interromper o fluxo que gerou o evento
+   *
+   * @param {string} event - Evento ocorrido
+   * @param {object} data - Dados usados no modelo da mensagem
+   * @returns {Promise<boolean>} - true se a mensagem foi enviada
+   */
+  static async notify(event, data) {
+    try {
+      const settings = await this.getSettings();
+      const config = settings.events[event];
+      if (!config?.enabled || config.recipients.length === 0) return false;
+
+      const message = NotificationTemplates[event](data);
+      await mailer.send({ to: config.recipients, ...message });
+      return true;
+    } catch (error) {
+      logger.error(`[Notificação ${event}] Falha no envio`, error);
+      return false;
+    }
+  }
+
+  /**
+   * Envia uma mensagem de teste para conferir o transporte configurado
+   *
+   * @param {string} to - E-mail do destinatário
+   * @throws {ValidationError} - Se o e-mail for inválido
+   * @throws {ExternalError} - Se o transporte não conseguir enviar a mensagem
+   */
+  static async sendTest(to) {
+    if (!to || !emailPattern.test(to)) {
+      throw new ValidationError("E-mail do destinatário inválido.");
+    }
+
+    try {
+      await mailer.send({ to: [to], ...NotificationTemplates.TEST() });
+    } catch (error) {
+      throw new ExternalError(`Falha ao enviar e-mail de teste: ${error.message}`);
+    }
+  }
+}
@@ -0,0 +1,542 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import axios from "axios";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import WebhookSubscriptionModel from "../models/WebhookSubscription.js";
+import WebhookDeliveryModel from "../models/WebhookDelivery.js";
+import { logger } from "../utils/Logger.js";
+
+const maxAttempts = parseInt(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS) || 8;
+const baseDelaySeconds =
+  parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const retryIntervalSeconds =
+  parseInt(process.env.OUTBOUND_WEBHOOK_RETRY_INTERVAL_SECONDS) || 60;
+const timeoutMs = parseInt(process.env.OUTBOUND_WEBHOOK_TIMEOUT_MS) || 10000;
+
+export const outboundEvents = [
+  "donation.paid",
+  "donation.refunded",
+  "partner.created",
+  "partner.updated",
+];
+
+const deliveryStatuses = ["PENDENTE", "ENTREGUE", "FALHOU"];
+
+// Redes internas que nunca recebem webhooks: loopback, privadas, link-local,
+// CGNAT, multicast e reservadas. Endereços IPv4 mapeados em IPv6 também são cobertos.
+const blockedRanges = new net.BlockList();
+for (const [address, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  blockedRanges.addSubnet(address, prefix, "ipv4");
+}
+for (const [address, prefix] of [
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  blockedRanges.addSubnet(address, prefix, "ipv6");
+}
+
+function isBlockedAddress(address) {
+  // Destinos internos apenas quando liberados para desenvolvimento
+  if (process.env.OUTBOUND_WEBHOOK_ALLOW_PRIVATE === "true") return false;
+  return blockedRanges.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+}
+
+/**
+ * Resolução de nomes usada nos envios: recusa a conexão se o host apontar
+ * para uma rede interna no momento do envio, evitando a troca do DNS após o cadastro
+ */
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(
+        new Error(`O host ${hostname} aponta para um endereço interno (${blocked.address}).`)
+      );
+    }
+
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+/**
+ * @class OutboundWebhookService
+ * @description Envia os eventos do sistema para as URLs cadastradas pelos
+ * administradores. Cada envio é assinado com HMAC-SHA256, registrado na coleção
+ * webhook_deliveries e repetido com espera exponencial até o limite de tentativas.
+ */
+class OutboundWebhookService {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia o reenvio periódico das entregas pendentes
+   * O intervalo é definido por OUTBOUND_WEBHOOK_RETRY_INTERVAL_SECONDS
+   */
+  startScheduler() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.retryPendingDeliveries().catch((error) =>
+        logger.error("[Webhook de Saída] Falha no reenvio agendado", error)
+      );
+    }, retryIntervalSeconds * 1000);
+
+    logger.info(
+      `[Webhook de Saída] Reenvio agendado a cada ${retryIntervalSeconds} segundo(s).`
+    );
+  }
+
+  /**
+   * Cadastra uma assinatura
+   *
+   * @param {object} data - Dados da assinatura
+   * @param {string} data.url - URL que receberá os eventos
+   * @param {string[]} data.events - Eventos assinados
+   * @param {string} [data.description] - Descrição da integração
+   * @param {string} [createdBy] - Login de quem cadastrou
+   * @returns {Promise<WebhookSubscriptionModel>} - Assinatura criada, com o segredo usado na assinatura dos envios
+   * @throws {ValidationError} - Se a URL ou os eventos forem inválidos
+   */
+  async createSubscription({ url, events, description }, createdBy) {
+    await this.validateUrl(url);
+    this.validateEvents(events);
+
+    const subscription = new WebhookSubscriptionModel({
+      url,
+      events: [...new Set(events)],
+      description,
+      secret: crypto.randomBytes(32).toString("hex"),
+      active: true,
+      createdBy,
+    });
+    await subscription.save();
+
+    return subscription;
+  }
+
+  /**
+   * Altera a URL, os eventos, a descrição ou a situação de uma assinatura
+   *
+   * @param {string} id - ID da assinatura
+   * @param {object} data - Campos a serem alterados (url, events, description, active)
+   * @returns {Promise<object>} - Assinatura atualizada, sem o segredo
+   * @throws {NotFoundError} - Se a assinatura não existir
+   * @throws {ValidationError} - Se algum campo for inválido
+   */
+  async updateSubscription(id, { url, events, description, active }) {
+    const subscription = await this.findSubscriptionById(id);
+
+    if (url !== undefined) {
+      await this.validateUrl(url);
+      subscription.url = url;
+    }
+    if (events !== undefined) {
+      this.validateEvents(events);
+      subscription.events = [...new Set(events)];
+    }
+    if (description !== undefined) {
+      subscription.description = description;
+    }
+    if (active !== undefined) {
+      if (typeof active !== "boolean") {
+        throw new ValidationError("O campo active deve ser verdadeiro ou falso.");
+      }
+      subscription.active = active;
+    }
+
+    await subscription.save();
+    return subscription.toPublic();
+  }
+
+  /**
+   * Remove uma assinatura; o histórico de entregas é mantido
+   *
+   * @param {string} id - ID da assinatura
+   * @throws {NotFoundError} - Se a assinatura não existir
+   * @throws {DatabaseError} - Se ocorrer um erro ao remover
+   */
+  async deleteSubscription(id) {
+    await this.findSubscriptionById(id);
+    try {
+      await db.collection("webhook_subscriptions").doc(id).delete();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao remover assinatura de webhook: ${error}`);
+    }
+  }
+
+  /**
+   * Valida a URL de destino: exige HTTPS e recusa hosts que resolvem para redes internas
+   *
+   * @param {string} url - URL do webhook
+   * @throws {ValidationError} - Se a URL for inválida, não usar HTTPS ou apontar para uma rede interna
+   */
+  async validateUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new ValidationError("URL do webhook inválida.");
+    }
+
+    // HTTP simples apenas quando liberado para desenvolvimento
+    const allowHttp = process.env.OUTBOUND_WEBHOOK_ALLOW_HTTP === "true";
+    if (parsed.protocol !== "https:" && !(allowHttp && parsed.protocol === "http:")) {
+      throw new ValidationError("A URL do webhook deve usar HTTPS.");
+    }
+
+    // Hosts IPv6 literais chegam entre colchetes
+    const hostname = parsed.hostname.replace(/^\[(.*)\]$/, "$1");
+    let addresses;
+    try {
+      addresses = net.isIP(hostname)
+        ? [{ address: hostname }]
+        : await dns.promises.lookup(hostname, { all: true });
+    } catch {
+      throw new ValidationError(`Não foi possível resolver o host ${hostname}.`);
+    }
+
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      throw new ValidationError(
+        "A URL do webhook não pode apontar para uma rede interna."
+      );
+    }
+  }
+
+  validateEvents(events) {
+    if (
+      !Array.isArray(events) ||
+      events.length === 0 ||
+      events.some((event) => !outboundEvents.includes(event))
+    ) {
+      throw new ValidationError(
+        `Informe ao menos um evento entre: ${outboundEvents.join(", ")}.`
+      );
+    }
+  }
+
+  /**
+   * Busca uma assinatura pelo ID
+   *
+   * @param {string} id - ID da assinatura
+   * @returns {Promise<WebhookSubscriptionModel>}
+   * @throws {NotFoundError} - Se a assinatura não existir
+   */
+  async findSubscriptionById(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("webhook_subscriptions").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar assinatura de webhook: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Assinatura de webhook com ${id} não encontrada`);
+    }
+
+    return new WebhookSubscriptionModel({ id: docSnap.id, ...docSnap.data() });
+  }
+
+  /**
+   * Lista as assinaturas cadastradas, sem os segredos
+   *
+   * @returns {Promise<object[]>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async allSubscriptions() {
+    try {
+      const snapshot = await db.collection("webhook_subscriptions").get();
+      return snapshot.docs
+        .map((doc) => new WebhookSubscriptionModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .map((subscription) => subscription.toPublic());
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar assinaturas de webhook: ${error}`);
+    }
+  }
+
+  /**
+   * Dados de uma doação enviados nos eventos donation.*
+   * Documentos do doador (CPF/CNPJ) não são compartilhados com as integrações
+   *
+   * @param {DonationModel} donation - Doação
+   * @returns {object}
+   */
+  donationPayload(donation) {
+    return {
+      id: donation.id ?? null,
+      txId: donation.txId ?? null,
+      amount: donation.amount ?? null,
+      refundedAmount: donation.refundedAmount ?? 0,
+      status: donation.status ?? null,
+      donorType: donation.donorType ?? null,
+      donorName: donation.donorName ?? null,
+      donorCIM: donation.donorCIM ?? null,
+      campaignId: donation.campaignId ?? null,
+      paidAt: donation.paidAt instanceof Date ? donation.paidAt.toISOString() : null,
+      endToEndId: donation.endToEndId ?? null,
+    };
+  }
+
+  /**
+   * Dados de um parceiro enviados nos eventos partner.*, sem o CPF
+   *
+   * @param {PartnerModel} partner - Parceiro
+   * @returns {object}
+   */
+  partnerPayload(partner) {
+    return {
+      id: partner.id ?? null,
+      name: partner.name ?? null,
+      cim: partner.cim ?? null,
+      degree: partner.degree ?? null,
+      profession: partner.profession ?? null,
+      status: partner.status ?? null,
+    };
+  }
+
+  /**
+   * Registra e envia um evento para todas as assinaturas ativas que o assinam
+   * Falhas são apenas registradas, para nunca interromper o fluxo que gerou o evento
+   *
+   * @param {string} event - Evento ocorrido (ex.: donation.paid)
+   * @param {object} data - Dados enviados no campo data do corpo
+   * @returns {Promise<number>} - Quantidade de entregas criadas
+   */
+  async publish(event, data) {
+    try {
+      const snapshot = await db
+        .collection("webhook_subscriptions")
+        .where("events", "array-contains", event)
+        .get();
+
+      const subscriptions = snapshot.docs
+        .map((doc) => new WebhookSubscriptionModel({ id: doc.id, ...doc.data() }))
+        .filter((subscription) => subscription.active);
+
+      for (const subscription of subscriptions) {
+        const delivery = new WebhookDeliveryModel({
+          subscriptionId: subscription.id,
+          url: subscription.url,
+          event,
+          payload: data,
+          status: "PENDENTE",
+          // Agendada para depois do envio abaixo, para que o reenvio periódico
+          // não a envie de novo enquanto a primeira tentativa está em andamento
+          nextAttemptAt: new Date(Date.now() + timeoutMs + baseDelaySeconds * 1000),
+          createdAt: new Date(),
+        });
+        await delivery.save();
+        await this.deliver(delivery, subscription);
+      }
+
+      return subscriptions.length;
+    } catch (error) {
+      logger.error(`[Webhook de Saída] Falha ao publicar ${event}`, error);
+      return 0;
+    }
+  }
+
+  /**
+   * Envia uma entrega, registrando a tentativa e agendando a próxima em caso de falha
+   * Assinatura: X-Doare-Signature = sha256=HMAC(segredo, "<X-Doare-Timestamp>.<corpo>")
+   *
+   * @param {WebhookDeliveryModel} delivery - Entrega a ser enviada
+   * @param {WebhookSubscriptionModel} [subscription] - Assinatura da entrega, se já carregada
+   * @returns {Promise<WebhookDeliveryModel>} - Entrega com o resultado da tentativa
+   */
+  async deliver(delivery, subscription) {
+    delivery.attempts++;
+
+    try {
+      subscription ??= await this.findSubscriptionById(delivery.subscriptionId);
+      // O destino é verificado de novo a cada envio, pois o DNS pode ter mudado
+      await this.validateUrl(subscription.url);
+
+      const body = JSON.stringify({
+        id: delivery.id,
+        event: delivery.event,
+        createdAt: delivery.createdAt,
+        data: delivery.payload,
+      });
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      const signature = crypto
+        .createHmac("sha256", subscription.secret)
+        .update(`${timestamp}.${body}`)
+        .digest("hex");
+
+      const response = await axios.post(subscription.url, body, {
+        timeout: timeoutMs,
+        lookup: publicLookup,
+        // Redirecionamentos poderiam levar a entrega para uma rede interna
+        maxRedirects: 0,
+        headers: {
+          "Content-Type": "application/json",
+          "X-Doare-Event": delivery.event,
+          "X-Doare-Delivery": delivery.id,
+          "X-Doare-Timestamp": timestamp,
+          "X-Doare-Signature": `sha256=${signature}`,
+        },
+      });
+
+      delivery.status = "ENTREGUE";
+      delivery.lastStatusCode = response.status;
+      delivery.lastError = null;
+      delivery.nextAttemptAt = null;
+      delivery.deliveredAt = new Date();
+    } catch (error) {
+      delivery.lastStatusCode = error.response?.status ?? null;
+      delivery.lastError = error.message;
+
+      // Assinaturas removidas não recebem novas tentativas
+      if (delivery.attempts >= maxAttempts || error instanceof NotFoundError) {
+        delivery.status = "FALHOU";
+        delivery.nextAttemptAt = null;
+      } else {
+        // Espera exponencial: base, 2x base, 4x base...
+        const delaySeconds = baseDelaySeconds * 2 ** (delivery.attempts - 1);
+        delivery.status = "PENDENTE";
+        delivery.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+      }
+
+      logger.error(
+        `[Webhook de Saída - ${delivery.event}] Falha na entrega ${delivery.id} (tentativa ${delivery.attempts})`,
+        error
+      );
+    }
+
+    await delivery.save();
+    return delivery;
+  }
+
+  /**
+   * Reenvia as entregas pendentes cuja próxima tentativa já venceu
+   *
+   * @returns {Promise<{retried: number, delivered: number}>} - Resumo do reenvio
+   */
+  async retryPendingDeliveries() {
+    const summary = { retried: 0, delivered: 0 };
+    if (this.running) return summary;
+
+    this.running = true;
+    try {
+      const snapshot = await db
+        .collection("webhook_deliveries")
+        .where("status", "==", "PENDENTE")
+        .get();
+
+      const now = new Date();
+      const dueDeliveries = snapshot.docs
+        .map((doc) => new WebhookDeliveryModel({ id: doc.id, ...doc.data() }))
+        .filter(
+          (delivery) => !delivery.nextAttemptAt || delivery.nextAttemptAt <= now
+        );
+
+      for (const delivery of dueDeliveries) {
+        await this.deliver(delivery);
+        summary.retried++;
+        if (delivery.status === "ENTREGUE") summary.delivered++;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Lista o histórico de entregas com paginação, da mais recente à mais antiga
+   * Os filtros são aplicados em memória para evitar índices compostos
+   *
+   * @param {object} filters - Filtros (subscriptionId, event, status)
+   * @param {number} [page=1] - Número da página
+   * @param {number} [limit=15] - Quantidade de entregas por página
+   * @returns {Promise<{deliveries: WebhookDeliveryModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   * @throws {ValidationError} - Se o status for inválido
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async allDeliveries({ subscriptionId, event, status } = {}, page = 1, limit = 15) {
+    if (status && !deliveryStatuses.includes(status)) {
+      throw new ValidationError(
+        `O status deve ser um dos seguintes: ${deliveryStatuses.join(", ")}.`
+      );
+    }
+
+    const offset = (Math.max(1, page) - 1) * limit;
+
+    try {
+      let query = db.collection("webhook_deliveries");
+      if (subscriptionId) query = query.where("subscriptionId", "==", subscriptionId);
+
+      const snapshot = await query.get();
+      const deliveries = snapshot.docs
+        .map((doc) => new WebhookDeliveryModel({ id: doc.id, ...doc.data() }))
+        .filter(
+          (delivery) =>
+            (!event || delivery.event === event) &&
+            (!status || delivery.status === status)
+        )
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+      return {
+        deliveries: deliveries.slice(offset, offset + limit),
+        currentPage: page,
+        totalPages: Math.ceil(deliveries.length / limit),
+        totalResults: deliveries.length,
+        limit: limit,
+      };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar entregas de webhook: ${error}`);
+    }
+  }
+
+  /**
+   * Reenvia manualmente uma entrega, independentemente do status atual
+   *
+   * @param {string} id - ID da entrega
+   * @returns {Promise<WebhookDeliveryModel>} - Entrega com o resultado da nova tentativa
+   * @throws {NotFoundError} - Se a entrega não existir
+   */
+  async redeliver(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("webhook_deliveries").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar entrega de webhook: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Entrega de webhook com ${id} não encontrada`);
+    }
+
+    const delivery = new WebhookDeliveryModel({ id: docSnap.id, ...docSnap.data() });
+    return this.deliver(delivery);
+  }
+}
+
+const outboundWebhookService = new OutboundWebhookService();
+export default outboundWebhookService;
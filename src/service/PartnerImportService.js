@@ -0,0 +1,347 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { ValidationError, DatabaseError } from "../utils/Errors.js";
+import PartnerModel from "../models/Partner.js";
+import Degree from "../utils/Degrees.js";
+import { PartnerService, PartnerStatus } from "./PartnerService.js";
+import outboundWebhookService from "./OutboundWebhookService.js";
+import { AuditService } from "./AuditService.js";
+import { DegreeHistoryService } from "./DegreeHistoryService.js";
+import { readSpreadsheet } from "../utils/Spreadsheet.js";
+
+const maxRows = parseInt(process.env.PARTNER_IMPORT_MAX_ROWS) || 2000;
+// O Firestore aceita até 500 operações por lote; cada parceiro usa duas
+// (o cadastro e o registro inicial do histórico de graus)
+const batchSize = 250;
+
+// Cabeçalhos reconhecidos para cada campo, sem acentos e em minúsculas
+const columnAliases = {
+  cpf: ["cpf"],
+  name: ["nome", "nome completo", "name"],
+  cim: ["cim"],
+  degree: ["grau", "degree"],
+  profession: ["profissao", "ocupacao", "profession"],
+  dateOfBirth: [
+    "data de nascimento",
+    "data nascimento",
+    "nascimento",
+    "dateofbirth",
+    "date of birth",
+  ],
+};
+
+const requiredColumns = { cpf: "CPF", name: "nome", cim: "CIM", degree: "grau" };
+
+export const importFields = Object.keys(columnAliases);
+
+function normalizeText(value) {
+  return String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[_\s]+/g, " ")
+    .trim();
+}
+
+/**
+ * @class PartnerImportService
+ * @description Importação de parceiros a partir de planilhas CSV ou XLSX.
+ * Cada linha passa pela mesma validação do cadastro individual; a prévia
+ * (dry-run) aponta os erros por linha sem gravar nada, e a importação grava
+ * as linhas válidas em lotes do Firestore.
+ */
+export class PartnerImportService {
+  /**
+   * Identifica a coluna de cada campo pelo cabeçalho da planilha
+   *
+   * @param {string[]} header - Primeira linha da planilha
+   * @param {object} [mapping] - Cabeçalho escolhido para cada campo (ex.: { cpf: "Documento" })
+   * @returns {object} - Índice da coluna de cada campo encontrado
+   * @throws {ValidationError} - Se uma coluna informada ou obrigatória não for encontrada
+   */
+  static mapColumns(header, mapping = {}) {
+    const headers = header.map(normalizeText);
+    const columns = {};
+
+    for (const field of importFields) {
+      const names = mapping[field]
+        ? [normalizeText(mapping[field])]
+        : columnAliases[field];
+      const index = headers.findIndex((name) => names.includes(name));
+
+      if (index !== -1) {
+        columns[field] = index;
+      } else if (mapping[field]) {
+        throw new ValidationError(
+          `Coluna "${mapping[field]}" não encontrada na planilha.`
+        );
+      }
+    }
+
+    const missing = Object.keys(requiredColumns).filter(
+      (field) => columns[field] === undefined
+    );
+    if (missing.length > 0) {
+      throw new ValidationError(
+        `Colunas obrigatórias não encontradas: ${missing
+          .map((field) => requiredColumns[field])
+          .join(", ")}.`
+      );
+    }
+
+    return columns;
+  }
+
+  /**
+   * Converte as datas aceitas na planilha para YYYY-MM-DD
+   * Aceita DD/MM/AAAA, YYYY-MM-DD e o número serial usado pelo Excel
+   *
+   * @param {string} value - Valor da célula
+   * @returns {string | undefined}
+   */
+  static normalizeDate(value) {
+    if (!value) return undefined;
+
+    const brazilian = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+    if (brazilian) {
+      const [, day, month, year] = brazilian;
+      return `${year}-${month.padStart(2, "0")}-${day.padStart(2, "0")}`;
+    }
+
+    // Datas do Excel são dias desde 30/12/1899
+    if (/^\d+(\.\d+)?$/.test(value)) {
+      const date = new Date(Date.UTC(1899, 11, 30) + Math.floor(value) * 86400000);
+      return date.toISOString().slice(0, 10);
+    }
+
+    return value;
+  }
+
+  /**
+   * Extrai os dados de uma linha da planilha
+   *
+   * @param {string[]} row - Células da linha
+   * @param {object} columns - Índice da coluna de cada campo
+   * @returns {object} - Dados no formato esperado por PartnerService.validatePartnerData
+   */
+  static readRow(row, columns) {
+    const cell = (field) =>
+      columns[field] === undefined ? "" : String(row[columns[field]] ?? "").trim();
+
+    // CPFs gravados como número perdem os zeros à esquerda
+    let cpf = cell("cpf");
+    if (/^\d{9,10}$/.test(cpf)) cpf = cpf.padStart(11, "0");
+
+    // O grau é aceito sem diferenciar maiúsculas e acentos
+    const degree =
+      Object.values(Degree).find(
+        (value) => normalizeText(value) === normalizeText(cell("degree"))
+      ) ?? cell("degree");
+
+    return {
+      cpf,
+      name: cell("name"),
+      cim: cell("cim"),
+      degree,
+      profession: cell("profession") || undefined,
+      dateOfBirth: this.normalizeDate(cell("dateOfBirth")),
+    };
+  }
+
+  /**
+   * Carrega os CPFs e CIMs já cadastrados, incluindo arquivados e parceiros na lixeira
+   *
+   * @returns {Promise<{byCPF: Map<string, PartnerModel>, byCIM: Map<string, PartnerModel>}>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async loadExisting() {
+    try {
+      const snapshot = await db
+        .collection("partners")
+        .select("cpf", "cim", "status", "deletedAt")
+        .get();
+
+      const byCPF = new Map();
+      const byCIM = new Map();
+      for (const doc of snapshot.docs) {
+        const partner = new PartnerModel({ id: doc.id, ...doc.data() });
+        if (partner.cpf) byCPF.set(partner.cpf, partner);
+        if (partner.cim) byCIM.set(partner.cim, partner);
+      }
+      return { byCPF, byCIM };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar parceiros cadastrados: ${error}`);
+    }
+  }
+
+  /**
+   * Valida as linhas da planilha e, fora da prévia, grava as válidas
+   * Linhas com erro nunca são gravadas; as demais são importadas mesmo assim
+   *
+   * @param {Buffer} file - Conteúdo da planilha (CSV ou XLSX)
+   * @param {object} [options] - Opções da importação
+   * @param {boolean} [options.dryRun=true] - Apenas valida e devolve a prévia
+   * @param {object} [options.mapping] - Cabeçalho escolhido para cada campo
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<object>} - Resumo com os erros por linha e a prévia ou os parceiros importados
+   * @throws {ValidationError} - Se a planilha não puder ser lida ou não tiver as colunas obrigatórias
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar os parceiros
+   */
+  static async importPartners(file, { dryRun = true, mapping = {} } = {}, context) {
+    if (!Buffer.isBuffer(file) || file.length === 0) {
+      throw new ValidationError("Envie uma planilha CSV ou XLSX.");
+    }
+
+    let rows;
+    try {
+      // O cabeçalho ocupa uma linha além das importadas
+      rows = readSpreadsheet(file, { maxRows: maxRows + 1 });
+    } catch (error) {
+      throw new ValidationError(`Não foi possível ler a planilha: ${error.message}`);
+    }
+
+    const [header = [], ...lines] = rows;
+    const columns = this.mapColumns(header, mapping);
+
+    // O número da linha considera o cabeçalho, como exibido no editor de planilhas
+    const dataRows = lines
+      .map((cells, index) => ({ row: index + 2, cells }))
+      .filter(({ cells }) => cells.some((cell) => String(cell).trim() !== ""));
+
+    if (dataRows.length === 0) {
+      throw new ValidationError("A planilha não possui linhas para importar.");
+    }
+    if (dataRows.length > maxRows) {
+      throw new ValidationError(
+        `A planilha pode ter no máximo ${maxRows} linhas por importação.`
+      );
+    }
+
+    const { byCPF, byCIM } = await this.loadExisting();
+    const rowByCPF = new Map();
+    const rowByCIM = new Map();
+    const valid = [];
+    const errors = [];
+
+    for (const { row, cells } of dataRows) {
+      const data = this.readRow(cells, columns);
+
+      try {
+        const partner = PartnerService.validatePartnerData(data);
+
+        const existingByCPF = byCPF.get(partner.cpf);
+        if (existingByCPF) {
+          throw new ValidationError(
+            `Um parceiro com este CPF já existe!${PartnerService.lifecycleHint(existingByCPF)}`
+          );
+        }
+        const existingByCIM = byCIM.get(partner.cim);
+        if (existingByCIM) {
+          throw new ValidationError(
+            `Um parceiro com este CIM já existe!${PartnerService.lifecycleHint(existingByCIM)}`
+          );
+        }
+        if (rowByCPF.has(partner.cpf)) {
+          throw new ValidationError(
+            `CPF repetido na linha ${rowByCPF.get(partner.cpf)} da planilha.`
+          );
+        }
+        if (rowByCIM.has(partner.cim)) {
+          throw new ValidationError(
+            `CIM repetido na linha ${rowByCIM.get(partner.cim)} da planilha.`
+          );
+        }
+
+        rowByCPF.set(partner.cpf, row);
+        rowByCIM.set(partner.cim, row);
+        valid.push({ row, partner });
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        errors.push({ row, cpf: data.cpf, name: data.name, error: error.message });
+      }
+    }
+
+    const summary = {
+      dryRun,
+      totalRows: dataRows.length,
+      validRows: valid.length,
+      invalidRows: errors.length,
+      errors,
+    };
+
+    if (dryRun) {
+      return {
+        ...summary,
+        preview: valid.map(({ row, partner }) => ({ row, ...partner })),
+      };
+    }
+
+    const imported = [];
+    try {
+      for (let i = 0; i < valid.length; i += batchSize) {
+        const batch = db.batch();
+        const chunk = [];
+
+        for (const { row, partner } of valid.slice(i, i + batchSize)) {
+          const docRef = db.collection("partners").doc();
+          const newPartner = new PartnerModel({
+            id: docRef.id,
+            ...partner,
+            status: PartnerStatus.ACTIVE,
+          });
+          batch.set(docRef, newPartner.toFirestore());
+          batch.set(
+            db.collection("degree_history").doc(),
+            DegreeHistoryService.buildChange(
+              docRef.id,
+              { toDegree: newPartner.degree },
+              context
+            ).toFirestore()
+          );
+          chunk.push({ row, partner: newPartner });
+        }
+
+        await batch.commit();
+        imported.push(...chunk);
+      }
+    } catch (error) {
+      throw new DatabaseError(
+        `Erro ao importar parceiros (${imported.length} gravado(s) antes da falha): ${error}`
+      );
+    } finally {
+      if (imported.length > 0) {
+        await AuditService.record(
+          {
+            action: "PARTNER_IMPORTED",
+            entity: "partner",
+            metadata: {
+              imported: imported.length,
+              invalidRows: errors.length,
+              ids: imported.map(({ partner }) => partner.id),
+            },
+          },
+          context
+        );
+      }
+    }
+
+    // Sem a notificação de cadastro individual, para não enviar um e-mail por linha
+    for (const { partner } of imported) {
+      outboundWebhookService.publish(
+        "partner.created",
+        outboundWebhookService.partnerPayload(partner)
+      );
+    }
+
+    return {
+      ...summary,
+      imported: imported.length,
+      partners: imported.map(({ row, partner }) => ({
+        row,
+        id: partner.id,
+        name: partner.name,
+        cim: partner.cim,
+      })),
+    };
+  }
+}
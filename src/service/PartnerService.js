@@ -9,23 +9,77 @@ import PartnerModel from "../models/Partner.js";
 import Degree from "../utils/Degrees.js";
 import { cpf as validator } from "cpf-cnpj-validator";
 import { Timestamp } from "firebase-admin/firestore";
+import { NotificationService } from "./NotificationService.js";
+import outboundWebhookService from "./OutboundWebhookService.js";
+import { AuditService } from "./AuditService.js";
+import { DegreeHistoryService } from "./DegreeHistoryService.js";
+
+export const PartnerStatus = {
+  ACTIVE: "ATIVO",
+  ARCHIVED: "ARQUIVADO",
+};
+
+// Campos alterados apenas pelo arquivamento e pela exclusão, nunca pela atualização
+const lifecycleFields = ["status", "archivedAt", "deletedAt", "deletedBy"];
 
 export class PartnerService {
   /**
-   * Cria um novo parceiro no banco de dados.
+   * Indica se o parceiro deve aparecer em uma consulta.
+   * Parceiros excluídos (na lixeira) e arquivados ficam de fora, salvo quando solicitado.
    *
-   * @param {object} data - Os dados do parceiro.
-   * @param {string} data.cpf - O CPF do parceiro.
-   * @param {string} data.name - O nome do parceiro.
-   * @param {string} data.cim - O CIM (Cadastro de Imposto Municipal) do parceiro.
-   * @param {string} data.degree - O grau de formação do parceiro.
-   * @param {string} [data.profession] - A profissão do parceiro.
-   * @param {string} [data.dateOfBirth] - A data de nascimento do parceiro.
-   * @returns {Promise<PartnerModel>} O parceiro recém-criado.
-   * @throws {ValidationError} Se algum campo obrigatório estiver faltando, o CPF for inválido ou já existir.
-   * @throws {DatabaseError} Se ocorrer um erro relacionado ao banco de dados durante a criação.
+   * @param {PartnerModel} partner - O parceiro avaliado.
+   * @param {object} [options] - Opções da consulta.
+   * @param {boolean} [options.includeArchived=false] - Inclui os parceiros arquivados.
+   * @param {boolean} [options.includeDeleted=false] - Inclui os parceiros excluídos.
+   * @returns {boolean}
+   */
+  static isVisible(partner, { includeArchived = false, includeDeleted = false } = {}) {
+    if (partner.deletedAt && !includeDeleted) return false;
+    if (partner.status === PartnerStatus.ARCHIVED && !includeArchived) return false;
+    return true;
+  }
+
+  /**
+   * Normaliza um ou mais IDs de parceiros recebidos na requisição.
+   *
+   * @param {string | string[]} partnerIds - ID de um ou mais parceiros.
+   * @param {string} operation - Operação usada na mensagem de erro (ex.: exclusão).
+   * @returns {string[]} IDs válidos, sem espaços.
+   * @throws {ValidationError} Se nenhum ID válido for fornecido.
+   */
+  static parseIds(partnerIds, operation) {
+    let ids = [];
+
+    if (typeof partnerIds === "string" && partnerIds.trim() !== "") {
+      ids.push(partnerIds.trim());
+    } else if (Array.isArray(partnerIds) && partnerIds.length > 0) {
+      ids = partnerIds
+        .filter((id) => typeof id === "string" && id.trim() !== "")
+        .map((id) => id.trim());
+    } else {
+      throw new ValidationError(
+        "O(s) ID(s) do parceiro é/são obrigatório(s) e deve(m) ser uma string ou um array de strings válidas."
+      );
+    }
+
+    if (ids.length === 0) {
+      throw new ValidationError(
+        `Nenhum ID de parceiro válido foi fornecido para ${operation}.`
+      );
+    }
+
+    return ids;
+  }
+
+  /**
+   * Valida e normaliza os dados de um novo parceiro, sem consultar o banco de dados.
+   * Usado no cadastro individual e na importação de planilhas.
+   *
+   * @param {object} data - Os dados do parceiro (cpf, name, cim, degree, profession, dateOfBirth).
+   * @returns {{cpf: string, name: string, cim: string, degree: string, profession: string | null, dateOfBirth: Date | null}} Os dados normalizados.
+   * @throws {ValidationError} Se algum campo obrigatório estiver faltando ou for inválido.
    */
-  static async createPartner(data) {
+  static validatePartnerData(data) {
     const { cpf, name, cim, degree, profession, dateOfBirth } = data;
     if (!cpf || !name || !cim || !degree) {
       throw new ValidationError(
@@ -46,16 +100,6 @@ export class PartnerService {
       );
     }
 
-    let existingPartner = await this.findByExactCPF(cleanedCPF);
-    if (existingPartner) {
-      throw new ValidationError("Um parceiro com este CPF já existe!");
-    }
-
-    existingPartner = await this.findByExactCIM(cim);
-    if (existingPartner) {
-      throw new ValidationError("Um parceiro com este CIM já existe!");
-    }
-
     const professionToSave = profession ?? null;
 
     let validatedDateOfBirth = null;
@@ -91,17 +135,97 @@ export class PartnerService {
       validatedDateOfBirth = dateOfBirthUTC;
     }
 
+    return {
+      cpf: cleanedCPF,
+      name,
+      cim,
+      degree,
+      profession: professionToSave,
+      dateOfBirth: validatedDateOfBirth,
+    };
+  }
+
+  /**
+   * Cria um novo parceiro no banco de dados.
+   *
+   * @param {object} data - Os dados do parceiro.
+   * @param {string} data.cpf - O CPF do parceiro.
+   * @param {string} data.name - O nome do parceiro.
+   * @param {string} data.cim - O CIM (Cadastro de Imposto Municipal) do parceiro.
+   * @param {string} data.degree - O grau de formação do parceiro.
+   * @param {string} [data.profession] - A profissão do parceiro.
+   * @param {string} [data.dateOfBirth] - A data de nascimento do parceiro.
+   * @param {string} [data.degreeDate] - A data em que o parceiro alcançou o grau atual (YYYY-MM-DD).
+   * @param {string} [data.ceremony] - A cerimônia ou sessão em que alcançou o grau atual.
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria.
+   * @returns {Promise<PartnerModel>} O parceiro recém-criado.
+   * @throws {ValidationError} Se algum campo obrigatório estiver faltando, o CPF for inválido ou já existir.
+   * @throws {DatabaseError} Se ocorrer um erro relacionado ao banco de dados durante a criação.
+   */
+  static async createPartner(data, context) {
+    const validated = this.validatePartnerData(data);
+    const { cpf: cleanedCPF, cim } = validated;
+    const degreeDate = DegreeHistoryService.validateEffectiveDate(data.degreeDate);
+
+    // A unicidade considera também os arquivados e os que estão na lixeira
+    const everyPartner = { includeArchived: true, includeDeleted: true };
+
+    let existingPartner = await this.findByExactCPF(cleanedCPF, everyPartner);
+    if (existingPartner) {
+      throw new ValidationError(
+        `Um parceiro com este CPF já existe!${this.lifecycleHint(existingPartner)}`
+      );
+    }
+
+    existingPartner = await this.findByExactCIM(cim, everyPartner);
+    if (existingPartner) {
+      throw new ValidationError(
+        `Um parceiro com este CIM já existe!${this.lifecycleHint(existingPartner)}`
+      );
+    }
+
     try {
       const newPartner = new PartnerModel({
-        cpf: cleanedCPF,
-        name,
-        cim,
-        degree,
-        profession: professionToSave,
-        dateOfBirth: validatedDateOfBirth,
+        ...validated,
+        status: PartnerStatus.ACTIVE,
       });
 
-      const savedPartner = await newPartner.save();
+      // O cadastro e o registro inicial do histórico de graus são gravados
+      // juntos, para que um parceiro nunca fique sem histórico
+      const docRef = db.collection("partners").doc();
+      const partnerData = newPartner.toFirestore();
+      const batch = db.batch();
+      batch.set(docRef, partnerData);
+      batch.set(
+        db.collection("degree_history").doc(),
+        DegreeHistoryService.buildChange(
+          docRef.id,
+          {
+            toDegree: newPartner.degree,
+            effectiveDate: degreeDate,
+            ceremony: data.ceremony,
+          },
+          context
+        ).toFirestore()
+      );
+      await batch.commit();
+
+      const savedPartner = { id: docRef.id, ...partnerData };
+      const { createdAt, ...createdFields } = savedPartner;
+      await AuditService.record(
+        {
+          action: "PARTNER_CREATED",
+          entity: "partner",
+          entityId: savedPartner.id,
+          after: createdFields,
+        },
+        context
+      );
+      NotificationService.notify("PARTNER_REGISTERED", savedPartner);
+      outboundWebhookService.publish(
+        "partner.created",
+        outboundWebhookService.partnerPayload(savedPartner)
+      );
       return savedPartner;
     } catch (error) {
       if (error instanceof ValidationError || error instanceof DatabaseError) {
@@ -113,54 +237,52 @@ export class PartnerService {
     }
   }
 
+  /**
+   * Complementa a mensagem de duplicidade quando o parceiro existente está fora das listagens.
+   *
+   * @param {PartnerModel} partner - O parceiro já cadastrado.
+   * @returns {string}
+   */
+  static lifecycleHint(partner) {
+    if (partner.deletedAt) return " O cadastro está na lixeira e pode ser restaurado.";
+    if (partner.status === PartnerStatus.ARCHIVED) {
+      return " O cadastro está arquivado e pode ser reativado.";
+    }
+    return "";
+  }
+
   /**
    * Recupera todos os parceiros com paginação.
+   * A paginação é feita em memória, pois os cadastros antigos não têm status.
    *
    * @param {number} [page=1] - O número da página atual.
    * @param {number} [limit=15] - O número de parceiros por página.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
    * @returns {Promise<{partners: PartnerModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>} Lista paginada de parceiros.
    * @throws {DatabaseError} Se ocorrer um erro relacionado ao banco de dados durante a recuperação.
    */
-  static async allpartners(page = 1, limit = 15) {
+  static async allpartners(page = 1, limit = 15, options = {}) {
     // Calcula o offset para paginação
     const offset = (Math.max(1, page) - 1) * limit;
-    const docRef = db.collection("partners");
 
     try {
-      // Obtém a contagem total de documentos para calcular o total de páginas
-      const countSnapshot = await docRef.count().get();
-      const totalResults = countSnapshot.data().count;
-
-      // Retorna um array vazio se não houver resultados
-      if (totalResults === 0) {
-        return {
-          partners: [],
-          currentPage: page,
-          totalPages: 0,
-          totalResults: 0,
-          limit: limit,
-        };
-      }
-
-      // Executa a consulta pagina e ordena por data de criação
-      const snapshot = await docRef
+      // Executa a consulta ordenada por data de criação
+      const snapshot = await db
+        .collection("partners")
         .orderBy("createdAt", "desc")
-        .limit(limit)
-        .offset(offset)
         .get();
 
       // Mapeia os documentos do banco de dados
-      const partners = snapshot.docs.map(
-        (doc) => new PartnerModel({ id: doc.id, ...doc.data() })
-      );
+      const partners = snapshot.docs
+        .map((doc) => new PartnerModel({ id: doc.id, ...doc.data() }))
+        .filter((partner) => this.isVisible(partner, options));
 
-      // Calcula o total de páginas
-      const totalPages = Math.ceil(totalResults / limit);
+      const totalResults = partners.length;
 
       return {
-        partners: partners,
+        partners: partners.slice(offset, offset + limit),
         currentPage: page,
-        totalPages: totalPages,
+        totalPages: Math.ceil(totalResults / limit),
         totalResults: totalResults,
         limit: limit,
       };
@@ -169,37 +291,69 @@ export class PartnerService {
     }
   }
 
-  static async findByExactCPF(cpf) {
+  /**
+   * Recupera todos os parceiros ativos, sem paginação.
+   * Usado pelos processamentos em lote, como a geração de mensalidades.
+   *
+   * @returns {Promise<PartnerModel[]>} Lista de parceiros ativos.
+   * @throws {DatabaseError} Se ocorrer um erro relacionado ao banco de dados durante a recuperação.
+   */
+  static async listActivePartners() {
+    try {
+      const snapshot = await db
+        .collection("partners")
+        .orderBy("name", "asc")
+        .get();
+
+      return snapshot.docs
+        .map((doc) => new PartnerModel({ id: doc.id, ...doc.data() }))
+        .filter((partner) => this.isVisible(partner));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar parceiros ativos: ${error}`);
+    }
+  }
+
+  /**
+   * Busca o parceiro com o CPF exato.
+   *
+   * @param {string} cpf - O CPF, apenas dígitos.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
+   * @returns {Promise<PartnerModel | null>}
+   */
+  static async findByExactCPF(cpf, options = {}) {
     try {
       const snapshot = await db
         .collection("partners")
         .where("cpf", "==", cpf)
-        .limit(1)
         .get();
 
-      if (!snapshot.empty) {
-        const partner = snapshot.docs[0];
-        return new PartnerModel({ id: partner.id, ...partner.data() });
-      }
-      return null;
+      const partner = snapshot.docs
+        .map((doc) => new PartnerModel({ id: doc.id, ...doc.data() }))
+        .find((partner) => this.isVisible(partner, options));
+      return partner ?? null;
     } catch (error) {
       throw new DatabaseError(`Erro ao buscar parceiro: ${error}`);
     }
   }
 
-  static async findByExactCIM(cim) {
+  /**
+   * Busca o parceiro com o CIM exato.
+   *
+   * @param {string} cim - O CIM do parceiro.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
+   * @returns {Promise<PartnerModel | null>}
+   */
+  static async findByExactCIM(cim, options = {}) {
     try {
       const snapshot = await db
         .collection("partners")
         .where("cim", "==", cim)
-        .limit(1)
         .get();
 
-      if (!snapshot.empty) {
-        const partner = snapshot.docs[0];
-        return new PartnerModel({ id: partner.id, ...partner.data() });
-      }
-      return null;
+      const partner = snapshot.docs
+        .map((doc) => new PartnerModel({ id: doc.id, ...doc.data() }))
+        .find((partner) => this.isVisible(partner, options));
+      return partner ?? null;
     } catch (error) {
       throw new DatabaseError(`Erro ao buscar parceiro: ${error}`);
     }
@@ -209,10 +363,11 @@ export class PartnerService {
    * Busca um parceiro específico pelo seu CIM.
    *
    * @param {string} cim - O CIM do parceiro a ser buscado.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
    * @returns {Promise<PartnerModel[]>} - Um array de parceiros relacionados ao CIM pesquisado
    *                                      ou um array vazio se nenhum parceiro for encontrado
    */
-  static async findByCIM(cim) {
+  static async findByCIM(cim, options = {}) {
     const snapshot = await db
       .collection("partners")
       .orderBy("createdAt", "desc")
@@ -230,9 +385,9 @@ export class PartnerService {
         return partner.cim && partner.cim.includes(searchCIM);
       });
 
-      const partners = filteredPartners.map(
-        (docData) => new PartnerModel(docData)
-      );
+      const partners = filteredPartners
+        .map((docData) => new PartnerModel(docData))
+        .filter((partner) => this.isVisible(partner, options));
 
       return partners;
     } else {
@@ -244,10 +399,11 @@ export class PartnerService {
    * Busca um parceiro pelo seu CPF.
    *
    * @param {string} cpf - O CPF do parceiro a ser buscado.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
    * @returns {Promise<PartnerModel[]>} - Um array de parceiros relacionados ao CPF pesquisado
    *                                      ou um array vazio se nenhuma doação for encontrada
    */
-  static async findByCPF(cpf) {
+  static async findByCPF(cpf, options = {}) {
     const snapshot = await db
       .collection("partners")
       .orderBy("createdAt", "desc")
@@ -265,9 +421,9 @@ export class PartnerService {
         return partner.cpf && partner.cpf.includes(searchCPF);
       });
 
-      const partners = filteredPartners.map(
-        (docData) => new PartnerModel(docData)
-      );
+      const partners = filteredPartners
+        .map((docData) => new PartnerModel(docData))
+        .filter((partner) => this.isVisible(partner, options));
 
       return partners;
     } else {
@@ -279,10 +435,11 @@ export class PartnerService {
    * Busca parceiros através do nome.
    *
    * @param {string} name - O nome do parceiro.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
    * @returns {Promise<PartnerModel[]>} - Um array de parceiros que correspondem ao nome pesquisado
    *                                      ou um arra vazio se nenhum doador for encontrado
    */
-  static async findByName(name) {
+  static async findByName(name, options = {}) {
     const snapshot = await db.collection("partners").get();
 
     const searchName = name.toLowerCase().trim();
@@ -297,9 +454,9 @@ export class PartnerService {
         return partner.name && partner.name.toLowerCase().includes(searchName);
       });
 
-      const partners = filteredPartners.map(
-        (docData) => new PartnerModel(docData)
-      );
+      const partners = filteredPartners
+        .map((docData) => new PartnerModel(docData))
+        .filter((partner) => this.isVisible(partner, options));
 
       return partners;
     } else {
@@ -313,10 +470,11 @@ export class PartnerService {
    * @param {string} searchTerm - Termo a ser buscado (pode ser CIM, CPF ou nome).
    * @param {number} [page=1] - Número da página a ser retornada.
    * @param {number} [limit=15] - Número de resultados por página.
+   * @param {object} [options] - Opções da consulta (includeArchived, includeDeleted).
    * @returns {Promise<{partners: PartnerModel[], currentPage: number, totalPages: number, totalResults: number}>} Uma lista paginada de parceiros encontrados.
    * @throws {ValidationError} Se o termo de busca for vazio ou inválido.
    */
-  static async searchPartners(searchTerm, page = 1, limit = 15) {
+  static async searchPartners(searchTerm, page = 1, limit = 15, options = {}) {
     const trimmedSearchTerm = searchTerm.trim();
     if (!trimmedSearchTerm) {
       throw new ValidationError("O termo de busca não pode ser vazio");
@@ -326,14 +484,14 @@ export class PartnerService {
     let foundPartners = [];
 
     // Tenta buscar por CIM
-    const partnerByCIM = await this.findByCIM(trimmedSearchTerm);
+    const partnerByCIM = await this.findByCIM(trimmedSearchTerm, options);
     if (Array.isArray(partnerByCIM) && partnerByCIM.length > 0) {
       foundPartners = partnerByCIM.slice(offset, offset + limit);
     }
 
     // Se não encontrou por CIM, tenta buscar por CPF
     if (foundPartners.length === 0) {
-      const partnerByCPF = await this.findByCPF(trimmedSearchTerm);
+      const partnerByCPF = await this.findByCPF(trimmedSearchTerm, options);
       if (Array.isArray(partnerByCPF) && partnerByCPF.length > 0) {
         foundPartners = partnerByCPF.slice(offset, offset + limit);
       }
@@ -341,7 +499,7 @@ export class PartnerService {
 
     // Se não encontrou por CIM ou CPF, tenta buscar por nome
     if (foundPartners.length === 0) {
-      const partnersByName = await this.findByName(trimmedSearchTerm);
+      const partnersByName = await this.findByName(trimmedSearchTerm, options);
       if (Array.isArray(partnersByName) && partnersByName.length > 0) {
         foundPartners = partnersByName.slice(offset, offset + limit);
       }
@@ -369,12 +527,15 @@ export class PartnerService {
    *  @param {string} [updates.degree] - Novo grau de formação de parceiro
    *  @param {string} [updates.profession] - Nova profissão do parceiro
    *  @param {string} [updates.dateOfBirth] - Nova data de nascimento do parceiro
-   * @returns {Promise<PartnerModel>} - Parceiro atualizado
+   *  @param {string} [updates.degreeDate] - Data da mudança de grau, registrada no histórico
+   *  @param {string} [updates.ceremony] - Cerimônia ou sessão da mudança de grau
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<PartnerModel & {warnings: string[]}>} - Parceiro atualizado, com os alertas da mudança de grau
    * @throws {NotFoundError} - Se nenhum parceiro for encontrado
-   * @throws {ValidationError} - Se houver problemas com a validação dos dados
+   * @throws {ValidationError} - Se houver problemas com a validação dos dados ou o parceiro estiver na lixeira
    * @throws {DatabaseError} - Se ocorer um erro na comunicação com o banco de dados
    */
-  static async updatePartner(id, updates) {
+  static async updatePartner(id, updates, context) {
     const docRef = db.collection("partners").doc(id);
 
     const docSnap = await docRef.get();
@@ -383,6 +544,24 @@ export class PartnerService {
       throw new NotFoundError(`Parceiro com ${id} não encontrado`);
     }
 
+    if (docSnap.data().deletedAt) {
+      throw new ValidationError(
+        "O parceiro está na lixeira. Restaure o cadastro antes de alterá-lo."
+      );
+    }
+
+    // Status e exclusão têm rotas próprias
+    for (const field of lifecycleFields) {
+      delete updates[field];
+    }
+
+    // Dados da mudança de grau vão para o histórico, não para o cadastro
+    const { degreeDate, ceremony } = updates;
+    delete updates.degreeDate;
+    delete updates.ceremony;
+
+    const everyPartner = { includeArchived: true, includeDeleted: true };
+
     if (updates.degree) {
       const validDegree = Object.values(Degree);
       if (!validDegree.includes(updates.degree)) {
@@ -390,15 +569,33 @@ export class PartnerService {
       }
     }
 
+    const fromDegree = docSnap.data().degree;
+    const degreeChange =
+      updates.degree && updates.degree !== fromDegree
+        ? DegreeHistoryService.buildChange(
+            id,
+            {
+              fromDegree,
+              toDegree: updates.degree,
+              effectiveDate: degreeDate,
+              ceremony,
+            },
+            context
+          )
+        : null;
+
     if (updates.cpf && updates.cpf !== docSnap.data().cpf) {
-      let existingPartner = await this.findByCPF(updates.cpf);
+      const existingPartner = await this.findByExactCPF(updates.cpf, everyPartner);
       if (existingPartner || !validator.isValid(updates.cpf)) {
         throw new ValidationError("CPF Inválido!");
       }
     }
 
     if (updates.cim && updates.cim !== docSnap.data().cim) {
-      const existingPartnerByCIM = await this.findByCIM(updates.cim);
+      const existingPartnerByCIM = await this.findByExactCIM(
+        updates.cim,
+        everyPartner
+      );
       if (existingPartnerByCIM && existingPartnerByCIM.id !== id) {
         throw new ValidationError("Já existe um parceiro com este CIM!");
       }
@@ -441,89 +638,467 @@ export class PartnerService {
       updates.dateOfBirth = validatedDateOfBirth;
     }
 
-    await docRef.update(updates);
+    if (degreeChange) {
+      await this.commitDegreeChange(id, updates, degreeChange);
+    } else {
+      await docRef.update(updates);
+    }
     const updatedDocSnap = await docRef.get();
-    return new PartnerModel({
+    await AuditService.record(
+      {
+        action: "PARTNER_UPDATED",
+        entity: "partner",
+        entityId: id,
+        before: docSnap.data(),
+        after: updatedDocSnap.data(),
+      },
+      context
+    );
+    const updatedPartner = new PartnerModel({
       id: updatedDocSnap.id,
       ...updatedDocSnap.data(),
     });
+    outboundWebhookService.publish(
+      "partner.updated",
+      outboundWebhookService.partnerPayload(updatedPartner)
+    );
+    return {
+      ...updatedPartner,
+      warnings: degreeChange
+        ? DegreeHistoryService.warnings(fromDegree, updates.degree)
+        : [],
+    };
   }
 
   /**
-   * Deleta um ou mais parceiros
+   * Grava a alteração do parceiro e o registro no histórico de graus em um
+   * único lote, para que o grau nunca mude sem o registro correspondente
+   *
+   * @param {string} id - ID do parceiro
+   * @param {object} updates - Campos alterados no cadastro, incluindo o novo grau
+   * @param {object} change - Registro montado por DegreeHistoryService.buildChange
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar o lote
+   */
+  static async commitDegreeChange(id, updates, change) {
+    const historyRef = db.collection("degree_history").doc();
+    const batch = db.batch();
+    batch.update(db.collection("partners").doc(id), updates);
+    batch.set(historyRef, change.toFirestore());
+
+    try {
+      await batch.commit();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao atualizar o grau do parceiro: ${error}`);
+    }
+    change.id = historyRef.id;
+  }
+
+  /**
+   * Monta o resultado de uma operação em lote sobre parceiros
+   *
+   * @param {number} count - Quantidade de parceiros afetados
+   * @param {string[]} notFoundIds - IDs que não puderam ser processados
+   * @param {string} verb - Ação concluída, usada na mensagem (ex.: deletado(s))
+   * @returns {string} - Mensagem de sucesso
+   * @throws {NotFoundError} - Se nenhum parceiro foi afetado
+   */
+  static batchMessage(count, notFoundIds, verb) {
+    if (count === 0 && notFoundIds.length > 0) {
+      throw new NotFoundError(
+        `Nenhum parceiro encontrado para o(s) ID(s) fornecido(s): ${notFoundIds.join(
+          ", "
+        )}.`
+      );
+    }
+    if (notFoundIds.length > 0) {
+      return `${count} parceiro(s) ${verb} com sucesso. ID(s) não encontrado(s): ${notFoundIds.join(
+        ", "
+      )}.`;
+    }
+    return `${count} parceiro(s) ${verb} com sucesso.`;
+  }
+
+  /**
+   * Move um ou mais parceiros para a lixeira (exclusão lógica)
+   * O cadastro continua no banco com deletedAt/deletedBy e pode ser restaurado
    *
    * @param {string | string[]} partnerIds - ID de um ou mais parceiros a ser deletado
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
    * @returns {Promise<{message: string, deletedCount: number}>} - Uma mensagem de sucesso
    * @throws {ValidationError} - Se o ID fornecido for inválido
    * @throws {NotFoundError} - Se nenhum parceiro for encontrado
    * @throws {DatabaseError} - Se ocorrer um erro relacionado ao banco de dados
    */
-  static async deletePartners(partnerIds) {
-    let idsToDelete = [];
+  static async deletePartners(partnerIds, context) {
+    const idsToDelete = this.parseIds(partnerIds, "exclusão");
 
-    if (typeof partnerIds === "string" && partnerIds.trim() !== "") {
-      idsToDelete.push(partnerIds.trim());
-    } else if (Array.isArray(partnerIds) && partnerIds.length > 0) {
-      idsToDelete = partnerIds
-        .filter((id) => typeof id === "string" && id.trim() !== "")
-        .map((id) => id.trim());
-    } else {
-      throw new ValidationError(
-        "O(s) ID(s) do parceiro é/são obrigatório(s) e deve(m) ser uma string ou um array de strings válidas."
+    let deletedCount = 0;
+    const notFoundIds = [];
+
+    try {
+      for (const id of idsToDelete) {
+        const docRef = db.collection("partners").doc(id);
+        const docSnap = await docRef.get();
+
+        // Parceiros que já estão na lixeira são tratados como não encontrados
+        if (docSnap.exists && !docSnap.data().deletedAt) {
+          const deletion = {
+            deletedAt: Timestamp.now(),
+            deletedBy: context?.actor ?? null,
+          };
+          await docRef.update(deletion);
+          await AuditService.record(
+            {
+              action: "PARTNER_DELETED",
+              entity: "partner",
+              entityId: id,
+              before: docSnap.data(),
+              after: { ...docSnap.data(), ...deletion },
+            },
+            context
+          );
+          deletedCount++;
+        } else {
+          notFoundIds.push(id);
+        }
+      }
+
+      return {
+        message: this.batchMessage(deletedCount, notFoundIds, "deletado(s)"),
+        deletedCount: deletedCount,
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(
+        `Erro ao deletar parceiro(s): ${error.message || error}`
       );
     }
+  }
 
-    if (idsToDelete.length === 0) {
-      throw new ValidationError(
-        "Nenhum ID de parceiro válido foi fornecido para exclusão."
+  /**
+   * Restaura um ou mais parceiros da lixeira
+   *
+   * @param {string | string[]} partnerIds - ID de um ou mais parceiros a serem restaurados
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<{message: string, restoredCount: number}>} - Uma mensagem de sucesso
+   * @throws {ValidationError} - Se o ID fornecido for inválido
+   * @throws {NotFoundError} - Se nenhum parceiro for encontrado na lixeira
+   * @throws {DatabaseError} - Se ocorrer um erro relacionado ao banco de dados
+   */
+  static async restorePartners(partnerIds, context) {
+    const idsToRestore = this.parseIds(partnerIds, "restauração");
+
+    let restoredCount = 0;
+    const notFoundIds = [];
+
+    try {
+      for (const id of idsToRestore) {
+        const docRef = db.collection("partners").doc(id);
+        const docSnap = await docRef.get();
+
+        if (docSnap.exists && docSnap.data().deletedAt) {
+          const restoration = { deletedAt: null, deletedBy: null };
+          await docRef.update(restoration);
+          await AuditService.record(
+            {
+              action: "PARTNER_RESTORED",
+              entity: "partner",
+              entityId: id,
+              before: docSnap.data(),
+              after: { ...docSnap.data(), ...restoration },
+            },
+            context
+          );
+          restoredCount++;
+        } else {
+          notFoundIds.push(id);
+        }
+      }
+
+      return {
+        message: this.batchMessage(restoredCount, notFoundIds, "restaurado(s)"),
+        restoredCount: restoredCount,
+      };
+    } catch (error) {
+      if (error instanceof ValidationError || error instanceof NotFoundError) {
+        throw error;
+      }
+      throw new DatabaseError(
+        `Erro ao restaurar parceiro(s): ${error.message || error}`
       );
     }
+  }
 
-    let deletedCount = 0;
+  /**
+   * Remove definitivamente um ou mais parceiros que estão na lixeira
+   * Parceiros fora da lixeira não são removidos
+   *
+   * @param {string | string[]} partnerIds - ID de um ou mais parceiros a serem expurgados
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<{message: string, purgedCount: number}>} - Uma mensagem de sucesso
+   * @throws {ValidationError} - Se o ID fornecido for inválido
+   * @throws {NotFoundError} - Se nenhum parceiro for encontrado na lixeira
+   * @throws {DatabaseError} - Se ocorrer um erro relacionado ao banco de dados
+   */
+  static async purgePartners(partnerIds, context) {
+    const idsToPurge = this.parseIds(partnerIds, "expurgo");
+
+    let purgedCount = 0;
     const notFoundIds = [];
 
     try {
-      for (const id of idsToDelete) {
+      for (const id of idsToPurge) {
         const docRef = db.collection("partners").doc(id);
         const docSnap = await docRef.get();
 
-        if (docSnap.exists) {
+        if (docSnap.exists && docSnap.data().deletedAt) {
           await docRef.delete();
-          deletedCount++;
+          await DegreeHistoryService.deleteHistory(id);
+          await AuditService.record(
+            {
+              action: "PARTNER_PURGED",
+              entity: "partner",
+              entityId: id,
+              before: docSnap.data(),
+            },
+            context
+          );
+          purgedCount++;
         } else {
           notFoundIds.push(id);
         }
       }
 
-      if (deletedCount === 0 && notFoundIds.length > 0) {
-        throw new NotFoundError(
-          `Nenhum parceiro encontrado para o(s) ID(s) fornecido(s): ${notFoundIds.join(
-            ", "
-          )}.`
-        );
-      } else if (deletedCount > 0 && notFoundIds.length > 0) {
-        return {
-          message: `${deletedCount} parceiro(s) deletado(s) com sucesso. ID(s) não encontrado(s): ${notFoundIds.join(
-            ", "
-          )}.`,
-          deletedCount: deletedCount,
-        };
-      } else {
-        return {
-          message: `${deletedCount} parceiro(s) deletado(s) com sucesso.`,
-          deletedCount: deletedCount,
-        };
-      }
+      return {
+        message: this.batchMessage(purgedCount, notFoundIds, "expurgado(s)"),
+        purgedCount: purgedCount,
+      };
     } catch (error) {
       if (error instanceof ValidationError || error instanceof NotFoundError) {
         throw error;
       }
       throw new DatabaseError(
-        `Erro ao deletar parceiro(s): ${error.message || error}`
+        `Erro ao expurgar parceiro(s): ${error.message || error}`
       );
     }
   }
 
+  /**
+   * Lista os parceiros que estão na lixeira, dos excluídos mais recentemente aos mais antigos
+   *
+   * @param {number} [page=1] - O número da página atual.
+   * @param {number} [limit=15] - O número de parceiros por página.
+   * @returns {Promise<{partners: PartnerModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   * @throws {DatabaseError} Se ocorrer um erro relacionado ao banco de dados durante a recuperação.
+   */
+  static async deletedPartners(page = 1, limit = 15) {
+    const offset = (Math.max(1, page) - 1) * limit;
+
+    try {
+      const snapshot = await db
+        .collection("partners")
+        .where("deletedAt", "!=", null)
+        .get();
+
+      const partners = snapshot.docs
+        .map((doc) => new PartnerModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.deletedAt || 0) - (a.deletedAt || 0));
+
+      return {
+        partners: partners.slice(offset, offset + limit),
+        currentPage: page,
+        totalPages: Math.ceil(partners.length / limit),
+        totalResults: partners.length,
+        limit: limit,
+      };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar parceiros na lixeira: ${error}`);
+    }
+  }
+
+  /**
+   * Altera o status de um parceiro, registrando a auditoria e o evento de atualização
+   *
+   * @param {string} id - ID do parceiro
+   * @param {string} status - Novo status (ATIVO ou ARQUIVADO)
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<PartnerModel>} - Parceiro atualizado
+   * @throws {NotFoundError} - Se o parceiro não existir
+   * @throws {ValidationError} - Se o parceiro estiver na lixeira ou já tiver o status
+   */
+  static async changeStatus(id, status, context) {
+    const docRef = db.collection("partners").doc(id);
+    const docSnap = await docRef.get();
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Parceiro com ${id} não encontrado`);
+    }
+
+    const partner = new PartnerModel({ id: docSnap.id, ...docSnap.data() });
+    if (partner.deletedAt) {
+      throw new ValidationError(
+        "O parceiro está na lixeira. Restaure o cadastro antes de alterá-lo."
+      );
+    }
+    if (partner.status === status) {
+      throw new ValidationError(`O parceiro já está ${status.toLowerCase()}.`);
+    }
+
+    const change = {
+      status,
+      archivedAt: status === PartnerStatus.ARCHIVED ? Timestamp.now() : null,
+    };
+    await docRef.update(change);
+    await AuditService.record(
+      {
+        action:
+          status === PartnerStatus.ARCHIVED
+            ? "PARTNER_ARCHIVED"
+            : "PARTNER_REACTIVATED",
+        entity: "partner",
+        entityId: id,
+        before: docSnap.data(),
+        after: { ...docSnap.data(), ...change },
+      },
+      context
+    );
+
+    const updatedPartner = new PartnerModel({
+      id,
+      ...docSnap.data(),
+      ...change,
+    });
+    outboundWebhookService.publish(
+      "partner.updated",
+      outboundWebhookService.partnerPayload(updatedPartner)
+    );
+    return updatedPartner;
+  }
+
+  /**
+   * Arquiva um parceiro que deixou a loja
+   * Parceiros arquivados saem das listagens e dos processamentos em lote
+   *
+   * @param {string} id - ID do parceiro
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<PartnerModel>} - Parceiro arquivado
+   */
+  static async archivePartner(id, context) {
+    return this.changeStatus(id, PartnerStatus.ARCHIVED, context);
+  }
+
+  /**
+   * Reativa um parceiro arquivado
+   *
+   * @param {string} id - ID do parceiro
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<PartnerModel>} - Parceiro reativado
+   */
+  static async reactivatePartner(id, context) {
+    return this.changeStatus(id, PartnerStatus.ACTIVE, context);
+  }
+
+  /**
+   * Busca um parceiro pelo ID, incluindo os arquivados
+   *
+   * @param {string} id - ID do parceiro
+   * @returns {Promise<PartnerModel>}
+   * @throws {NotFoundError} - Se o parceiro não existir ou estiver na lixeira
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findById(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("partners").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar parceiro: ${error}`);
+    }
+
+    const partner = docSnap.exists
+      ? new PartnerModel({ id: docSnap.id, ...docSnap.data() })
+      : null;
+    if (!partner || !this.isVisible(partner, { includeArchived: true })) {
+      throw new NotFoundError(`Parceiro com ${id} não encontrado`);
+    }
+    return partner;
+  }
+
+  /**
+   * Detalha um parceiro com o histórico de graus
+   *
+   * @param {string} id - ID do parceiro
+   * @returns {Promise<PartnerModel & {degreeHistory: object[]}>}
+   * @throws {NotFoundError} - Se o parceiro não existir ou estiver na lixeira
+   */
+  static async partnerDetails(id) {
+    const partner = await this.findById(id);
+    const degreeHistory = await DegreeHistoryService.historyOf(id);
+    return { ...partner, degreeHistory };
+  }
+
+  /**
+   * Registra a mudança de grau de um parceiro com a data efetiva e a cerimônia
+   * Mudanças que pulam graus ou retrocedem são aceitas, mas devolvem alertas
+   *
+   * @param {string} id - ID do parceiro
+   * @param {object} data - Dados da mudança
+   * @param {string} data.degree - Novo grau
+   * @param {string} [data.effectiveDate] - Data da cerimônia (YYYY-MM-DD)
+   * @param {string} [data.ceremony] - Cerimônia ou sessão em que ocorreu
+   * @param {{actor: string, ip: string}} [context] - Autor e IP registrados na auditoria
+   * @returns {Promise<{partner: PartnerModel, change: object, warnings: string[]}>}
+   * @throws {NotFoundError} - Se o parceiro não existir ou estiver na lixeira
+   * @throws {ValidationError} - Se o grau ou a data forem inválidos
+   */
+  static async changeDegree(id, { degree, effectiveDate, ceremony } = {}, context) {
+    const validDegree = Object.values(Degree);
+    if (!validDegree.includes(degree)) {
+      throw new ValidationError(
+        `O grau deve ser um dos seguintes: ${validDegree.join(", ")}.`
+      );
+    }
+
+    const partner = await this.findById(id);
+    if (partner.degree === degree) {
+      throw new ValidationError(`O parceiro já está no grau ${degree}.`);
+    }
+
+    const fromDegree = partner.degree;
+    const change = DegreeHistoryService.buildChange(
+      id,
+      { fromDegree, toDegree: degree, effectiveDate, ceremony },
+      context
+    );
+
+    await this.commitDegreeChange(id, { degree }, change);
+
+    const warnings = DegreeHistoryService.warnings(fromDegree, degree);
+    await AuditService.record(
+      {
+        action: "PARTNER_DEGREE_CHANGED",
+        entity: "partner",
+        entityId: id,
+        before: { degree: fromDegree },
+        after: { degree },
+        metadata: {
+          effectiveDate: change.effectiveDate,
+          ceremony: change.ceremony,
+          skippedDegrees: change.skippedDegrees,
+        },
+      },
+      context
+    );
+
+    partner.degree = degree;
+    outboundWebhookService.publish(
+      "partner.updated",
+      outboundWebhookService.partnerPayload(partner)
+    );
+    return { partner, change, warnings };
+  }
+
   static async partnersEvolution() {
     try {
       const currentDate = new Date();
@@ -543,6 +1118,8 @@ export class PartnerService {
 
       snapshot.docs.forEach((doc) => {
         const partner = new PartnerModel({ id: doc.id, ...doc.data() });
+        // Cadastros na lixeira não contam; os arquivados continuam no histórico
+        if (partner.deletedAt) return;
         // Conversão de Timestap para Date
         const createdAtDate = new Date(partner.createdAt);
         const year = createdAtDate.getFullYear();
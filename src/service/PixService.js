@@ -1,60 +1,74 @@
-import initializeEfi from "../config/efipay.js";
+import paymentProvider from "../config/paymentProvider.js";
 import { v4 as uuidv4 } from "uuid";
-import { ExternalError } from "../utils/Errors.js";
+import { ExternalError, ValidationError } from "../utils/Errors.js";
 
-// Desabilita a validação MTLS(Apenas em ambiente de desenvolvimento)
-initializeEfi["validateMtls"] = false;
+// Limites configuráveis para a expiração das cobranças, em segundos
+const expirationDefault = parseInt(process.env.PIX_EXPIRATION_SECONDS) || 3600;
+const expirationMin = parseInt(process.env.PIX_EXPIRATION_MIN_SECONDS) || 300;
+const expirationMax = parseInt(process.env.PIX_EXPIRATION_MAX_SECONDS) || 86400;
 
 // Gerencia as operaçoes relacionadas ao pix
 class PixService {
   constructor() {
-    this.efi = initializeEfi;
+    this.provider = paymentProvider;
   }
 
   /**
    * Cria uma nova cobrança imediata ( QR Code dinâmico)
    * @param {object} pixData - Dados necessários para a cobrança
    * @param {string} pixData.amount - Valor da cobrança
-   * @param {string} pixData.donorCPF - CPF do doador
+   * @param {string} [pixData.donorCPF] - CPF do doador
+   * @param {string} [pixData.donorCNPJ] - CNPJ do doador
    * @param {string} pixData.donorName - Nome do doador
+   *                  Sem CPF ou CNPJ a cobrança é gerada sem devedor (doação anônima)
+   * @param {number} [pixData.expiration] - Tempo de vida da cobrança em segundos
+   * @param {string} [pixData.description] - Mensagem exibida ao pagador
    * @returns {Promise<object>} - Detalhes esseciais da cobrança Pix
+   * @throws {ValidationError} - Se a expiração estiver fora dos limites configurados
    * @throws {ExternalError} - Lança um erro com os detalhes sobre a falha da comunicação com a API EFI
    */
   async createImmediatePixCharge(pixData) {
-    const { amount, donorCPF, donorName } = pixData;
+    const { amount, donorCPF, donorCNPJ, donorName, description } = pixData;
+    const expiration = this.resolveExpiration(pixData.expiration);
     // Gera o ID de transação único
     const uniqueTxId = uuidv4().replace(/-/g, "");
 
     // Prepara o corpo da requisição
     const pixBody = {
-      calendario: { expiracao: 3600 },
-      devedor: {
-        cpf: donorCPF,
-        nome: donorName,
-      },
+      calendario: { expiracao: expiration },
       valor: { original: parseFloat(amount).toFixed(2) },
       chave: process.env.GN_PIX_KEY,
-      solicitacaoPagador: `Doação Realizada por: ${donorName}`,
+      // A Efí limita a mensagem ao pagador a 140 caracteres
+      solicitacaoPagador: (
+        description || `Doação Realizada por: ${donorName}`
+      ).slice(0, 140),
     };
 
+    // O devedor é opcional na cobrança imediata
+    if (donorCPF) {
+      pixBody.devedor = { cpf: donorCPF, nome: donorName };
+    } else if (donorCNPJ) {
+      pixBody.devedor = { cnpj: donorCNPJ, nome: donorName };
+    }
+
     console.log(
       "[PixService] pixBody enviado para Efí:",
       JSON.stringify(pixBody, null, 2)
     );
     try {
-      // Chama o método da API EFI para criar a cobrança Pix
-      const chargeResponse = await this.efi.pixCreateCharge(
-        { txid: uniqueTxId },
+      // Chama o método do provedor de pagamento para criar a cobrança Pix
+      const chargeResponse = await this.provider.createCharge(
+        uniqueTxId,
         pixBody
       );
 
       // Extrai os dados esseciais da resposta da API
       const txId = chargeResponse.txid;
-      const locId = chargeResponse.loc || chargeResponse.loc.id;
+      const locId = chargeResponse.loc?.id;
       const qrCodeImage = chargeResponse.location;
       const copyPastePix = chargeResponse.pixCopiaECola;
-      const createdAt =
-        chargeResponse.calendario || chargeResponse.calendario.criacao;
+      const createdAt = chargeResponse.calendario?.criacao;
+      const expiresIn = chargeResponse.calendario?.expiracao || expiration;
 
       if (!txId || !locId || !qrCodeImage || !copyPastePix || !createdAt) {
         throw new ExternalError(
@@ -62,12 +76,18 @@ class PixService {
         );
       }
 
+      // Data limite para pagamento, calculada a partir da criação da cobrança
+      const expiresAt = new Date(
+        new Date(createdAt).getTime() + expiresIn * 1000
+      );
+
       return {
         txId,
         locId,
         qrCode: qrCodeImage,
         copyPaste: copyPastePix,
         createdAt,
+        expiresAt,
       };
     } catch (error) {
       throw new ExternalError(
@@ -78,6 +98,141 @@ class PixService {
     }
   }
 
+  /**
+   * Cria uma cobrança com vencimento (cobv), usada para as mensalidades
+   * @param {object} dueData - Dados necessários para a cobrança
+   * @param {number} dueData.amount - Valor original da cobrança
+   * @param {string} dueData.dueDate - Data de vencimento (YYYY-MM-DD)
+   * @param {string} dueData.donorCPF - CPF do devedor
+   * @param {string} dueData.donorName - Nome do devedor
+   * @param {number} [dueData.daysValidAfterDue=30] - Dias em que a cobrança pode ser paga após o vencimento
+   * @param {number} [dueData.fine] - Multa percentual aplicada após o vencimento
+   * @param {number} [dueData.interest] - Juros percentuais ao mês após o vencimento
+   * @param {object} [dueData.discount] - Desconto percentual para pagamento antecipado
+   * @param {number} dueData.discount.percent - Percentual de desconto
+   * @param {string} dueData.discount.untilDate - Data limite do desconto (YYYY-MM-DD)
+   * @param {string} [dueData.description] - Mensagem exibida ao pagador
+   * @param {string} [dueData.txId] - Id da transação; gerado aleatoriamente quando não informado
+   * @returns {Promise<object>} - Detalhes essenciais da cobrança com vencimento
+   * @throws {ExternalError} - Lança um erro com os detalhes sobre a falha da comunicação com a API EFI
+   */
+  async createDueCharge(dueData) {
+    const {
+      amount,
+      dueDate,
+      donorCPF,
+      donorName,
+      daysValidAfterDue = 30,
+      fine,
+      interest,
+      discount,
+      description,
+      txId: requestedTxId,
+    } = dueData;
+    const uniqueTxId = requestedTxId ?? uuidv4().replace(/-/g, "");
+
+    const valor = { original: parseFloat(amount).toFixed(2) };
+    if (fine) {
+      // Modalidade 2: multa percentual sobre o valor original
+      valor.multa = { modalidade: 2, valorPerc: parseFloat(fine).toFixed(2) };
+    }
+    if (interest) {
+      // Modalidade 3: juros percentuais ao mês, em dias corridos
+      valor.juros = { modalidade: 3, valorPerc: parseFloat(interest).toFixed(2) };
+    }
+    if (discount) {
+      // Modalidade 2: desconto percentual até a data informada
+      valor.desconto = {
+        modalidade: 2,
+        descontoDataFixa: [
+          {
+            data: discount.untilDate,
+            valorPerc: parseFloat(discount.percent).toFixed(2),
+          },
+        ],
+      };
+    }
+
+    const dueBody = {
+      calendario: {
+        dataDeVencimento: dueDate,
+        validadeAposVencimento: daysValidAfterDue,
+      },
+      devedor: {
+        cpf: donorCPF,
+        nome: donorName,
+      },
+      valor,
+      chave: process.env.GN_PIX_KEY,
+      solicitacaoPagador: description || `Mensalidade de ${donorName}`,
+    };
+
+    try {
+      // Chama o método do provedor de pagamento para criar a cobrança com vencimento
+      const chargeResponse = await this.provider.createDueCharge(
+        uniqueTxId,
+        dueBody
+      );
+
+      const txId = chargeResponse.txid;
+      const locId = chargeResponse.loc?.id;
+
+      if (!txId || !locId) {
+        throw new ExternalError(
+          "Falha ao obter dados da cobrança com vencimento. Resposta incompleta ou inesperada."
+        );
+      }
+
+      return {
+        txId,
+        locId,
+        qrCode: chargeResponse.location,
+        copyPaste: chargeResponse.pixCopiaECola ?? null,
+        status: chargeResponse.status,
+      };
+    } catch (error) {
+      throw this.toExternalError(error, "criar cobrança com vencimento");
+    }
+  }
+
+  /**
+   * Consulta uma cobrança com vencimento (cobv)
+   * @param {string} txId - Id da transação Pix
+   * @returns {Promise<object>} - Objeto contendo todos os detalhes da cobrança
+   * @throws {ExternalError} - Lança um erro com os detalhes sobre a falha da comunicação com a API EFI
+   */
+  async getDueChargeDetails(txId) {
+    try {
+      return await this.provider.detailDueCharge(txId);
+    } catch (error) {
+      throw this.toExternalError(error, "consultar cobrança com vencimento");
+    }
+  }
+
+  /**
+   * Valida a expiração solicitada, usando o padrão configurado quando ausente
+   * @param {number|string} [expiration] - Expiração solicitada em segundos
+   * @returns {number} - Expiração a ser enviada para a Efí
+   * @throws {ValidationError} - Se a expiração estiver fora dos limites configurados
+   */
+  resolveExpiration(expiration) {
+    if (expiration === undefined || expiration === null || expiration === "") {
+      return expirationDefault;
+    }
+
+    const seconds = Number(expiration);
+    if (
+      !Number.isInteger(seconds) ||
+      seconds < expirationMin ||
+      seconds > expirationMax
+    ) {
+      throw new ValidationError(
+        `A expiração deve ser um número inteiro de segundos entre ${expirationMin} e ${expirationMax}.`
+      );
+    }
+    return seconds;
+  }
+
   /**
    * @param {string} txId - Id da transação Pix
    * @returns {Promise<object>} - Objeto contendo todos os detalhes da cobrança
@@ -85,10 +240,8 @@ class PixService {
    */
   async getPixDetails(txId) {
     try {
-      // Chama o método da API EFI para detalhar uma cobrança Pix
-      const response = await this.efi.pixDetailCharge({
-        txid: txId,
-      });
+      // Chama o método do provedor de pagamento para detalhar uma cobrança Pix
+      const response = await this.provider.detailCharge(txId);
       return response; // Resosta da API
     } catch (error) {
       if (error.response && error.response.data) {
@@ -108,6 +261,101 @@ class PixService {
       );
     }
   }
+
+  /**
+   * Solicita a devolução total ou parcial de um Pix recebido
+   * @param {string} endToEndId - Identificador fim a fim do Pix recebido
+   * @param {string} refundId - Identificador único da devolução (gerado pela aplicação)
+   * @param {number} amount - Valor a ser devolvido
+   * @param {string} [description] - Motivo da devolução, exibido ao pagador
+   * @returns {Promise<object>} - Devolução registrada na Efí (id, rtrId, valor, status, horario)
+   * @throws {ExternalError} - Lança um erro com os detalhes sobre a falha da comunicação com a API EFI
+   */
+  async refundPix(endToEndId, refundId, amount, description) {
+    const refundBody = { valor: parseFloat(amount).toFixed(2) };
+    if (description) {
+      refundBody.descricao = description.slice(0, 140);
+    }
+
+    try {
+      // Chama o método do provedor de pagamento para solicitar a devolução
+      return await this.provider.refund(endToEndId, refundId, refundBody);
+    } catch (error) {
+      throw this.toExternalError(error, "solicitar devolução");
+    }
+  }
+
+  /**
+   * Lista os Pix recebidos em um período, página a página
+   * @param {Date} startDate - Início do período
+   * @param {Date} endDate - Fim do período
+   * @param {number} [page=0] - Página a ser consultada (a Efí começa em 0)
+   * @returns {Promise<{pix: object[], totalPages: number}>} - Pix recebidos na página e total de páginas
+   * @throws {ExternalError} - Lança um erro com os detalhes sobre a falha da comunicação com a API EFI
+   */
+  async listReceivedPix(startDate, endDate, page = 0) {
+    try {
+      // Chama o método do provedor de pagamento para listar os Pix recebidos
+      const response = await this.provider.listReceived({
+        inicio: startDate.toISOString(),
+        fim: endDate.toISOString(),
+        "paginacao.paginaAtual": page,
+      });
+      return {
+        pix: response.pix || [],
+        totalPages: response.parametros?.paginacao?.quantidadeDePaginas || 0,
+      };
+    } catch (error) {
+      throw this.toExternalError(error, "listar Pix recebidos");
+    }
+  }
+
+  /**
+   * Lista as cobranças imediatas criadas em um período, página a página
+   * @param {Date} startDate - Início do período
+   * @param {Date} endDate - Fim do período
+   * @param {number} [page=0] - Página a ser consultada (a Efí começa em 0)
+   * @returns {Promise<{charges: object[], totalPages: number}>} - Cobranças da página e total de páginas
+   * @throws {ExternalError} - Lança um erro com os detalhes sobre a falha da comunicação com a API EFI
+   */
+  async listCharges(startDate, endDate, page = 0) {
+    try {
+      // Chama o método do provedor de pagamento para listar as cobranças imediatas
+      const response = await this.provider.listCharges({
+        inicio: startDate.toISOString(),
+        fim: endDate.toISOString(),
+        "paginacao.paginaAtual": page,
+      });
+      return {
+        charges: response.cobs || [],
+        totalPages: response.parametros?.paginacao?.quantidadeDePaginas || 0,
+      };
+    } catch (error) {
+      throw this.toExternalError(error, "listar cobranças");
+    }
+  }
+
+  /**
+   * Converte um erro do SDK da Efí em ExternalError com a mensagem da API
+   * @param {Error} error - Erro lançado pelo SDK
+   * @param {string} action - Descrição da operação que falhou
+   * @returns {ExternalError}
+   */
+  toExternalError(error, action) {
+    if (error.response && error.response.data) {
+      const apiError = error.response.data;
+      const errorName =
+        apiError.nome || apiError.name || "Erro desconhecido da API";
+      const errorDetail =
+        apiError.mensagem || apiError.message || JSON.stringify(apiError);
+      return new ExternalError(
+        `Erro API Efí ao ${action}: ${errorName} - ${errorDetail} (Status: ${error.response.status})`
+      );
+    }
+    return new ExternalError(
+      `Erro inesperado ao ${action}: ${error.message || "Erro desconhecido"}`
+    );
+  }
 }
 
 export default new PixService();
\ No newline at end of file
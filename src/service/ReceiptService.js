@@ -0,0 +1,198 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import ReceiptModel from "../models/Receipt.js";
+import DonationService from "./DonationService.js";
+import { amountInWords } from "../utils/AmountInWords.js";
+
+// Dados da entidade impressos nos recibos
+export const organization = {
+  name: process.env.ORG_NAME || "Doare",
+  cnpj: process.env.ORG_CNPJ || "",
+  address: process.env.ORG_ADDRESS || "",
+};
+
+/**
+ * @class ReceiptService
+ * @description Emite recibos numerados para doações pagas e confere a
+ * autenticidade dos recibos pelo número e código de verificação
+ */
+export class ReceiptService {
+  /**
+   * Emite o recibo de uma doação paga, ou retorna o já emitido
+   * O doador comprova a autoria informando o CPF ou CNPJ usado na doação
+   *
+   * @param {string} txId - Id da transação Pix da doação
+   * @param {string} document - CPF ou CNPJ do doador
+   * @returns {Promise<object>} - Recibo com o valor por extenso e os dados da entidade
+   * @throws {ValidationError} - Se os dados forem inválidos ou a doação não puder receber recibo
+   * @throws {NotFoundError} - Se a doação não existir ou o documento não corresponder
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar o recibo
+   */
+  static async issueReceipt(txId, document) {
+    if (!txId || !document) {
+      throw new ValidationError("O txId e o CPF do doador são obrigatórios!");
+    }
+
+    const donation = await DonationService.findByTxId(txId);
+    const cleanedDocument = String(document).replace(/\D/g, "");
+
+    // A mesma resposta evita revelar quais txIds existem
+    if (
+      !donation ||
+      ![donation.donorCPF, donation.donorCNPJ].includes(cleanedDocument)
+    ) {
+      throw new NotFoundError("Doação não encontrada para o CPF informado");
+    }
+
+    if (
+      !DonationService.isPaidStatus(donation.status) ||
+      donation.status === "DEVOLVIDA"
+    ) {
+      throw new ValidationError(
+        `Não é possível emitir recibo para uma doação com status ${donation.status}.`
+      );
+    }
+
+    const receiptRef = db.collection("receipts").doc(donation.txId);
+    const year = (donation.paidAt || new Date()).getFullYear();
+    const counterRef = db.collection("counters").doc(`receipts-${year}`);
+
+    let receipt;
+    try {
+      // Numeração sequencial por ano, gravada junto com o recibo
+      receipt = await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(receiptRef);
+        if (existing.exists) {
+          return new ReceiptModel({ id: existing.id, ...existing.data() });
+        }
+
+        const counter = await transaction.get(counterRef);
+        const sequence = (counter.exists ? counter.data().value : 0) + 1;
+        const number = `${year}-${String(sequence).padStart(6, "0")}`;
+        const amount = parseFloat(donation.netAmount().toFixed(2));
+
+        const newReceipt = new ReceiptModel({
+          id: donation.txId,
+          number,
+          txId: donation.txId,
+          donationId: donation.id,
+          donorName: donation.donorName,
+          donorDocument: cleanedDocument,
+          amount,
+          paidAt: donation.paidAt,
+          endToEndId: donation.endToEndId,
+          campaignTitle: donation.campaignTitle,
+          verificationCode: this.verificationCode(number, donation.txId, amount),
+          issuedAt: new Date(),
+        });
+
+        transaction.set(counterRef, { value: sequence });
+        transaction.create(receiptRef, newReceipt.toFirestore());
+        return newReceipt;
+      });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao emitir recibo: ${error}`);
+    }
+
+    return {
+      ...receipt,
+      amountInWords: amountInWords(receipt.amount),
+      organization,
+    };
+  }
+
+  /**
+   * Confere se um número de recibo foi emitido pela entidade
+   * Os números são sequenciais; por isso os dados do recibo só são devolvidos
+   * com o código de verificação correto, e um número inexistente responde
+   * da mesma forma que um código errado
+   *
+   * @param {string} number - Número do recibo (AAAA-NNNNNN)
+   * @param {string} code - Código de verificação impresso no recibo
+   * @returns {Promise<object>} - { valid: false } ou o resultado com os dados públicos do recibo
+   * @throws {ValidationError} - Se o código não for informado
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async verifyReceipt(number, code) {
+    if (typeof code !== "string" || !code.trim()) {
+      throw new ValidationError("Informe o código de verificação impresso no recibo.");
+    }
+
+    let receipt;
+    try {
+      const snapshot = await db
+        .collection("receipts")
+        .where("number", "==", number)
+        .limit(1)
+        .get();
+      if (!snapshot.empty) {
+        const doc = snapshot.docs[0];
+        receipt = new ReceiptModel({ id: doc.id, ...doc.data() });
+      }
+    } catch (error) {
+      throw new DatabaseError(`Erro ao verificar recibo: ${error}`);
+    }
+
+    const expected = receipt
+      ? this.verificationCode(receipt.number, receipt.txId, receipt.amount)
+      : "";
+    const provided = Buffer.from(code.trim().toUpperCase());
+    const codeMatches =
+      provided.length === Buffer.byteLength(expected) &&
+      crypto.timingSafeEqual(provided, Buffer.from(expected));
+    if (!codeMatches) {
+      return { valid: false };
+    }
+
+    // Recibos de doações devolvidas integralmente deixam de ser válidos
+    const donation = await DonationService.findByTxId(receipt.txId);
+    const refunded = donation?.status === "DEVOLVIDA";
+
+    return {
+      valid: !refunded,
+      refunded,
+      number: receipt.number,
+      donorName: receipt.donorName,
+      donorDocument: this.maskDocument(receipt.donorDocument),
+      amount: receipt.amount,
+      paidAt: receipt.paidAt,
+      issuedAt: receipt.issuedAt,
+      organization: organization.name,
+    };
+  }
+
+  /**
+   * Calcula o código de verificação do recibo
+   * Sem o segredo não é possível forjar um código válido para outro número ou valor
+   *
+   * @param {string} number - Número do recibo
+   * @param {string} txId - Id da transação Pix
+   * @param {number} amount - Valor do recibo
+   * @returns {string} - Código no formato XXXX-XXXX-XXXX
+   */
+  static verificationCode(number, txId, amount) {
+    const secret = process.env.RECEIPT_SECRET || process.env.JWT_SECRET;
+    const digest = crypto
+      .createHmac("sha256", secret)
+      .update(`${number}:${txId}:${parseFloat(amount).toFixed(2)}`)
+      .digest("hex")
+      .slice(0, 12)
+      .toUpperCase();
+    return digest.match(/.{4}/g).join("-");
+  }
+
+  // Mantém visíveis apenas os dígitos centrais do documento
+  static maskDocument(document) {
+    if (!document) return null;
+    if (document.length === 11) {
+      return `***.${document.slice(3, 6)}.${document.slice(6, 9)}-**`;
+    }
+    return `**.${document.slice(2, 5)}.${document.slice(5, 8)}/****-**`;
+  }
+}
@@ -0,0 +1,372 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import ReconciliationModel from "../models/Reconciliation.js";
+import pixService from "./PixService.js";
+import DonationService from "./DonationService.js";
+import { DuesService } from "./DuesService.js";
+import { logger } from "../utils/Logger.js";
+import { NotificationService } from "./NotificationService.js";
+
+const intervalMinutes =
+  parseInt(process.env.RECONCILIATION_INTERVAL_MINUTES) || 60;
+const windowHours = parseInt(process.env.RECONCILIATION_WINDOW_HOURS) || 24;
+
+/**
+ * @class ReconciliationService
+ * @description Confere os Pix recebidos e as cobranças da Efí com as doações
+ * armazenadas, corrigindo registros ausentes ou desatualizados caso uma
+ * notificação de webhook tenha sido perdida
+ */
+class ReconciliationService {
+  constructor() {
+    this.donationService = new DonationService();
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a execução periódica da conciliação
+   * O intervalo e a janela de tempo conferida são definidos por
+   * RECONCILIATION_INTERVAL_MINUTES e RECONCILIATION_WINDOW_HOURS,
+   * e o agendamento pode ser desligado com RECONCILIATION_ENABLED=false
+   */
+  startScheduler() {
+    if (this.timer || process.env.RECONCILIATION_ENABLED === "false") return;
+
+    this.timer = setInterval(() => {
+      const endDate = new Date();
+      const startDate = new Date(endDate.getTime() - windowHours * 3600 * 1000);
+
+      this.runReconciliation({ startDate, endDate, trigger: "AGENDADA" }).catch(
+        (error) => logger.error("[Conciliação] Falha na execução agendada", error)
+      );
+    }, intervalMinutes * 60 * 1000);
+
+    logger.info(
+      `[Conciliação] Agendada a cada ${intervalMinutes} minuto(s), janela de ${windowHours} hora(s).`
+    );
+  }
+
+  /**
+   * Cria o relatório de uma nova conciliação e a executa em segundo plano
+   *
+   * @param {object} data - Parâmetros da execução
+   * @param {string} data.startDate - Data inicial (YYYY-MM-DD ou ISO 8601)
+   * @param {string} data.endDate - Data final (YYYY-MM-DD ou ISO 8601)
+   * @param {string} [data.triggeredBy] - Login de quem solicitou a execução
+   * @returns {Promise<ReconciliationModel>} - Relatório criado com status EM_ANDAMENTO
+   * @throws {ValidationError} - Se as datas forem inválidas ou já houver uma conciliação em andamento
+   */
+  async startManualRun({ startDate, endDate, triggeredBy }) {
+    const end = endDate ? new Date(endDate) : new Date();
+    const start = startDate
+      ? new Date(startDate)
+      : new Date(end.getTime() - windowHours * 3600 * 1000);
+
+    if (isNaN(start.getTime()) || isNaN(end.getTime()) || start > end) {
+      throw new ValidationError("Data Inválida!");
+    }
+
+    // A Efí limita as consultas de listagem a um intervalo de 5 dias
+    if (end.getTime() - start.getTime() > 5 * 24 * 3600 * 1000) {
+      throw new ValidationError(
+        "O período da conciliação não pode ser maior que 5 dias."
+      );
+    }
+
+    if (this.running) {
+      throw new ValidationError("Já existe uma conciliação em andamento.");
+    }
+
+    const report = await this.createReport(start, end, "MANUAL", triggeredBy);
+
+    this.execute(report).catch((error) =>
+      logger.error(`[Conciliação ${report.id}] Falha na execução`, error)
+    );
+
+    return report;
+  }
+
+  /**
+   * Executa uma conciliação completa e aguarda o resultado
+   *
+   * @param {object} data - Parâmetros da execução
+   * @param {Date} data.startDate - Início da janela conferida
+   * @param {Date} data.endDate - Fim da janela conferida
+   * @param {string} data.trigger - Origem da execução (AGENDADA ou MANUAL)
+   * @returns {Promise<ReconciliationModel | null>} - Relatório final ou null se outra execução estiver em andamento
+   */
+  async runReconciliation({ startDate, endDate, trigger }) {
+    if (this.running) {
+      logger.warn("[Conciliação] Execução ignorada: outra já está em andamento.");
+      return null;
+    }
+
+    const report = await this.createReport(startDate, endDate, trigger, null);
+    return this.execute(report);
+  }
+
+  /**
+   * Cria o documento do relatório de conciliação e marca a execução como em andamento
+   */
+  async createReport(startDate, endDate, trigger, triggeredBy) {
+    // Reserva a execução antes de qualquer operação assíncrona
+    this.running = true;
+
+    const report = new ReconciliationModel({
+      startDate,
+      endDate,
+      trigger,
+      triggeredBy,
+      status: "EM_ANDAMENTO",
+      startedAt: new Date(),
+    });
+
+    try {
+      await report.save();
+    } catch (error) {
+      this.running = false;
+      throw error;
+    }
+    return report;
+  }
+
+  /**
+   * Percorre os Pix recebidos e as cobranças da janela, reprocessando cada
+   * txId divergente pela mesma lógica do webhook e gravando o relatório
+   *
+   * @param {ReconciliationModel} report - Relatório da execução
+   * @returns {Promise<ReconciliationModel>} - Relatório concluído
+   */
+  async execute(report) {
+    const checkedTxIds = new Set();
+
+    try {
+      // Pix efetivamente recebidos: a doação deve existir e estar PAGA
+      let page = 0;
+      let totalPages = 1;
+      while (page < totalPages) {
+        const result = await pixService.listReceivedPix(
+          report.startDate,
+          report.endDate,
+          page
+        );
+        totalPages = result.totalPages;
+
+        for (const pix of result.pix) {
+          if (!pix.txid || checkedTxIds.has(pix.txid)) continue;
+          checkedTxIds.add(pix.txid);
+          report.summary.receivedChecked++;
+          await this.reconcileTxId(report, pix, "PAGA");
+        }
+        page++;
+      }
+
+      // Cobranças da janela: o status armazenado deve refletir o da Efí
+      page = 0;
+      totalPages = 1;
+      while (page < totalPages) {
+        const result = await pixService.listCharges(
+          report.startDate,
+          report.endDate,
+          page
+        );
+        totalPages = result.totalPages;
+
+        for (const charge of result.charges) {
+          if (!charge.txid || checkedTxIds.has(charge.txid)) continue;
+          checkedTxIds.add(charge.txid);
+          report.summary.chargesChecked++;
+          const expectedStatus = DonationService.toDonationStatus(
+            charge.status
+          );
+          await this.reconcileTxId(
+            report,
+            { txid: charge.txid, endToEndId: charge.pix?.[0]?.endToEndId },
+            expectedStatus
+          );
+        }
+        page++;
+      }
+
+      report.status = "CONCLUIDA";
+    } catch (error) {
+      report.status = "FALHOU";
+      report.error = error.message;
+      logger.error(`[Conciliação ${report.id}] Execução interrompida`, error);
+    } finally {
+      this.running = false;
+    }
+
+    report.finishedAt = new Date();
+    await report.save();
+
+    logger.info(
+      `[Conciliação ${report.id}] ${report.status}: ${report.summary.created} criada(s), ${report.summary.updated} atualizada(s), ${report.summary.failed} falha(s).`
+    );
+
+    if (report.status === "FALHOU" || report.summary.failed > 0) {
+      await NotificationService.notify("RECONCILIATION_FAILED", report);
+    }
+
+    return report;
+  }
+
+  /**
+   * Confere uma transação e a reprocessa quando a doação estiver ausente
+   * ou com status diferente do esperado
+   *
+   * @param {ReconciliationModel} report - Relatório da execução
+   * @param {object} pixPayload - Payload no formato do webhook (txid, endToEndId, horario)
+   * @param {string} expectedStatus - Status esperado para a doação
+   */
+  async reconcileTxId(report, pixPayload, expectedStatus) {
+    const txId = pixPayload.txid;
+
+    try {
+      // Pix recebidos de mensalidades são conferidos com a coleção de mensalidades
+      const due = await DuesService.findByTxId(txId);
+      if (due) {
+        if (due.status === "PAGA") {
+          report.summary.unchanged++;
+          return;
+        }
+        const updatedDue = await DuesService.handleDuePayment(pixPayload);
+        if (updatedDue.status !== due.status) {
+          report.summary.updated++;
+          report.discrepancies.push({
+            txId,
+            action: "MENSALIDADE_ATUALIZADA",
+            previousStatus: due.status,
+            newStatus: updatedDue.status,
+          });
+        } else {
+          report.summary.unchanged++;
+        }
+        return;
+      }
+
+      const existing = await DonationService.findByTxId(txId);
+      const isSettled =
+        existing &&
+        (existing.status === expectedStatus ||
+          (expectedStatus === "PAGA" &&
+            DonationService.isPaidStatus(existing.status)) ||
+          (expectedStatus === "AGUARDANDO_PAGAMENTO" &&
+            existing.status === "EXPIRADA"));
+      if (isSettled) {
+        report.summary.unchanged++;
+        return;
+      }
+
+      // Cobranças pendentes sem registro local não geram doação
+      if (!existing && expectedStatus !== "PAGA") {
+        report.summary.unchanged++;
+        return;
+      }
+
+      const donation = await this.donationService.handlePixWebhook(pixPayload);
+
+      if (!existing && donation) {
+        report.summary.created++;
+        report.discrepancies.push({
+          txId,
+          action: "CRIADA",
+          previousStatus: null,
+          newStatus: donation.status,
+        });
+      } else if (donation && donation.status !== existing.status) {
+        report.summary.updated++;
+        report.discrepancies.push({
+          txId,
+          action: "ATUALIZADA",
+          previousStatus: existing.status,
+          newStatus: donation.status,
+        });
+      } else {
+        report.summary.unchanged++;
+      }
+    } catch (error) {
+      report.summary.failed++;
+      report.discrepancies.push({
+        txId,
+        action: "FALHA",
+        error: error.message,
+      });
+    }
+  }
+
+  /**
+   * Lista os relatórios de conciliação mais recentes com paginação
+   *
+   * @param {number} [page=1] - Número da página
+   * @param {number} [limit=15] - Quantidade de relatórios por página
+   * @returns {Promise<{reconciliations: ReconciliationModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async allReports(page = 1, limit = 15) {
+    const offset = (Math.max(1, page) - 1) * limit;
+    const docRef = db.collection("reconciliations");
+
+    try {
+      const countSnapshot = await docRef.count().get();
+      const totalResults = countSnapshot.data().count;
+
+      const snapshot = await docRef
+        .orderBy("startedAt", "desc")
+        .limit(limit)
+        .offset(offset)
+        .get();
+
+      // A lista não inclui as divergências, disponíveis no detalhe do relatório
+      const reconciliations = snapshot.docs.map((doc) => {
+        const { discrepancies, ...report } = new ReconciliationModel({
+          id: doc.id,
+          ...doc.data(),
+        });
+        return report;
+      });
+
+      return {
+        reconciliations: reconciliations,
+        currentPage: page,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults: totalResults,
+        limit: limit,
+      };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar conciliações: ${error}`);
+    }
+  }
+
+  /**
+   * Busca um relatório de conciliação pelo ID
+   *
+   * @param {string} id - ID do relatório
+   * @returns {Promise<ReconciliationModel>} - Relatório completo com as divergências
+   * @throws {NotFoundError} - Se o relatório não existir
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async findReportById(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("reconciliations").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar conciliação: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Conciliação com ${id} não encontrada`);
+    }
+
+    return new ReconciliationModel({ id: docSnap.id, ...docSnap.data() });
+  }
+}
+
+const reconciliationService = new ReconciliationService();
+export default reconciliationService;
@@ -0,0 +1,492 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import RecurrenceModel from "../models/Recurrence.js";
+import DonationModel from "../models/Donation.js";
+import pixService from "./PixService.js";
+import { PartnerService } from "./PartnerService.js";
+import { logger } from "../utils/Logger.js";
+import DonorType from "../utils/DonorTypes.js";
+
+const intervalMinutes =
+  parseInt(process.env.RECURRENCE_INTERVAL_MINUTES) || 60;
+// Dias que o doador tem para pagar cada cobrança recorrente após o vencimento
+const daysValidAfterDue =
+  parseInt(process.env.RECURRENCE_DAYS_VALID_AFTER_DUE) || 10;
+
+// Quantidade de meses entre cada cobrança
+const Periodicity = {
+  MENSAL: 1,
+  TRIMESTRAL: 3,
+  SEMESTRAL: 6,
+  ANUAL: 12,
+};
+
+/**
+ * @class RecurrenceService
+ * @description Gerencia as doações recorrentes: cadastro, emissão das cobranças
+ * na data prevista e alteração do status pelos administradores.
+ * O SDK da Efí ainda não expõe os endpoints do Pix Automático, então cada ciclo
+ * é cobrado com uma cobrança com vencimento (cobv) vinculada à recorrência.
+ */
+class RecurrenceService {
+  constructor() {
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia a emissão periódica das cobranças recorrentes
+   * O intervalo é definido por RECURRENCE_INTERVAL_MINUTES
+   */
+  startScheduler() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.issueScheduledCharges().catch((error) =>
+        logger.error("[Recorrência] Falha na emissão agendada", error)
+      );
+    }, intervalMinutes * 60 * 1000);
+
+    logger.info(
+      `[Recorrência] Emissão agendada a cada ${intervalMinutes} minuto(s).`
+    );
+  }
+
+  /**
+   * Cadastra uma nova doação recorrente
+   *
+   * @param {object} data - Dados fornecidos pelo doador
+   * @param {string} data.donorCPF - CPF do doador
+   * @param {number} data.amount - Valor de cada doação
+   * @param {string} data.periodicity - Periodicidade (MENSAL, TRIMESTRAL, SEMESTRAL ou ANUAL)
+   * @param {string} data.startDate - Data da primeira cobrança (YYYY-MM-DD)
+   * @param {string} [data.endDate] - Data limite para novas cobranças (YYYY-MM-DD)
+   * @returns {Promise<RecurrenceModel>} - Recorrência criada
+   * @throws {ValidationError} - Se os dados forem inválidos
+   * @throws {NotFoundError} - Se o CPF não estiver cadastrado
+   */
+  async createRecurrence(data) {
+    const { donorCPF, amount, periodicity, startDate, endDate } = data;
+
+    if (!donorCPF || !amount || !periodicity || !startDate) {
+      throw new ValidationError("Todos os campos são obrigatórios!");
+    }
+
+    if (parseFloat(amount) <= 0) {
+      throw new ValidationError("O valor da doação deve ser maior que 0.");
+    }
+
+    if (!Periodicity[periodicity]) {
+      throw new ValidationError(
+        `A periodicidade deve ser uma das seguintes: ${Object.keys(
+          Periodicity
+        ).join(", ")}.`
+      );
+    }
+
+    const today = new Date().toISOString().slice(0, 10);
+    if (!this.isValidDate(startDate) || startDate < today) {
+      throw new ValidationError(
+        "Data de início inválida. Use YYYY-MM-DD a partir de hoje."
+      );
+    }
+
+    if (endDate && (!this.isValidDate(endDate) || endDate < startDate)) {
+      throw new ValidationError(
+        "Data de término inválida. Deve ser posterior à data de início."
+      );
+    }
+
+    const cleanedCPF = donorCPF.replace(/\D/g, "");
+    if (cleanedCPF.length !== 11) {
+      throw new ValidationError("CPF Inválido!");
+    }
+
+    const existsPartner = await PartnerService.findByExactCPF(cleanedCPF);
+    if (!existsPartner) {
+      throw new NotFoundError("CPF não cadastrado");
+    }
+
+    const recurrence = new RecurrenceModel({
+      partnerId: existsPartner.id,
+      donorCPF: cleanedCPF,
+      donorName: existsPartner.name,
+      donorCIM: existsPartner.cim,
+      amount: parseFloat(amount),
+      periodicity,
+      startDate,
+      endDate,
+      nextChargeDate: startDate,
+      status: "ATIVA",
+    });
+
+    await recurrence.save();
+    return recurrence;
+  }
+
+  /**
+   * Emite as cobranças das recorrências ativas com data prevista até hoje
+   *
+   * @returns {Promise<{issued: number, finished: number, failed: number}>} - Resumo da emissão
+   */
+  async issueScheduledCharges() {
+    const summary = { issued: 0, finished: 0, failed: 0 };
+    if (this.running) return summary;
+
+    this.running = true;
+    try {
+      const today = new Date().toISOString().slice(0, 10);
+      const snapshot = await db
+        .collection("recurrences")
+        .where("status", "==", "ATIVA")
+        .get();
+
+      const dueRecurrences = snapshot.docs
+        .map((doc) => new RecurrenceModel({ id: doc.id, ...doc.data() }))
+        .filter((recurrence) => recurrence.nextChargeDate <= today);
+
+      for (const recurrence of dueRecurrences) {
+        try {
+          if (recurrence.endDate && recurrence.nextChargeDate > recurrence.endDate) {
+            recurrence.status = "ENCERRADA";
+            await recurrence.save();
+            summary.finished++;
+            continue;
+          }
+
+          if (await this.issueCharge(recurrence)) summary.issued++;
+        } catch (error) {
+          logger.error(
+            `[Recorrência ${recurrence.id}] Erro ao emitir cobrança`,
+            error
+          );
+          summary.failed++;
+        }
+      }
+    } finally {
+      this.running = false;
+    }
+
+    if (summary.issued || summary.finished || summary.failed) {
+      logger.info(
+        `[Recorrência] ${summary.issued} cobrança(s) emitida(s), ${summary.finished} encerrada(s), ${summary.failed} falha(s).`
+      );
+    }
+    return summary;
+  }
+
+  /**
+   * Emite a cobrança do ciclo atual, registra a doação pendente vinculada
+   * à recorrência e agenda o próximo ciclo
+   * O txId é derivado da recorrência e do ciclo, então uma emissão interrompida
+   * reaproveita a mesma cobrança; a doação e o avanço do ciclo são gravados
+   * juntos em uma transação, que descarta o ciclo já registrado por outro processo
+   *
+   * @param {RecurrenceModel} recurrence - Recorrência a ser cobrada
+   * @returns {Promise<DonationModel | null>} - Doação pendente criada, ou null se o ciclo já havia sido registrado
+   * @throws {ExternalError} - Se houver falha na comunicação com o serviço Pix
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar a doação e o ciclo
+   */
+  async issueCharge(recurrence) {
+    const cycleDate = recurrence.nextChargeDate;
+    const txId = this.cycleTxId(recurrence.id, cycleDate);
+    const charge = await this.createCycleCharge(txId, recurrence);
+
+    // A cobrança com vencimento pode ser paga até o fim da validade
+    const expiresAt = new Date(`${cycleDate}T23:59:59.999Z`);
+    expiresAt.setUTCDate(expiresAt.getUTCDate() + daysValidAfterDue);
+
+    const donation = new DonationModel({
+      id: txId,
+      donorType: DonorType.PARTNER,
+      donorCPF: recurrence.donorCPF,
+      donorName: recurrence.donorName,
+      donorCIM: recurrence.donorCIM,
+      partnerId: recurrence.partnerId,
+      recurrenceId: recurrence.id,
+      chargeType: "cobv",
+      amount: recurrence.amount,
+      txId: charge.txId,
+      locId: charge.locId,
+      qrCode: charge.qrCode,
+      copyPaste: charge.copyPaste,
+      status: "AGUARDANDO_PAGAMENTO",
+      expiresAt,
+    });
+
+    const nextChargeDate = this.nextDate(cycleDate, recurrence);
+    const status =
+      recurrence.endDate && nextChargeDate > recurrence.endDate
+        ? "ENCERRADA"
+        : recurrence.status;
+
+    const recurrenceRef = db.collection("recurrences").doc(recurrence.id);
+    let recorded;
+    try {
+      recorded = await db.runTransaction(async (transaction) => {
+        const current = await transaction.get(recurrenceRef);
+        if (current.data()?.nextChargeDate !== cycleDate) return false;
+
+        transaction.set(db.collection("donations").doc(txId), donation.toFirestore());
+        transaction.update(recurrenceRef, {
+          nextChargeDate,
+          status,
+          chargesIssued: admin.firestore.FieldValue.increment(1),
+          lastChargeTxId: charge.txId,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        return true;
+      });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao registrar cobrança da recorrência: ${error}`);
+    }
+
+    if (!recorded) return null;
+
+    recurrence.chargesIssued++;
+    recurrence.lastChargeTxId = charge.txId;
+    recurrence.nextChargeDate = nextChargeDate;
+    recurrence.status = status;
+    return donation;
+  }
+
+  /**
+   * Id da transação da cobrança de um ciclo: sempre o mesmo para a recorrência e a data
+   * A Efí aceita de 26 a 35 caracteres alfanuméricos
+   *
+   * @param {string} recurrenceId - ID da recorrência
+   * @param {string} cycleDate - Data do ciclo (YYYY-MM-DD)
+   * @returns {string}
+   */
+  cycleTxId(recurrenceId, cycleDate) {
+    return crypto
+      .createHash("sha256")
+      .update(`recorrencia:${recurrenceId}:${cycleDate}`)
+      .digest("hex")
+      .slice(0, 32);
+  }
+
+  /**
+   * Cria a cobrança do ciclo ou, se ela já existir de uma emissão interrompida, a reaproveita
+   *
+   * @param {string} txId - Id da transação do ciclo
+   * @param {RecurrenceModel} recurrence - Recorrência a ser cobrada
+   * @returns {Promise<object>} - Detalhes essenciais da cobrança com vencimento
+   * @throws {ExternalError} - Se a cobrança não puder ser criada nem consultada
+   */
+  async createCycleCharge(txId, recurrence) {
+    try {
+      return await pixService.createDueCharge({
+        txId,
+        amount: recurrence.amount,
+        dueDate: recurrence.nextChargeDate,
+        donorCPF: recurrence.donorCPF,
+        donorName: recurrence.donorName,
+        daysValidAfterDue,
+        description: `Doação recorrente de ${recurrence.donorName}`,
+      });
+    } catch (error) {
+      const existing = await pixService.getDueChargeDetails(txId).catch(() => null);
+      if (!existing?.txid) throw error;
+
+      return {
+        txId: existing.txid,
+        locId: existing.loc?.id,
+        qrCode: existing.location,
+        copyPaste: existing.pixCopiaECola ?? null,
+        status: existing.status,
+      };
+    }
+  }
+
+  /**
+   * Calcula a próxima data de cobrança, mantendo o dia da data de início quando possível
+   *
+   * @param {string} date - Data atual (YYYY-MM-DD)
+   * @param {RecurrenceModel} recurrence - Recorrência com a periodicidade e a data de início
+   * @returns {string} - Próxima data (YYYY-MM-DD)
+   */
+  nextDate(date, recurrence) {
+    const [year, month] = date.split("-").map(Number);
+    const day = Number(recurrence.startDate.slice(8, 10));
+    const periodicity = recurrence.periodicity;
+    const target = new Date(Date.UTC(year, month - 1 + Periodicity[periodicity], 1));
+    // Meses mais curtos usam o último dia disponível
+    const lastDay = new Date(
+      Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)
+    ).getUTCDate();
+    target.setUTCDate(Math.min(day, lastDay));
+    return target.toISOString().slice(0, 10);
+  }
+
+  isValidDate(date) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(date) && !isNaN(new Date(date).getTime());
+  }
+
+  /**
+   * Lista as recorrências com paginação
+   *
+   * @param {number} [page=1] - Número da página
+   * @param {number} [limit=15] - Quantidade de recorrências por página
+   * @param {string} [status] - Filtra pelo status da recorrência
+   * @returns {Promise<{recurrences: RecurrenceModel[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async allRecurrences(page = 1, limit = 15, status) {
+    const offset = (Math.max(1, page) - 1) * limit;
+
+    try {
+      let query = db.collection("recurrences");
+      if (status) {
+        query = query.where("status", "==", status);
+      }
+
+      const snapshot = await query.get();
+      const recurrences = snapshot.docs
+        .map((doc) => new RecurrenceModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+
+      const totalResults = recurrences.length;
+
+      return {
+        recurrences: recurrences.slice(offset, offset + limit),
+        currentPage: page,
+        totalPages: Math.ceil(totalResults / limit),
+        totalResults: totalResults,
+        limit: limit,
+      };
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar recorrências: ${error}`);
+    }
+  }
+
+  /**
+   * Dados que o doador precisa para pagar uma cobrança recorrente,
+   * sem os dados pessoais do parceiro
+   *
+   * @param {DonationModel} donation - Doação pendente vinculada à recorrência
+   * @returns {{txId: string, amount: number, status: string, expiresAt: Date, qrCode: string, copyPaste: string}}
+   */
+  paymentInfo(donation) {
+    return {
+      txId: donation.txId,
+      amount: donation.amount,
+      status: donation.status,
+      expiresAt: donation.expiresAt,
+      qrCode: donation.qrCode,
+      copyPaste: donation.copyPaste,
+    };
+  }
+
+  /**
+   * Lista as cobranças emitidas para uma recorrência, da mais recente à mais antiga
+   *
+   * @param {string} id - ID da recorrência
+   * @returns {Promise<object[]>} - QR Code e Pix Copia e Cola de cada cobrança
+   * @throws {NotFoundError} - Se a recorrência não existir
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async chargesOf(id) {
+    const docSnap = await db.collection("recurrences").doc(id).get();
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Recorrência com ${id} não encontrada`);
+    }
+
+    try {
+      const snapshot = await db
+        .collection("donations")
+        .where("recurrenceId", "==", id)
+        .get();
+
+      return snapshot.docs
+        .map((doc) => new DonationModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0))
+        .map((donation) => this.paymentInfo(donation));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar cobranças da recorrência: ${error}`);
+    }
+  }
+
+  /**
+   * Busca uma cobrança recorrente pelo txId, para o doador efetuar o pagamento
+   * O txId é aleatório e enviado apenas ao doador
+   *
+   * @param {string} txId - Id da transação Pix
+   * @returns {Promise<object>} - QR Code e Pix Copia e Cola da cobrança
+   * @throws {NotFoundError} - Se não houver cobrança recorrente com o txId
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async findCharge(txId) {
+    let snapshot;
+    try {
+      snapshot = await db
+        .collection("donations")
+        .where("txId", "==", txId)
+        .limit(1)
+        .get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar cobrança recorrente: ${error}`);
+    }
+
+    const donation = snapshot.empty
+      ? null
+      : new DonationModel({ id: snapshot.docs[0].id, ...snapshot.docs[0].data() });
+    if (!donation?.recurrenceId) {
+      throw new NotFoundError(`Cobrança ${txId} não encontrada`);
+    }
+    return this.paymentInfo(donation);
+  }
+
+  /**
+   * Altera o status de uma recorrência
+   * Recorrências canceladas ou encerradas não podem ser alteradas
+   *
+   * @param {string} id - ID da recorrência
+   * @param {string} status - Novo status (ATIVA, PAUSADA ou CANCELADA)
+   * @returns {Promise<RecurrenceModel>} - Recorrência atualizada
+   * @throws {NotFoundError} - Se a recorrência não existir
+   * @throws {ValidationError} - Se a transição de status não for permitida
+   */
+  async changeStatus(id, status) {
+    const docSnap = await db.collection("recurrences").doc(id).get();
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Recorrência com ${id} não encontrada`);
+    }
+
+    const recurrence = new RecurrenceModel({ id: docSnap.id, ...docSnap.data() });
+
+    if (["CANCELADA", "ENCERRADA"].includes(recurrence.status)) {
+      throw new ValidationError(
+        `Não é possível alterar uma recorrência ${recurrence.status.toLowerCase()}.`
+      );
+    }
+
+    if (recurrence.status === status) {
+      throw new ValidationError(`A recorrência já está ${status.toLowerCase()}.`);
+    }
+
+    // Ao retomar, ciclos que venceram durante a pausa não são cobrados
+    if (status === "ATIVA") {
+      const today = new Date().toISOString().slice(0, 10);
+      while (recurrence.nextChargeDate < today) {
+        recurrence.nextChargeDate = this.nextDate(
+          recurrence.nextChargeDate,
+          recurrence
+        );
+      }
+    }
+
+    recurrence.status = status;
+    await recurrence.save();
+    return recurrence;
+  }
+}
+
+const recurrenceService = new RecurrenceService();
+export default recurrenceService;
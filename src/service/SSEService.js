@@ -59,6 +59,27 @@ class SSEService {
       }
     });
   }
+
+  notifyChargeExpired(donations) {
+    donations.forEach((donation) => {
+      const client = this.clients.get(donation.txId);
+
+      if (client) {
+        const eventData = {
+          type: "expired",
+          donation: {
+            txid: donation.txId,
+            valor: donation.amount,
+            expiracao: donation.expiresAt,
+            status: donation.status,
+          },
+        };
+
+        client.res.write("event: expired\n");
+        client.res.write(`data: ${JSON.stringify(eventData)}\n\n`);
+      }
+    });
+  }
 }
 
 const sseService = new SSEService();
@@ -0,0 +1,283 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import { DatabaseError, NotFoundError } from "../utils/Errors.js";
+import SessionModel from "../models/Session.js";
+import { generateToken } from "../middleware/auth.js";
+import { UserService } from "./UserService.js";
+import { logger } from "../utils/Logger.js";
+
+export const refreshTokenTtlDays =
+  parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 7;
+// Quantidade de tokens trocados guardados para detectar reutilização
+const maxRotatedHashes = 50;
+
+// Situação das sessões consultada a cada requisição autenticada, guardada por
+// pouco tempo para não ler o banco em todas elas
+const sessionCacheSeconds = parseInt(process.env.SESSION_CACHE_SECONDS) || 30;
+const maxCachedSessions = 5000;
+const sessionCache = new Map();
+
+/**
+ * @class SessionService
+ * @description Controla as sessões do painel. Cada login cria uma sessão com um
+ * refresh token de uso único, guardado apenas como hash; a cada renovação o token
+ * é trocado e o access token de curta duração é reemitido. A apresentação de um
+ * token já trocado indica vazamento e revoga a sessão inteira.
+ */
+export class SessionService {
+  static hash(value) {
+    return crypto.createHash("sha256").update(value).digest("hex");
+  }
+
+  /**
+   * Gera o refresh token no formato <id da sessão>.<segredo>
+   */
+  static newRefreshToken(sessionId) {
+    return `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+  }
+
+  static issueAccessToken(session) {
+    return generateToken({
+      id: session.userId,
+      login: session.login,
+      role: session.role,
+      sid: session.id,
+    });
+  }
+
+  /**
+   * Abre uma sessão para o usuário autenticado
+   *
+   * @param {{id: string, login: string, role: string}} user - Usuário autenticado
+   * @param {object} client - Dados da requisição
+   * @param {string} [client.userAgent] - User-Agent do navegador
+   * @param {string} [client.ip] - IP de origem
+   * @returns {Promise<{accessToken: string, refreshToken: string, session: SessionModel}>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao gravar a sessão
+   */
+  static async createSession(user, { userAgent, ip } = {}) {
+    const now = new Date();
+    const session = new SessionModel({
+      id: db.collection("sessions").doc().id,
+      userId: user.id,
+      login: user.login,
+      role: user.role,
+      userAgent,
+      ip,
+      createdAt: now,
+      lastUsedAt: now,
+      expiresAt: new Date(now.getTime() + refreshTokenTtlDays * 24 * 60 * 60 * 1000),
+    });
+
+    const refreshToken = this.newRefreshToken(session.id);
+    session.refreshTokenHash = this.hash(refreshToken);
+    await session.save();
+
+    return {
+      accessToken: this.issueAccessToken(session),
+      refreshToken,
+      session,
+    };
+  }
+
+  /**
+   * Troca um refresh token válido por um novo par de tokens
+   *
+   * @param {string} refreshToken - Refresh token apresentado
+   * @param {object} client - Dados da requisição (userAgent, ip)
+   * @returns {Promise<{accessToken: string, refreshToken: string, session: SessionModel} | null>} - Novos tokens ou null se o token for inválido
+   * @throws {DatabaseError} - Se ocorrer um erro ao acessar o banco de dados
+   */
+  static async refresh(refreshToken, { userAgent, ip } = {}) {
+    const session = await this.findByToken(refreshToken);
+    if (!session || !session.isActive()) return null;
+
+    const tokenHash = this.hash(refreshToken);
+    if (tokenHash !== session.refreshTokenHash) {
+      if (session.rotatedTokenHashes.includes(tokenHash)) {
+        logger.warn(
+          `[Sessão ${session.id}] Refresh token reutilizado por ${ip}; sessão revogada.`
+        );
+        await this.revoke(session, "REUTILIZACAO_DE_TOKEN");
+      }
+      return null;
+    }
+
+    // O administrador do ambiente só vale enquanto não houver usuários cadastrados
+    if (session.userId === "env-admin" && !(await UserService.isEmpty())) {
+      await this.revoke(session, "ADMINISTRADOR_SUBSTITUIDO");
+      return null;
+    }
+
+    // O perfil é relido a cada renovação; usuários desativados perdem a sessão
+    if (session.userId !== "env-admin") {
+      let user;
+      try {
+        user = await UserService.findById(session.userId);
+      } catch (error) {
+        if (!(error instanceof NotFoundError)) throw error;
+      }
+      if (!user || !user.active) {
+        await this.revoke(session, "USUARIO_DESATIVADO");
+        return null;
+      }
+      session.login = user.login;
+      session.role = user.role;
+    }
+
+    const newRefreshToken = this.newRefreshToken(session.id);
+    session.rotatedTokenHashes = [
+      ...session.rotatedTokenHashes,
+      session.refreshTokenHash,
+    ].slice(-maxRotatedHashes);
+    session.refreshTokenHash = this.hash(newRefreshToken);
+    session.lastUsedAt = new Date();
+    session.userAgent = userAgent ?? session.userAgent;
+    session.ip = ip ?? session.ip;
+    await session.save();
+
+    return {
+      accessToken: this.issueAccessToken(session),
+      refreshToken: newRefreshToken,
+      session,
+    };
+  }
+
+  /**
+   * Busca a sessão indicada no refresh token
+   *
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<SessionModel | null>}
+   */
+  static async findByToken(refreshToken) {
+    const sessionId = refreshToken?.split(".")[0];
+    return sessionId ? this.findById(sessionId) : null;
+  }
+
+  /**
+   * Busca uma sessão pelo ID
+   *
+   * @param {string} id - ID da sessão
+   * @returns {Promise<SessionModel | null>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async findById(id) {
+    try {
+      const docSnap = await db.collection("sessions").doc(id).get();
+      if (!docSnap.exists) return null;
+      return new SessionModel({ id: docSnap.id, ...docSnap.data() });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar sessão: ${error}`);
+    }
+  }
+
+  /**
+   * Indica se a sessão de um access token continua ativa
+   * A revogação vale de imediato neste servidor e em até SESSION_CACHE_SECONDS nos demais
+   *
+   * @param {string} id - ID da sessão (campo sid do access token)
+   * @returns {Promise<boolean>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async isSessionActive(id) {
+    const now = Date.now();
+    const cached = sessionCache.get(id);
+    if (cached && cached.expiresAt > now) return cached.active;
+
+    const session = await this.findById(id);
+    const active = Boolean(session?.isActive());
+
+    if (sessionCache.size >= maxCachedSessions) {
+      for (const [key, entry] of sessionCache) {
+        if (entry.expiresAt <= now) sessionCache.delete(key);
+      }
+      if (sessionCache.size >= maxCachedSessions) sessionCache.clear();
+    }
+    sessionCache.set(id, { active, expiresAt: now + sessionCacheSeconds * 1000 });
+
+    return active;
+  }
+
+  static async revoke(session, reason) {
+    if (session.revokedAt) return;
+    session.revokedAt = new Date();
+    session.revokedReason = reason;
+    await session.save();
+    sessionCache.delete(session.id);
+  }
+
+  /**
+   * Encerra a sessão do refresh token informado (logout)
+   *
+   * @param {string} refreshToken - Refresh token da sessão
+   * @returns {Promise<SessionModel | null>} - Sessão encerrada, ou null se o token for inválido
+   */
+  static async logout(refreshToken) {
+    const session = await this.findByToken(refreshToken);
+    if (!session || session.refreshTokenHash !== this.hash(refreshToken)) {
+      return null;
+    }
+
+    await this.revoke(session, "LOGOUT");
+    return session;
+  }
+
+  /**
+   * Revoga uma sessão pelo ID
+   *
+   * @param {string} id - ID da sessão
+   * @param {string} [reason="REVOGADA_PELO_ADMIN"] - Motivo registrado
+   * @returns {Promise<object>} - Sessão revogada, sem os hashes
+   * @throws {NotFoundError} - Se a sessão não existir
+   */
+  static async revokeSession(id, reason = "REVOGADA_PELO_ADMIN") {
+    const session = await this.findById(id);
+    if (!session) {
+      throw new NotFoundError(`Sessão com ${id} não encontrada`);
+    }
+
+    await this.revoke(session, reason);
+    return session.toPublic();
+  }
+
+  /**
+   * Revoga todas as sessões ativas de um usuário
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} reason - Motivo registrado
+   * @returns {Promise<number>} - Quantidade de sessões revogadas
+   * @throws {DatabaseError} - Se ocorrer um erro ao acessar o banco de dados
+   */
+  static async revokeUserSessions(userId, reason) {
+    const sessions = await this.activeSessions(userId);
+    for (const session of sessions) {
+      await this.revoke(session, reason);
+    }
+    return sessions.length;
+  }
+
+  /**
+   * Lista as sessões ativas, da mais recente à mais antiga
+   * As sessões vencidas são descartadas em memória para evitar índices compostos
+   *
+   * @param {string} [userId] - Filtra pelo usuário
+   * @returns {Promise<SessionModel[]>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async activeSessions(userId) {
+    try {
+      let query = db.collection("sessions").where("revokedAt", "==", null);
+      if (userId) query = query.where("userId", "==", userId);
+
+      const snapshot = await query.get();
+      const now = new Date();
+      return snapshot.docs
+        .map((doc) => new SessionModel({ id: doc.id, ...doc.data() }))
+        .filter((session) => session.isActive(now))
+        .sort((a, b) => (b.lastUsedAt || 0) - (a.lastUsedAt || 0));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar sessões: ${error}`);
+    }
+  }
+}
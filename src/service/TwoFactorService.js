@@ -0,0 +1,235 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import { ValidationError, DatabaseError } from "../utils/Errors.js";
+import SecuritySettingsModel from "../models/SecuritySettings.js";
+import { UserService } from "./UserService.js";
+import Role from "../utils/Roles.js";
+import {
+  generateSecret,
+  provisioningUri,
+  verifyCode,
+} from "../utils/Totp.js";
+
+const issuer = process.env.TOTP_ISSUER || process.env.ORG_NAME || "Doare";
+const recoveryCodeCount = 10;
+
+/**
+ * @class TwoFactorService
+ * @description Verificação em duas etapas por TOTP: cadastro do autenticador,
+ * conferência dos códigos no login e códigos de recuperação de uso único,
+ * guardados apenas como hash. Os perfis que exigem a verificação são definidos
+ * pelos administradores no documento settings/security.
+ */
+export class TwoFactorService {
+  /**
+   * Busca a configuração de segurança
+   *
+   * @returns {Promise<SecuritySettingsModel>}
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async getSettings() {
+    try {
+      const docSnap = await db.collection("settings").doc("security").get();
+      return new SecuritySettingsModel(docSnap.exists ? docSnap.data() : {});
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar configurações de segurança: ${error}`);
+    }
+  }
+
+  /**
+   * Define os perfis que exigem a verificação em duas etapas
+   *
+   * @param {string[]} roles - Perfis (admin, tesoureiro, secretario, auditor)
+   * @param {string} [updatedBy] - Login de quem alterou
+   * @returns {Promise<SecuritySettingsModel>} - Configuração atualizada
+   * @throws {ValidationError} - Se algum perfil for inválido
+   */
+  static async updateSettings(roles, updatedBy) {
+    const validRoles = Object.values(Role);
+    if (!Array.isArray(roles) || roles.some((role) => !validRoles.includes(role))) {
+      throw new ValidationError(`Os perfis devem ser: ${validRoles.join(", ")}`);
+    }
+
+    const settings = await this.getSettings();
+    settings.twoFactorRequiredRoles = [...new Set(roles)];
+    settings.updatedBy = updatedBy ?? null;
+    await settings.save();
+    return settings;
+  }
+
+  /**
+   * Indica se o perfil exige a verificação em duas etapas
+   *
+   * @param {string} role - Perfil do usuário
+   * @returns {Promise<boolean>}
+   */
+  static async isRequired(role) {
+    const settings = await this.getSettings();
+    return settings.twoFactorRequiredRoles.includes(role);
+  }
+
+  static hashRecoveryCode(code) {
+    const normalized = String(code).replace(/[\s-]/g, "").toUpperCase();
+    return crypto.createHash("sha256").update(normalized).digest("hex");
+  }
+
+  /**
+   * Gera os códigos de recuperação no formato XXXXX-XXXXX
+   *
+   * @returns {{codes: string[], hashes: string[]}} - Códigos exibidos uma única vez e seus hashes
+   */
+  static generateRecoveryCodes() {
+    const codes = Array.from({ length: recoveryCodeCount }, () => {
+      const value = crypto.randomBytes(5).toString("hex").toUpperCase();
+      return `${value.slice(0, 5)}-${value.slice(5)}`;
+    });
+    return { codes, hashes: codes.map((code) => this.hashRecoveryCode(code)) };
+  }
+
+  /**
+   * Inicia o cadastro do autenticador, gerando um novo segredo pendente
+   *
+   * @param {string} userId - ID do usuário
+   * @returns {Promise<{secret: string, otpauthUri: string}>} - Segredo e URI para o QR Code
+   * @throws {NotFoundError} - Se o usuário não existir
+   * @throws {ValidationError} - Se a verificação já estiver ativa
+   */
+  static async startEnrollment(userId) {
+    const user = await UserService.findById(userId);
+    if (user.twoFactorEnabled) {
+      throw new ValidationError("A verificação em duas etapas já está ativa.");
+    }
+
+    user.twoFactorPendingSecret = generateSecret();
+    await user.save();
+
+    return {
+      secret: user.twoFactorPendingSecret,
+      otpauthUri: provisioningUri(user.twoFactorPendingSecret, user.login, issuer),
+    };
+  }
+
+  /**
+   * Confirma o cadastro com um código do autenticador e ativa a verificação
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} code - Código de 6 dígitos
+   * @returns {Promise<{recoveryCodes: string[]}>} - Códigos de recuperação, exibidos apenas nesta resposta
+   * @throws {ValidationError} - Se não houver cadastro iniciado ou o código for inválido
+   */
+  static async confirmEnrollment(userId, code) {
+    const user = await UserService.findById(userId);
+    if (!user.twoFactorPendingSecret) {
+      throw new ValidationError("Inicie o cadastro do autenticador antes de confirmar.");
+    }
+
+    const step = verifyCode(user.twoFactorPendingSecret, code);
+    if (step === null) {
+      throw new ValidationError("Código de verificação inválido.");
+    }
+
+    const { codes, hashes } = this.generateRecoveryCodes();
+    user.twoFactorEnabled = true;
+    user.twoFactorSecret = user.twoFactorPendingSecret;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = step;
+    user.recoveryCodeHashes = hashes;
+    await user.save();
+
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Confere o código do login: um código TOTP ou um código de recuperação
+   * Códigos de recuperação usados são descartados
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} code - Código informado
+   * @returns {Promise<boolean>} - true se o código for válido
+   */
+  static async verifyLogin(userId, code) {
+    const user = await UserService.findById(userId);
+    if (!user.twoFactorEnabled || !code) return false;
+
+    const step = verifyCode(user.twoFactorSecret, code);
+    if (step !== null) {
+      // O mesmo código não pode ser usado duas vezes
+      if (user.twoFactorLastStep !== null && step <= user.twoFactorLastStep) {
+        return false;
+      }
+      user.twoFactorLastStep = step;
+      await user.save();
+      return true;
+    }
+
+    const codeHash = this.hashRecoveryCode(code);
+    if (!user.recoveryCodeHashes.includes(codeHash)) return false;
+
+    user.recoveryCodeHashes = user.recoveryCodeHashes.filter(
+      (hash) => hash !== codeHash
+    );
+    await user.save();
+    return true;
+  }
+
+  /**
+   * Gera novos códigos de recuperação, invalidando os anteriores
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} code - Código atual do autenticador
+   * @returns {Promise<{recoveryCodes: string[]}>}
+   * @throws {ValidationError} - Se a verificação não estiver ativa ou o código for inválido
+   */
+  static async regenerateRecoveryCodes(userId, code) {
+    if (!(await this.verifyLogin(userId, code))) {
+      throw new ValidationError("Código de verificação inválido.");
+    }
+
+    const user = await UserService.findById(userId);
+    const { codes, hashes } = this.generateRecoveryCodes();
+    user.recoveryCodeHashes = hashes;
+    await user.save();
+
+    return { recoveryCodes: codes };
+  }
+
+  /**
+   * Desativa a verificação do próprio usuário, mediante um código válido
+   *
+   * @param {string} userId - ID do usuário
+   * @param {string} code - Código do autenticador ou de recuperação
+   * @throws {ValidationError} - Se o perfil exigir a verificação ou o código for inválido
+   */
+  static async disable(userId, code) {
+    const user = await UserService.findById(userId);
+    if (await this.isRequired(user.role)) {
+      throw new ValidationError(
+        "A verificação em duas etapas é obrigatória para o seu perfil."
+      );
+    }
+
+    if (!(await this.verifyLogin(userId, code))) {
+      throw new ValidationError("Código de verificação inválido.");
+    }
+
+    await this.reset(userId);
+  }
+
+  /**
+   * Remove o autenticador de um usuário (ex.: aparelho perdido)
+   * Se o perfil exigir a verificação, um novo cadastro é pedido no próximo login
+   *
+   * @param {string} userId - ID do usuário
+   * @throws {NotFoundError} - Se o usuário não existir
+   */
+  static async reset(userId) {
+    const user = await UserService.findById(userId);
+    user.twoFactorEnabled = false;
+    user.twoFactorSecret = null;
+    user.twoFactorPendingSecret = null;
+    user.twoFactorLastStep = null;
+    user.recoveryCodeHashes = [];
+    await user.save();
+  }
+}
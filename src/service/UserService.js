@@ -0,0 +1,321 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import bcrypt from "bcrypt";
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import UserModel from "../models/User.js";
+import Role from "../utils/Roles.js";
+import { SessionService } from "./SessionService.js";
+
+const saltRounds = 12;
+const minPasswordLength = 8;
+const loginPattern = /^[a-zA-Z0-9._-]{3,50}$/;
+const emailPattern = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * @class UserService
+ * @description Gerencia as contas de acesso ao painel administrativo e seus perfis.
+ * Enquanto a coleção users estiver vazia, o login definido em ADMIN_LOGIN e
+ * ADMIN_PASSWORD_HASH continua aceito como administrador, para o primeiro acesso.
+ */
+export class UserService {
+  /**
+   * Confere as credenciais informadas no login
+   *
+   * @param {string} login - Login do usuário
+   * @param {string} password - Senha informada
+   * @returns {Promise<{id: string, login: string, name: string, role: string, twoFactorEnabled: boolean} | null>} - Usuário autenticado ou null se as credenciais forem inválidas
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async authenticate(login, password) {
+    const user = await this.findByLogin(login);
+
+    if (!user) {
+      if (!(await this.isEmpty()) || login !== process.env.ADMIN_LOGIN) {
+        return null;
+      }
+      const isValidPassword = await bcrypt.compare(
+        password,
+        process.env.ADMIN_PASSWORD_HASH
+      );
+      return isValidPassword
+        ? {
+            id: "env-admin",
+            login,
+            name: login,
+            role: Role.ADMIN,
+            twoFactorEnabled: false,
+          }
+        : null;
+    }
+
+    if (!user.active) return null;
+
+    const isValidPassword = await bcrypt.compare(password, user.passwordHash);
+    if (!isValidPassword) return null;
+
+    return {
+      id: user.id,
+      login: user.login,
+      name: user.name,
+      role: user.role,
+      twoFactorEnabled: user.twoFactorEnabled,
+    };
+  }
+
+  static async isEmpty() {
+    try {
+      const snapshot = await db.collection("users").limit(1).get();
+      return snapshot.empty;
+    } catch (error) {
+      throw new DatabaseError(`Erro ao consultar usuários: ${error}`);
+    }
+  }
+
+  /**
+   * Cadastra um novo usuário
+   *
+   * @param {object} data - Dados do usuário
+   * @param {string} data.login - Login único
+   * @param {string} data.name - Nome do usuário
+   * @param {string} data.password - Senha com ao menos 8 caracteres
+   * @param {string} data.role - Perfil (admin, tesoureiro, secretario ou auditor)
+   * @param {string} [data.email] - E-mail do usuário
+   * @param {string} [createdBy] - Login de quem cadastrou
+   * @returns {Promise<object>} - Usuário criado, sem o hash da senha
+   * @throws {ValidationError} - Se os dados forem inválidos ou o login já existir
+   */
+  static async createUser({ login, name, password, role, email }, createdBy) {
+    if (!login || !name || !password || !role) {
+      throw new ValidationError("Todos os campos são obrigatórios!");
+    }
+
+    if (!loginPattern.test(login)) {
+      throw new ValidationError(
+        "Login inválido: use de 3 a 50 letras, números, ponto, hífen ou sublinhado."
+      );
+    }
+
+    this.validateRole(role);
+    this.validatePassword(password);
+    this.validateEmail(email);
+
+    const existingUser = await this.findByLogin(login);
+    if (existingUser) {
+      throw new ValidationError("Já existe um usuário com este login!");
+    }
+
+    // O primeiro cadastro substitui o administrador definido no ambiente
+    const firstUser = await this.isEmpty();
+    if (role !== Role.ADMIN && firstUser) {
+      throw new ValidationError(
+        "O primeiro usuário cadastrado deve ser um administrador."
+      );
+    }
+
+    const user = new UserModel({
+      login,
+      name,
+      email,
+      role,
+      passwordHash: await bcrypt.hash(password, saltRounds),
+      active: true,
+      createdBy,
+    });
+    await user.save();
+
+    // As sessões abertas com o administrador do ambiente deixam de valer
+    if (firstUser) {
+      await SessionService.revokeUserSessions("env-admin", "ADMINISTRADOR_SUBSTITUIDO");
+    }
+
+    return user.toPublic();
+  }
+
+  /**
+   * Altera os dados, o perfil, a situação ou a senha de um usuário
+   *
+   * @param {string} id - ID do usuário
+   * @param {object} updates - Campos a serem alterados (name, email, role, active, password)
+   * @returns {Promise<object>} - Usuário atualizado, sem o hash da senha
+   * @throws {NotFoundError} - Se o usuário não existir
+   * @throws {ValidationError} - Se algum campo for inválido ou a alteração deixar o sistema sem administradores
+   */
+  static async updateUser(id, { name, email, role, active, password }) {
+    const user = await this.findById(id);
+    const wasActiveAdmin = user.role === Role.ADMIN && user.active;
+    const previousRole = user.role;
+
+    if (name !== undefined) {
+      if (!name) throw new ValidationError("O nome não pode ser vazio.");
+      user.name = name;
+    }
+    if (email !== undefined) {
+      this.validateEmail(email);
+      user.email = email || null;
+    }
+    if (role !== undefined) {
+      this.validateRole(role);
+      user.role = role;
+    }
+    if (active !== undefined) {
+      if (typeof active !== "boolean") {
+        throw new ValidationError("O campo active deve ser verdadeiro ou falso.");
+      }
+      user.active = active;
+    }
+    if (password !== undefined) {
+      this.validatePassword(password);
+      user.passwordHash = await bcrypt.hash(password, saltRounds);
+    }
+
+    if (wasActiveAdmin && (user.role !== Role.ADMIN || !user.active)) {
+      await this.ensureAnotherAdmin(id);
+    }
+
+    await user.save();
+
+    // Desativação, troca de senha ou de perfil encerram as sessões abertas,
+    // para que o perfil anterior não continue valendo nos tokens emitidos
+    if (active === false || password !== undefined || user.role !== previousRole) {
+      await SessionService.revokeUserSessions(id, "USUARIO_ALTERADO");
+    }
+
+    return user.toPublic();
+  }
+
+  /**
+   * Remove um usuário
+   *
+   * @param {string} id - ID do usuário
+   * @param {string} [requestedBy] - ID de quem solicitou a remoção
+   * @throws {NotFoundError} - Se o usuário não existir
+   * @throws {ValidationError} - Se o usuário tentar remover a si mesmo ou o último administrador
+   */
+  static async deleteUser(id, requestedBy) {
+    if (id === requestedBy) {
+      throw new ValidationError("Não é possível remover o próprio usuário.");
+    }
+
+    const user = await this.findById(id);
+    if (user.role === Role.ADMIN) {
+      await this.ensureAnotherAdmin(id);
+    }
+
+    try {
+      await db.collection("users").doc(id).delete();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao remover usuário: ${error}`);
+    }
+
+    await SessionService.revokeUserSessions(id, "USUARIO_REMOVIDO");
+  }
+
+  /**
+   * Garante que reste ao menos um administrador ativo além do usuário informado
+   *
+   * @param {string} id - ID do usuário que deixará de ser administrador
+   * @throws {ValidationError} - Se não houver outro administrador ativo
+   */
+  static async ensureAnotherAdmin(id) {
+    let snapshot;
+    try {
+      snapshot = await db.collection("users").where("role", "==", Role.ADMIN).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao consultar administradores: ${error}`);
+    }
+
+    const otherAdmins = snapshot.docs.filter(
+      (doc) => doc.id !== id && doc.data().active !== false
+    );
+    if (otherAdmins.length === 0) {
+      throw new ValidationError("O sistema deve manter ao menos um administrador ativo.");
+    }
+  }
+
+  static validateRole(role) {
+    const validRoles = Object.values(Role);
+    if (!validRoles.includes(role)) {
+      throw new ValidationError(`O perfil deve ser: ${validRoles.join(", ")}`);
+    }
+  }
+
+  static validatePassword(password) {
+    if (typeof password !== "string" || password.length < minPasswordLength) {
+      throw new ValidationError(
+        `A senha deve ter ao menos ${minPasswordLength} caracteres.`
+      );
+    }
+  }
+
+  static validateEmail(email) {
+    if (email && !emailPattern.test(email)) {
+      throw new ValidationError("E-mail inválido.");
+    }
+  }
+
+  /**
+   * Lista os usuários cadastrados, ordenados pelo login
+   *
+   * @returns {Promise<object[]>} - Usuários sem o hash da senha
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  static async allUsers() {
+    try {
+      const snapshot = await db.collection("users").get();
+      return snapshot.docs
+        .map((doc) => new UserModel({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => a.login.localeCompare(b.login))
+        .map((user) => user.toPublic());
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar usuários: ${error}`);
+    }
+  }
+
+  /**
+   * Busca um usuário pelo ID
+   *
+   * @param {string} id - ID do usuário
+   * @returns {Promise<UserModel>}
+   * @throws {NotFoundError} - Se o usuário não existir
+   */
+  static async findById(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("users").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar usuário: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Usuário com ${id} não encontrado`);
+    }
+
+    return new UserModel({ id: docSnap.id, ...docSnap.data() });
+  }
+
+  /**
+   * Busca um usuário pelo login exato
+   *
+   * @param {string} login - Login do usuário
+   * @returns {Promise<UserModel | null>}
+   */
+  static async findByLogin(login) {
+    try {
+      const snapshot = await db
+        .collection("users")
+        .where("login", "==", login)
+        .limit(1)
+        .get();
+
+      if (snapshot.empty) return null;
+      const doc = snapshot.docs[0];
+      return new UserModel({ id: doc.id, ...doc.data() });
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar usuário: ${error}`);
+    }
+  }
+}
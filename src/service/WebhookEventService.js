@@ -0,0 +1,349 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import { Timestamp } from "firebase-admin/firestore";
+import {
+  ValidationError,
+  DatabaseError,
+  NotFoundError,
+} from "../utils/Errors.js";
+import WebhookEventModel from "../models/WebhookEvent.js";
+import DonationService from "./DonationService.js";
+import { DuesService } from "./DuesService.js";
+import sseService from "./SSEService.js";
+import { logger } from "../utils/Logger.js";
+
+const maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const baseDelaySeconds = parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const retryIntervalSeconds =
+  parseInt(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS) || 60;
+// Eventos em processamento há mais tempo que isso são considerados abandonados
+// (ex.: o servidor reiniciou no meio do processamento) e voltam a ser processados
+const processingLeaseSeconds =
+  parseInt(process.env.WEBHOOK_PROCESSING_LEASE_SECONDS) || 300;
+
+const eventStatuses = ["PENDENTE", "PROCESSANDO", "PROCESSADO", "FALHOU", "IGNORADO"];
+
+/**
+ * @class WebhookEventService
+ * @description Caixa de entrada durável das notificações Pix. Cada payload é
+ * gravado na coleção webhook_events antes do processamento, e as falhas são
+ * reprocessadas com espera exponencial até o limite de tentativas.
+ */
+class WebhookEventService {
+  constructor() {
+    this.donationService = new DonationService();
+    this.running = false;
+    this.timer = null;
+  }
+
+  /**
+   * Inicia o reprocessamento periódico dos eventos pendentes
+   * O intervalo é definido por WEBHOOK_RETRY_INTERVAL_SECONDS
+   */
+  startScheduler() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.retryPendingEvents().catch((error) =>
+        logger.error("[Webhook Inbox] Falha no reprocessamento agendado", error)
+      );
+    }, retryIntervalSeconds * 1000);
+
+    logger.info(
+      `[Webhook Inbox] Reprocessamento agendado a cada ${retryIntervalSeconds} segundo(s).`
+    );
+  }
+
+  /**
+   * Grava cada notificação recebida e a processa em seguida
+   *
+   * @param {object} body - Corpo completo da notificação
+   * @returns {Promise<{received: number, processed: number, pending: number}>} - Resumo do recebimento
+   * @throws {DatabaseError} - Se não for possível gravar os eventos
+   */
+  async receive(body) {
+    const pixNotificationData = body?.pix;
+
+    if (!Array.isArray(pixNotificationData) || pixNotificationData.length === 0) {
+      // O payload é guardado mesmo sem dados válidos, para auditoria
+      const event = new WebhookEventModel({
+        payload: body ?? null,
+        status: "IGNORADO",
+        lastError: "Nenhum dado de notificação PIX válido no payload.",
+        receivedAt: new Date(),
+      });
+      await event.save();
+      return { received: 0, processed: 0, pending: 0 };
+    }
+
+    // Todos os eventos são gravados antes de qualquer processamento
+    const events = [];
+    for (const pixPayload of pixNotificationData) {
+      const event = new WebhookEventModel({
+        txId: pixPayload?.txid,
+        payload: pixPayload,
+        status: pixPayload?.txid ? "PENDENTE" : "IGNORADO",
+        lastError: pixPayload?.txid ? null : "Payload PIX recebido sem txId.",
+        nextAttemptAt: new Date(),
+        receivedAt: new Date(),
+      });
+      await event.save();
+      events.push(event);
+    }
+
+    const summary = { received: events.length, processed: 0, pending: 0 };
+    for (const event of events) {
+      if (event.status !== "PENDENTE") continue;
+
+      await this.processEvent(event);
+      if (event.status === "PROCESSADO") {
+        summary.processed++;
+      } else {
+        summary.pending++;
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Processa um evento, registrando a tentativa e agendando a próxima em caso de falha
+   *
+   * @param {WebhookEventModel} event - Evento a ser processado
+   * @returns {Promise<WebhookEventModel>} - Evento com o resultado da tentativa
+   */
+  async processEvent(event) {
+    event.attempts++;
+    event.status = "PROCESSANDO";
+    event.attemptStartedAt = new Date();
+    await event.save();
+
+    try {
+      await this.dispatch(event.payload);
+
+      event.status = "PROCESSADO";
+      event.lastError = null;
+      event.nextAttemptAt = null;
+      event.processedAt = new Date();
+    } catch (error) {
+      logger.error(
+        `[Webhook Pix - TxId ${event.txId}] Erro ao processar (tentativa ${event.attempts})`,
+        error
+      );
+      event.lastError = error.message;
+
+      if (event.attempts >= maxAttempts) {
+        event.status = "FALHOU";
+        event.nextAttemptAt = null;
+      } else {
+        // Espera exponencial: base, 2x base, 4x base...
+        const delaySeconds = baseDelaySeconds * 2 ** (event.attempts - 1);
+        event.status = "PENDENTE";
+        event.nextAttemptAt = new Date(Date.now() + delaySeconds * 1000);
+      }
+    }
+
+    await event.save();
+    return event;
+  }
+
+  /**
+   * Encaminha a notificação para a mensalidade ou a doação correspondente
+   * e avisa o doador que aguarda pelo SSE
+   *
+   * @param {object} pixPayload - Notificação Pix de uma transação
+   */
+  async dispatch(pixPayload) {
+    // Pagamentos de mensalidades (cobv) não passam pelo fluxo de doações
+    const due = await DuesService.handleDuePayment(pixPayload);
+    if (due) return;
+
+    const donation = await this.donationService.handlePixWebhook(pixPayload);
+
+    if (donation && donation.status === "PAGA") {
+      sseService.notifyDonationPaid([
+        {
+          txid: donation.txId,
+          valor: donation.amount,
+          pagador: donation.donorName,
+          horario: donation.createdAt,
+          status: donation.status,
+        },
+      ]);
+    }
+  }
+
+  /**
+   * Reprocessa os eventos pendentes cuja próxima tentativa já venceu e os
+   * que ficaram presos em processamento além de WEBHOOK_PROCESSING_LEASE_SECONDS
+   *
+   * @returns {Promise<{retried: number, processed: number}>} - Resumo do reprocessamento
+   */
+  async retryPendingEvents() {
+    const summary = { retried: 0, processed: 0 };
+    if (this.running) return summary;
+
+    this.running = true;
+    try {
+      const snapshot = await db
+        .collection("webhook_events")
+        .where("status", "in", ["PENDENTE", "PROCESSANDO"])
+        .get();
+
+      const now = new Date();
+      const leaseExpiredBefore = new Date(now.getTime() - processingLeaseSeconds * 1000);
+      const dueEvents = snapshot.docs
+        .map((doc) => new WebhookEventModel({ id: doc.id, ...doc.data() }))
+        .filter((event) =>
+          event.status === "PROCESSANDO"
+            ? (event.attemptStartedAt ?? event.receivedAt) <= leaseExpiredBefore
+            : !event.nextAttemptAt || event.nextAttemptAt <= now
+        );
+
+      for (const event of dueEvents) {
+        await this.processEvent(event);
+        summary.retried++;
+        if (event.status === "PROCESSADO") summary.processed++;
+      }
+    } finally {
+      this.running = false;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Monta a consulta de eventos a partir dos filtros informados
+   * Os filtros de data são aplicados em memória para evitar índices compostos
+   *
+   * @param {object} filters - Filtros (status, txId, startDate, endDate)
+   * @returns {Promise<WebhookEventModel[]>} - Eventos encontrados, do mais recente ao mais antigo
+   * @throws {ValidationError} - Se algum filtro for inválido
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async findEvents({ status, txId, startDate, endDate } = {}) {
+    if (status && !eventStatuses.includes(status)) {
+      throw new ValidationError(
+        `O status deve ser um dos seguintes: ${eventStatuses.join(", ")}.`
+      );
+    }
+
+    const start = startDate ? new Date(`${startDate}T00:00:00.000Z`) : null;
+    const end = endDate ? new Date(`${endDate}T23:59:59.999Z`) : null;
+    if ((start && isNaN(start.getTime())) || (end && isNaN(end.getTime()))) {
+      throw new ValidationError("Data Inválida!");
+    }
+
+    try {
+      let query = db.collection("webhook_events");
+      if (status) query = query.where("status", "==", status);
+      if (txId) query = query.where("txId", "==", txId);
+      if (!status && !txId && start) {
+        query = query.where("receivedAt", ">=", Timestamp.fromDate(start));
+      }
+
+      const snapshot = await query.get();
+      return snapshot.docs
+        .map((doc) => new WebhookEventModel({ id: doc.id, ...doc.data() }))
+        .filter(
+          (event) =>
+            (!start || event.receivedAt >= start) &&
+            (!end || event.receivedAt <= end)
+        )
+        .sort((a, b) => (b.receivedAt || 0) - (a.receivedAt || 0));
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar eventos de webhook: ${error}`);
+    }
+  }
+
+  /**
+   * Lista os eventos com paginação, sem o payload completo
+   *
+   * @param {object} filters - Filtros (status, txId, startDate, endDate)
+   * @param {number} [page=1] - Número da página
+   * @param {number} [limit=15] - Quantidade de eventos por página
+   * @returns {Promise<{events: object[], currentPage: number, totalPages: number, totalResults: number, limit: number}>}
+   */
+  async allEvents(filters, page = 1, limit = 15) {
+    const offset = (Math.max(1, page) - 1) * limit;
+    const events = await this.findEvents(filters);
+
+    return {
+      events: events
+        .slice(offset, offset + limit)
+        .map(({ payload, ...event }) => event),
+      currentPage: page,
+      totalPages: Math.ceil(events.length / limit),
+      totalResults: events.length,
+      limit: limit,
+    };
+  }
+
+  /**
+   * Busca um evento pelo ID, incluindo o payload recebido
+   *
+   * @param {string} id - ID do evento
+   * @returns {Promise<WebhookEventModel>}
+   * @throws {NotFoundError} - Se o evento não existir
+   * @throws {DatabaseError} - Se ocorrer um erro ao consultar o banco de dados
+   */
+  async findEventById(id) {
+    let docSnap;
+    try {
+      docSnap = await db.collection("webhook_events").doc(id).get();
+    } catch (error) {
+      throw new DatabaseError(`Erro ao buscar evento de webhook: ${error}`);
+    }
+
+    if (!docSnap.exists) {
+      throw new NotFoundError(`Evento de webhook com ${id} não encontrado`);
+    }
+
+    return new WebhookEventModel({ id: docSnap.id, ...docSnap.data() });
+  }
+
+  /**
+   * Reprocessa manualmente um evento, independentemente do status atual
+   *
+   * @param {string} id - ID do evento
+   * @returns {Promise<WebhookEventModel>} - Evento com o resultado da nova tentativa
+   * @throws {NotFoundError} - Se o evento não existir
+   * @throws {ValidationError} - Se o evento não tiver txId para processar
+   */
+  async replayEvent(id) {
+    const event = await this.findEventById(id);
+    if (!event.txId) {
+      throw new ValidationError("Eventos sem txId não podem ser reprocessados.");
+    }
+    return this.processEvent(event);
+  }
+
+  /**
+   * Reprocessa manualmente os eventos que atendem aos filtros
+   * Sem filtro de status, apenas os eventos que falharam são reprocessados
+   *
+   * @param {object} filters - Filtros (status, txId, startDate, endDate)
+   * @param {number} [limit=100] - Quantidade máxima de eventos reprocessados
+   * @returns {Promise<{replayed: number, processed: number, failed: string[]}>} - Resumo do reprocessamento
+   */
+  async replayEvents(filters, limit = 100) {
+    const events = (
+      await this.findEvents({ ...filters, status: filters.status || "FALHOU" })
+    ).filter((event) => event.txId);
+
+    const summary = { replayed: 0, processed: 0, failed: [] };
+    for (const event of events.slice(0, limit)) {
+      await this.processEvent(event);
+      summary.replayed++;
+      if (event.status === "PROCESSADO") {
+        summary.processed++;
+      } else {
+        summary.failed.push(event.id);
+      }
+    }
+    return summary;
+  }
+}
+
+const webhookEventService = new WebhookEventService();
+export default webhookEventService;
@@ -0,0 +1,50 @@
+/**
+ * @class CounterStore
+ * @description Interface dos armazenamentos de contadores com expiração usados
+ * pelo limite de requisições e pelo bloqueio de login. Cada contador vale até
+ * resetAt; depois disso é considerado inexistente.
+ */
+export default class CounterStore {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Soma 1 ao contador, criando-o com a janela informada se não existir ou tiver expirado
+   * @param {string} key - Chave do contador
+   * @param {number} windowSeconds - Duração da janela em segundos
+   * @returns {Promise<{count: number, resetAt: Date}>}
+   */
+  async increment(key, windowSeconds) {
+    throw new Error(`${this.name}: increment não implementado`);
+  }
+
+  /**
+   * Consulta um contador
+   * @param {string} key - Chave do contador
+   * @returns {Promise<{count: number, resetAt: Date} | null>} - null se não existir ou tiver expirado
+   */
+  async get(key) {
+    throw new Error(`${this.name}: get não implementado`);
+  }
+
+  /**
+   * Define o valor e a expiração de um contador
+   * @param {string} key - Chave do contador
+   * @param {number} count - Valor
+   * @param {number} windowSeconds - Segundos até a expiração
+   * @returns {Promise<void>}
+   */
+  async set(key, count, windowSeconds) {
+    throw new Error(`${this.name}: set não implementado`);
+  }
+
+  /**
+   * Remove um contador
+   * @param {string} key - Chave do contador
+   * @returns {Promise<void>}
+   */
+  async reset(key) {
+    throw new Error(`${this.name}: reset não implementado`);
+  }
+}
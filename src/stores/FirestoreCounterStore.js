@@ -0,0 +1,65 @@
+import admin from "../config/db.js";
+const db = admin.firestore();
+import crypto from "crypto";
+import CounterStore from "./CounterStore.js";
+
+/**
+ * @class FirestoreCounterStore
+ * @description Contadores compartilhados entre instâncias, na coleção rate_limits.
+ * O campo resetAt pode ser usado como política de TTL do Firestore para
+ * remover os contadores expirados.
+ */
+export default class FirestoreCounterStore extends CounterStore {
+  constructor() {
+    super("firestore");
+  }
+
+  // As chaves podem conter CPFs e logins; o ID do documento guarda apenas o hash
+  docRef(key) {
+    const id = crypto.createHash("sha256").update(key).digest("hex");
+    return db.collection("rate_limits").doc(id);
+  }
+
+  async increment(key, windowSeconds) {
+    const docRef = this.docRef(key);
+
+    return db.runTransaction(async (transaction) => {
+      const docSnap = await transaction.get(docRef);
+      const now = new Date();
+      const current = docSnap.exists ? docSnap.data() : null;
+
+      const counter =
+        current && current.resetAt.toDate() > now
+          ? { count: current.count + 1, resetAt: current.resetAt.toDate() }
+          : { count: 1, resetAt: new Date(now.getTime() + windowSeconds * 1000) };
+
+      transaction.set(docRef, {
+        count: counter.count,
+        resetAt: admin.firestore.Timestamp.fromDate(counter.resetAt),
+      });
+      return counter;
+    });
+  }
+
+  async get(key) {
+    const docSnap = await this.docRef(key).get();
+    if (!docSnap.exists) return null;
+
+    const { count, resetAt } = docSnap.data();
+    if (resetAt.toDate() <= new Date()) return null;
+    return { count, resetAt: resetAt.toDate() };
+  }
+
+  async set(key, count, windowSeconds) {
+    await this.docRef(key).set({
+      count,
+      resetAt: admin.firestore.Timestamp.fromDate(
+        new Date(Date.now() + windowSeconds * 1000)
+      ),
+    });
+  }
+
+  async reset(key) {
+    await this.docRef(key).delete();
+  }
+}
@@ -0,0 +1,58 @@
+import CounterStore from "./CounterStore.js";
+
+// Intervalo da limpeza dos contadores expirados
+const sweepIntervalMs = 60 * 1000;
+
+/**
+ * @class MemoryCounterStore
+ * @description Contadores guardados na memória do processo. Adequado para uma
+ * única instância; com várias instâncias, cada uma tem os próprios limites.
+ */
+export default class MemoryCounterStore extends CounterStore {
+  constructor() {
+    super("memory");
+    this.counters = new Map();
+
+    this.timer = setInterval(() => this.sweep(), sweepIntervalMs);
+    // A limpeza não impede o encerramento do processo
+    this.timer.unref();
+  }
+
+  sweep(now = Date.now()) {
+    for (const [key, counter] of this.counters) {
+      if (counter.resetAt.getTime() <= now) this.counters.delete(key);
+    }
+  }
+
+  async increment(key, windowSeconds) {
+    const current = await this.get(key);
+    const counter = current
+      ? { count: current.count + 1, resetAt: current.resetAt }
+      : { count: 1, resetAt: new Date(Date.now() + windowSeconds * 1000) };
+
+    this.counters.set(key, counter);
+    return { ...counter };
+  }
+
+  async get(key) {
+    const counter = this.counters.get(key);
+    if (!counter) return null;
+
+    if (counter.resetAt.getTime() <= Date.now()) {
+      this.counters.delete(key);
+      return null;
+    }
+    return { ...counter };
+  }
+
+  async set(key, count, windowSeconds) {
+    this.counters.set(key, {
+      count,
+      resetAt: new Date(Date.now() + windowSeconds * 1000),
+    });
+  }
+
+  async reset(key) {
+    this.counters.delete(key);
+  }
+}
@@ -0,0 +1,70 @@
+// Mensagens das notificações por e-mail, indexadas pelo evento
+
+const formatCurrency = (value) =>
+  `R$ ${(parseFloat(value) || 0).toFixed(2).replace(".", ",")}`;
+
+const formatDate = (date) =>
+  date ? new Date(date).toLocaleString("pt-BR", { timeZone: "America/Sao_Paulo" }) : "-";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// Monta o HTML a partir das linhas do texto simples
+const toHtml = (title, lines) =>
+  `<h2>${escapeHtml(title)}</h2>` +
+  lines.map((line) => `<p>${escapeHtml(line)}</p>`).join("") +
+  "<p><small>Mensagem automática do Doare. Não responda este e-mail.</small></p>";
+
+const build = (subject, lines) => ({
+  subject,
+  text: lines.join("\n"),
+  html: toHtml(subject, lines),
+});
+
+const NotificationTemplates = {
+  DONATION_PAID: (donation) =>
+    build(`Doação recebida: ${formatCurrency(donation.amount)}`, [
+      `Uma doação de ${formatCurrency(donation.amount)} foi paga.`,
+      `Doador: ${donation.donorName}${donation.donorCIM ? ` (CIM ${donation.donorCIM})` : ""}`,
+      ...(donation.campaignTitle ? [`Campanha: ${donation.campaignTitle}`] : []),
+      `Data do pagamento: ${formatDate(donation.paidAt)}`,
+      `ID da transação: ${donation.txId}`,
+    ]),
+
+  PARTNER_REGISTERED: (partner) =>
+    build(`Novo parceiro cadastrado: ${partner.name}`, [
+      `O parceiro ${partner.name} foi cadastrado.`,
+      `CIM: ${partner.cim}`,
+      `Grau: ${partner.degree}`,
+    ]),
+
+  RECONCILIATION_FAILED: (report) =>
+    build("Falha na conciliação de doações", [
+      report.status === "FALHOU"
+        ? `A conciliação ${report.id} foi interrompida: ${report.error}`
+        : `A conciliação ${report.id} terminou com ${report.summary.failed} transação(ões) sem correção.`,
+      `Período: ${formatDate(report.startDate)} a ${formatDate(report.endDate)}`,
+      `Origem: ${report.trigger}`,
+      "Consulte o relatório da conciliação para ver as divergências.",
+    ]),
+
+  EXPORT_GENERATED: (exportData) =>
+    build(`Relatório exportado: ${exportData.report}`, [
+      `O relatório "${exportData.report}" foi exportado em ${exportData.format.toUpperCase()}.`,
+      `Registros: ${exportData.records}`,
+      `Solicitado por: ${exportData.requestedBy || "-"}`,
+      `Data: ${formatDate(new Date())}`,
+    ]),
+
+  TEST: () =>
+    build("Teste de notificação", [
+      "Esta é uma mensagem de teste das notificações do Doare.",
+      "Se você a recebeu, o envio de e-mails está configurado corretamente.",
+    ]),
+};
+
+export default NotificationTemplates;
@@ -0,0 +1,103 @@
+const units = [
+  "", "um", "dois", "três", "quatro", "cinco", "seis", "sete", "oito", "nove",
+  "dez", "onze", "doze", "treze", "quatorze", "quinze", "dezesseis",
+  "dezessete", "dezoito", "dezenove",
+];
+const tens = [
+  "", "", "vinte", "trinta", "quarenta", "cinquenta", "sessenta", "setenta",
+  "oitenta", "noventa",
+];
+const hundreds = [
+  "", "cento", "duzentos", "trezentos", "quatrocentos", "quinhentos",
+  "seiscentos", "setecentos", "oitocentos", "novecentos",
+];
+// Escalas no singular e no plural
+const scales = [
+  ["", ""],
+  ["mil", "mil"],
+  ["milhão", "milhões"],
+  ["bilhão", "bilhões"],
+];
+
+// Escreve números de 1 a 999
+function groupInWords(number) {
+  if (number === 100) return "cem";
+
+  const parts = [];
+  const hundred = Math.floor(number / 100);
+  const rest = number % 100;
+
+  if (hundred) parts.push(hundreds[hundred]);
+  if (rest < 20) {
+    if (rest) parts.push(units[rest]);
+  } else {
+    parts.push(tens[Math.floor(rest / 10)]);
+    if (rest % 10) parts.push(units[rest % 10]);
+  }
+
+  return parts.join(" e ");
+}
+
+// Escreve inteiros não negativos por extenso
+function integerInWords(number) {
+  if (number === 0) return "zero";
+
+  const groups = [];
+  for (let value = number; value > 0; value = Math.floor(value / 1000)) {
+    groups.push(value % 1000);
+  }
+
+  const words = [];
+  let lastGroup = null;
+  for (let scale = groups.length - 1; scale >= 0; scale--) {
+    const group = groups[scale];
+    if (!group) continue;
+
+    const text =
+      scale === 1 && group === 1
+        ? "mil"
+        : `${groupInWords(group)} ${scales[scale][group === 1 ? 0 : 1]}`.trim();
+    words.push({ text, group });
+    lastGroup = group;
+  }
+
+  // O último grupo é ligado por "e" quando é menor que cem ou uma centena exata
+  return words
+    .map(({ text }, index) => {
+      if (index === 0) return text;
+      const isLast = index === words.length - 1;
+      const connector =
+        isLast && (lastGroup < 100 || lastGroup % 100 === 0) ? " e " : " ";
+      return `${connector}${text}`;
+    })
+    .join("");
+}
+
+/**
+ * Escreve um valor em reais por extenso
+ * Ex.: 1234.5 -> "mil duzentos e trinta e quatro reais e cinquenta centavos"
+ *
+ * @param {number} amount - Valor em reais
+ * @returns {string} - Valor por extenso
+ */
+export function amountInWords(amount) {
+  const cents = Math.round(Math.abs(amount) * 100);
+  const reais = Math.floor(cents / 100);
+  const centavos = cents % 100;
+
+  const parts = [];
+  if (reais > 0) {
+    // Milhões e bilhões exatos usam "de reais"
+    const connector = reais >= 1_000_000 && reais % 1_000_000 === 0 ? " de " : " ";
+    parts.push(
+      `${integerInWords(reais)}${connector}${reais === 1 ? "real" : "reais"}`
+    );
+  }
+  if (centavos > 0) {
+    parts.push(
+      `${integerInWords(centavos)} ${centavos === 1 ? "centavo" : "centavos"}`
+    );
+  }
+
+  return parts.length ? parts.join(" e ") : "zero reais";
+}
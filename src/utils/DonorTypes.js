@@ -0,0 +1,7 @@
+const DonorType = {
+  PARTNER: "PARCEIRO",
+  EXTERNAL: "EXTERNO",
+  ANONYMOUS: "ANONIMO",
+};
+
+export default DonorType;
@@ -0,0 +1,56 @@
+const Role = {
+  ADMIN: "admin",
+  TREASURER: "tesoureiro",
+  SECRETARY: "secretario",
+  AUDITOR: "auditor",
+};
+
+// Permissões concedidas a cada perfil; o auditor tem acesso somente de leitura
+export const rolePermissions = {
+  [Role.ADMIN]: [
+    "donations:read",
+    "donations:refund",
+    "partners:read",
+    "partners:write",
+    "partners:delete",
+    "partners:purge",
+    "reports:export",
+    "users:manage",
+    "api-keys:manage",
+    "audit:read",
+    "reconciliation:run",
+    "dues:write",
+    "recurrences:write",
+    "campaigns:write",
+    "webhooks:read",
+    "webhooks:manage",
+    "notifications:manage",
+  ],
+  [Role.TREASURER]: [
+    "donations:read",
+    "donations:refund",
+    "partners:read",
+    "reports:export",
+    "reconciliation:run",
+    "dues:write",
+    "recurrences:write",
+    "campaigns:write",
+  ],
+  [Role.SECRETARY]: [
+    "donations:read",
+    "partners:read",
+    "partners:write",
+    "partners:delete",
+    "reports:export",
+    "campaigns:write",
+  ],
+  [Role.AUDITOR]: [
+    "donations:read",
+    "partners:read",
+    "reports:export",
+    "audit:read",
+    "webhooks:read",
+  ],
+};
+
+export default Role;
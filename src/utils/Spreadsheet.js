@@ -0,0 +1,277 @@
+import zlib from "zlib";
+
+// Leitura de planilhas CSV e XLSX sem dependências externas. O XLSX é um ZIP
+// de arquivos XML; apenas a primeira aba é lida e as células voltam como texto.
+
+// Limites do conteúdo descompactado, para recusar arquivos maliciosos
+const maxEntrySize = 32 * 1024 * 1024;
+const maxTotalSize = 64 * 1024 * 1024;
+// Última coluna aceita pelo Excel (XFD)
+const maxColumns = 16384;
+const xmlEntities = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+function decodeXml(value) {
+  return value.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      return String.fromCodePoint(code);
+    }
+    return xmlEntities[entity] ?? match;
+  });
+}
+
+// Texto de um elemento, juntando os trechos <t> de textos com formatação
+function textOf(xml) {
+  let text = "";
+  for (const [, value] of xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)) {
+    text += decodeXml(value);
+  }
+  return text;
+}
+
+function attribute(attributes, name) {
+  return attributes.match(new RegExp(`\\b${name}="([^"]*)"`))?.[1];
+}
+
+/**
+ * Lê o diretório central de um arquivo ZIP, sem descompactar as entradas
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @returns {Map<string, {method: number, data: Buffer}>} - Conteúdo compactado de cada entrada
+ */
+function readZip(buffer) {
+  // O registro final do diretório central fica nos últimos 64 KiB + 22 bytes
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end === -1) throw new Error("Arquivo XLSX inválido.");
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let i = 0; i < count; i++) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) {
+      throw new Error("Arquivo XLSX inválido.");
+    }
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf8", offset + 46, offset + 46 + nameLength);
+
+    const dataStart =
+      localOffset +
+      30 +
+      buffer.readUInt16LE(localOffset + 26) +
+      buffer.readUInt16LE(localOffset + 28);
+    entries.set(name, {
+      method,
+      data: buffer.subarray(dataStart, dataStart + compressedSize),
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+}
+
+/**
+ * Cria um leitor que descompacta apenas as entradas pedidas, somando o
+ * tamanho descompactado para respeitar o limite total do arquivo
+ * @param {Map<string, {method: number, data: Buffer}>} entries - Entradas do ZIP
+ * @returns {(name: string) => string | undefined} - Conteúdo da entrada como texto
+ */
+function zipReader(entries) {
+  let total = 0;
+
+  return (name) => {
+    const entry = entries.get(name);
+    if (!entry || (entry.method !== 0 && entry.method !== 8)) return undefined;
+
+    const limit = Math.min(maxEntrySize, maxTotalSize - total);
+    const tooLarge = new Error("A planilha excede o tamanho máximo permitido.");
+    if (limit <= 0 || (entry.method === 0 && entry.data.length > limit)) {
+      throw tooLarge;
+    }
+
+    let content = entry.data;
+    if (entry.method === 8) {
+      try {
+        content = zlib.inflateRawSync(entry.data, { maxOutputLength: limit });
+      } catch (error) {
+        // O zlib recusa com RangeError quando o conteúdo passa do limite
+        throw error instanceof RangeError ? tooLarge : error;
+      }
+    }
+
+    total += content.length;
+    return content.toString("utf8");
+  };
+}
+
+// Converte a referência da coluna (A, B, ..., AA) para o índice a partir de 0
+function columnIndex(reference) {
+  let index = 0;
+  for (const char of reference.replace(/\d+$/, "")) {
+    index = index * 26 + (char.charCodeAt(0) - 64);
+  }
+  return index - 1;
+}
+
+/**
+ * Lê a primeira aba de um arquivo XLSX
+ * Os números de linha e as referências de coluna vêm do arquivo e são limitados
+ * antes de criar os arrays, para que um arquivo pequeno não force alocações enormes
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {object} [options] - Opções da leitura
+ * @param {number} [options.maxRows] - Maior número de linha aceito
+ * @returns {string[][]} - Linhas da planilha; a posição no array corresponde ao número da linha - 1
+ */
+export function parseXLSX(buffer, { maxRows = Infinity } = {}) {
+  const read = zipReader(readZip(buffer));
+
+  // A primeira aba do workbook aponta para o arquivo da planilha pelos relacionamentos
+  let sheetPath = "xl/worksheets/sheet1.xml";
+  const sheetId = attribute(read("xl/workbook.xml")?.match(/<sheet\b[^>]*>/)?.[0] ?? "", "r:id");
+  const relationships = read("xl/_rels/workbook.xml.rels") ?? "";
+  for (const [relationship] of relationships.matchAll(/<Relationship\b[^>]*>/g)) {
+    if (sheetId && attribute(relationship, "Id") === sheetId) {
+      const target = attribute(relationship, "Target");
+      sheetPath = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+    }
+  }
+
+  const sheet = read(sheetPath);
+  if (!sheet) throw new Error("A planilha não possui abas.");
+
+  const sharedStrings = [
+    ...(read("xl/sharedStrings.xml") ?? "").matchAll(/<si>([\s\S]*?)<\/si>/g),
+  ].map(([, item]) => textOf(item));
+
+  const rows = [];
+  for (const [, rowAttributes, rowXml = ""] of sheet.matchAll(
+    /<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g
+  )) {
+    const rowNumber = parseInt(attribute(rowAttributes, "r")) || rows.length + 1;
+    if (rowNumber < 1 || rowNumber > maxRows) {
+      throw new Error(`A planilha pode ter no máximo ${maxRows} linhas.`);
+    }
+    const row = [];
+
+    let position = 0;
+    for (const [, cellAttributes, cellXml = ""] of rowXml.matchAll(
+      /<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g
+    )) {
+      const reference = attribute(cellAttributes, "r");
+      if (reference && !/^[A-Z]{1,3}\d*$/.test(reference)) {
+        throw new Error(`Referência de célula inválida: ${reference}.`);
+      }
+      const index = reference ? columnIndex(reference) : position;
+      if (index >= maxColumns) {
+        throw new Error(`A planilha pode ter no máximo ${maxColumns} colunas.`);
+      }
+      const type = attribute(cellAttributes, "t");
+      const value = cellXml.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      if (type === "s") {
+        row[index] = sharedStrings[parseInt(value)] ?? "";
+      } else if (type === "inlineStr") {
+        row[index] = textOf(cellXml);
+      } else {
+        row[index] = value !== undefined ? decodeXml(value) : "";
+      }
+      position = index + 1;
+    }
+
+    rows[rowNumber - 1] = Array.from(row, (cell) => cell ?? "");
+  }
+
+  return Array.from(rows, (row) => row ?? []);
+}
+
+/**
+ * Lê um arquivo CSV separado por vírgula ou ponto e vírgula
+ * O separador é identificado pela primeira linha
+ * @param {string} text - Conteúdo do arquivo
+ * @returns {string[][]} - Linhas do arquivo
+ */
+export function parseCSV(text) {
+  const content = text.replace(/^\uFEFF/, "");
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length
+      ? ";"
+      : ",";
+
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Identifica o formato pelo conteúdo e lê a planilha
+ * Arquivos CSV que não estão em UTF-8 são lidos como Windows-1252, padrão do Excel
+ * @param {Buffer} buffer - Conteúdo do arquivo
+ * @param {object} [options] - Opções da leitura
+ * @param {number} [options.maxRows] - Maior número de linha aceito nos arquivos XLSX
+ * @returns {string[][]} - Linhas da planilha
+ */
+export function readSpreadsheet(buffer, options) {
+  // Arquivos ZIP (XLSX) começam com "PK\x03\x04"
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50) {
+    return parseXLSX(buffer, options);
+  }
+
+  let text;
+  try {
+    text = new TextDecoder("utf-8", { fatal: true }).decode(buffer);
+  } catch {
+    text = new TextDecoder("windows-1252").decode(buffer);
+  }
+  return parseCSV(text);
+}
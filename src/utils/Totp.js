@@ -0,0 +1,101 @@
+import crypto from "crypto";
+
+// Senhas de uso único baseadas em tempo (RFC 6238), compatíveis com os
+// aplicativos autenticadores: HMAC-SHA1, 6 dígitos e passos de 30 segundos
+const alphabet = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const digits = 6;
+const stepSeconds = 30;
+
+function base32Encode(buffer) {
+  let bits = "";
+  for (const byte of buffer) bits += byte.toString(2).padStart(8, "0");
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += alphabet[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+}
+
+function base32Decode(value) {
+  let bits = "";
+  for (const char of value.replace(/=+$/, "").toUpperCase()) {
+    const index = alphabet.indexOf(char);
+    if (index === -1) throw new Error("Segredo TOTP inválido.");
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Gera um segredo aleatório de 160 bits em Base32
+ * @returns {string}
+ */
+export function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Monta a URI otpauth:// exibida como QR Code no cadastro do autenticador
+ * @param {string} secret - Segredo em Base32
+ * @param {string} account - Conta exibida no aplicativo (ex.: login do usuário)
+ * @param {string} issuer - Emissor exibido no aplicativo
+ * @returns {string}
+ */
+export function provisioningUri(secret, account, issuer) {
+  const label = encodeURIComponent(`${issuer}:${account}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(digits),
+    period: String(stepSeconds),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+/**
+ * Calcula o código de um passo de tempo
+ * @param {string} secret - Segredo em Base32
+ * @param {number} step - Passo de tempo (segundos desde a época / 30)
+ * @returns {string}
+ */
+export function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counter)
+    .digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Confere um código, tolerando um passo de diferença no relógio
+ * @param {string} secret - Segredo em Base32
+ * @param {string} code - Código informado
+ * @param {number} [window=1] - Passos aceitos antes e depois do atual
+ * @returns {number | null} - Passo correspondente ao código, ou null se inválido
+ */
+export function verifyCode(secret, code, window = 1) {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${digits}}$`).test(normalized)) return null;
+
+  const currentStep = Math.floor(Date.now() / 1000 / stepSeconds);
+  for (let step = currentStep - window; step <= currentStep + window; step++) {
+    const expected = generateCode(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+}